@@ -8,23 +8,23 @@ const Editor = require('../src/editor');
 
 // Parse command line arguments
 const argv = yargs(hideBin(process.argv))
-  .usage('Usage: $0 [filename]')
+  .usage('Usage: $0 [filename...]')
   .example('$0 myfile.txt', 'Open myfile.txt for editing')
+  .example('$0 a.js b.js', 'Open a.js and b.js in buffers (switch with :bn / :bp)')
   .help('h')
   .alias('h', 'help')
   .epilog('A Vim-inspired terminal text editor')
   .argv;
 
-// Get the filename from command line arguments
-const filename = argv._[0] || null;
-let fileContent = '';
+// Get the filenames from command line arguments
+const filenames = argv._.map(String);
 
-// If a filename is provided and the file exists, read its content
-if (filename) {
+// Check the files can be read; files that don't exist are created on save
+for (const filename of filenames) {
   const filePath = path.resolve(process.cwd(), filename);
   try {
     if (fs.existsSync(filePath)) {
-      fileContent = fs.readFileSync(filePath, 'utf8');
+      fs.accessSync(filePath, fs.constants.R_OK);
     } else {
       console.log(`Creating new file: ${filename}`);
     }
@@ -34,10 +34,11 @@ if (filename) {
   }
 }
 
-// Initialize and start the editor
+// Initialize and start the editor; the buffers load the files themselves
 const editor = new Editor({
-  filename: filename,
-  content: fileContent
+  filename: filenames[0] || null,
+  content: null,
+  files: filenames.slice(1)
 });
 
 // Start the editor (handle the async nature)
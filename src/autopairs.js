@@ -0,0 +1,79 @@
+/**
+ * Auto-pairing of brackets and quotes in insert mode. Typing an opening
+ * character inserts its closing partner after the cursor, typing a closing
+ * character in front of the same one steps over it, and a backspace between
+ * an empty pair deletes both.
+ */
+
+const PAIRS = {
+  '(': ')',
+  '[': ']',
+  '{': '}',
+  '"': '"',
+  "'": "'",
+  '`': '`'
+};
+
+const CLOSING = new Set(Object.values(PAIRS));
+
+// Characters that don't pair in a language: Rust's ' starts lifetimes
+// (&'a str) and in prose it is an apostrophe (don't). null is plain text.
+const UNPAIRED = {
+  rust: ["'"],
+  markdown: ["'"],
+  tex: ["'"],
+  null: ["'"]
+};
+
+/**
+ * Get the character that closes a typed one, if it should be paired here.
+ * Brackets pair before white space, the end of the line or closing
+ * punctuation, so typing in front of a word doesn't add a stray bracket.
+ * Quotes don't pair right after a word character (it's more likely the
+ * closing quote or an apostrophe) and nothing pairs after a backslash.
+ * @param {string} char - Typed character
+ * @param {string} before - Character before the cursor ('' at the line start)
+ * @param {string} after - Character at the cursor ('' at the line end)
+ * @param {string|null} language - Language of the buffer
+ * @returns {string|null} - Closing character, or null to insert just the one
+ */
+function getClosing(char, before, after, language) {
+  const closing = PAIRS[char];
+  if (!closing || (UNPAIRED[language] || []).includes(char) || before === '\\') {
+    return null;
+  }
+  if (after && !/[\s)\]},;:.]/.test(after)) {
+    return null;
+  }
+  if (closing === char && /\w/.test(before)) {
+    return null;
+  }
+  return closing;
+}
+
+/**
+ * Check whether typing a character should step over the one at the cursor
+ * @param {string} char - Typed character
+ * @param {string} after - Character at the cursor
+ * @param {string|null} language - Language of the buffer
+ * @returns {boolean}
+ */
+function skipsClosing(char, after, language) {
+  return CLOSING.has(char) && char === after && !(UNPAIRED[language] || []).includes(char);
+}
+
+/**
+ * Check whether the cursor is between an empty pair, as in (|)
+ * @param {string} before - Character before the cursor
+ * @param {string} after - Character at the cursor
+ * @returns {boolean}
+ */
+function isEmptyPair(before, after) {
+  return Boolean(before) && PAIRS[before] === after;
+}
+
+module.exports = {
+  getClosing,
+  skipsClosing,
+  isEmptyPair
+};
@@ -0,0 +1,133 @@
+/**
+ * BracketMatcher pairs up the ( ), [ ] and { } in a buffer, leaving out
+ * brackets in strings and comments. A closing bracket pairs with the
+ * nearest open one of its kind; brackets of another kind left open in
+ * between, and closing brackets with nothing to close, are unmatched.
+ *
+ * Brackets are paired within SCAN_MARGIN lines of the lines in view, so
+ * long files stay quick; brackets left open at the edge of that range are
+ * only unmatched when the range reaches the start or end of the file.
+ * Strings and comments that span lines are followed from their first line
+ * down, but one opened above the range is not seen. The pairs are worked
+ * out again when the buffer changes or the range moves, and lines whose
+ * text and starting state are unchanged keep the brackets found before.
+ */
+
+const OPENING = { ')': '(', ']': '[', '}': '{' };
+const BRACKET_CHARS = /[()[\]{}]/;
+
+// Languages where brackets don't have to pair up ("1) first item")
+const PROSE_LANGUAGES = [null, 'markdown', 'plaintext', 'tex'];
+
+// Lines above and below the view searched for a match
+const SCAN_MARGIN = 500;
+
+class BracketMatcher {
+  /**
+   * @param {Object} syntaxHighlighter - Tells strings and comments from code
+   */
+  constructor(syntaxHighlighter) {
+    this.syntaxHighlighter = syntaxHighlighter;
+    this.results = new WeakMap(); // buffer -> {version, language, start, end, lines, matches, unmatched}
+  }
+
+  /**
+   * Find the brackets in a line that are code, not in strings or comments
+   * @param {string} line - Line
+   * @param {string|null} language - Language name
+   * @param {Object|null} state - State the line before ended in, for lines
+   *   inside a string or comment opened above them
+   * @returns {Object} - {brackets, state}: brackets {col, char}, and the
+   *   state to pass in for the next line
+   */
+  scanLine(line, language, state = null) {
+    const { ranges, state: next } = this.syntaxHighlighter.scanStringsAndComments(line, language, state);
+    const brackets = [];
+    for (let col = 0; col < line.length; col++) {
+      if (BRACKET_CHARS.test(line[col]) && !ranges.some(range => col >= range.start && col < range.end)) {
+        brackets.push({ col, char: line[col] });
+      }
+    }
+    return { brackets, state: next };
+  }
+
+  /**
+   * Pair up the brackets around some lines of a buffer, reusing the last
+   * result until the buffer changes or the lines do
+   * @param {TextBuffer} buffer - Buffer
+   * @param {string|null} language - Language name
+   * @param {number} firstRow - First row in view
+   * @param {number} lastRow - Last row in view
+   * @returns {Object} - {matches: Map of "row:col" to the matching position,
+   *   unmatched: Map of row to the columns of unmatched brackets}
+   */
+  analyze(buffer, language, firstRow, lastRow) {
+    const start = Math.max(0, firstRow - SCAN_MARGIN);
+    const end = Math.min(buffer.getLineCount() - 1, lastRow + SCAN_MARGIN);
+    const cached = this.results.get(buffer);
+    if (cached && cached.version === buffer.version && cached.language === language &&
+        cached.start === start && cached.end === end) {
+      return cached;
+    }
+
+    const known = cached && cached.language === language ? cached.lines : new Map();
+    const lines = new Map(); // Line text, after the state it starts in -> {brackets, state}
+    const matches = new Map();
+    const unmatched = new Map();
+    const flag = ({ row, col }) => {
+      if (!unmatched.has(row)) {
+        unmatched.set(row, []);
+      }
+      unmatched.get(row).push(col);
+    };
+
+    const open = [];
+    let state = null;
+    for (let row = start; row <= end; row++) {
+      const line = buffer.getLine(row);
+      const key = state ? `${state.text}\n${line}` : line;
+      const scanned = lines.get(key) || known.get(key) || this.scanLine(line, language, state);
+      lines.set(key, scanned);
+      state = scanned.state;
+      for (const { col, char } of scanned.brackets) {
+        if (!OPENING[char]) {
+          open.push({ row, col, char });
+          continue;
+        }
+
+        let index = open.length - 1;
+        while (index >= 0 && open[index].char !== OPENING[char]) {
+          index--;
+        }
+        if (index < 0) {
+          // What it closes may be above the range
+          if (start === 0) {
+            flag({ row, col });
+          }
+          continue;
+        }
+        open.splice(index + 1).forEach(flag);
+        const opening = open.pop();
+        matches.set(`${opening.row}:${opening.col}`, { row, col });
+        matches.set(`${row}:${col}`, { row: opening.row, col: opening.col });
+      }
+    }
+    if (end === buffer.getLineCount() - 1) {
+      open.forEach(flag);
+    }
+
+    const result = {
+      version: buffer.version,
+      language,
+      start,
+      end,
+      lines,
+      matches,
+      unmatched: PROSE_LANGUAGES.includes(language) ? new Map() : unmatched
+    };
+    this.results.set(buffer, result);
+    return result;
+  }
+}
+
+module.exports = BracketMatcher;
@@ -0,0 +1,130 @@
+const path = require('path');
+
+/**
+ * BufferList class keeps the open buffers. Each entry has a number that stays
+ * the same while the buffer is open (as in Vim's :ls), the TextBuffer, and
+ * editor state that belongs to the buffer while it isn't shown.
+ */
+class BufferList {
+  constructor() {
+    this.entries = [];
+    this.current = null;   // Entry being edited
+    this.alternate = null; // Entry edited before the current one (#)
+    this.nextNumber = 1;
+  }
+
+  /**
+   * Add a buffer to the list
+   * @param {TextBuffer} buffer - Buffer
+   * @returns {Object} - Entry {number, buffer, lastVisual}
+   */
+  add(buffer) {
+    const entry = { number: this.nextNumber++, buffer, lastVisual: null };
+    this.entries.push(entry);
+    if (!this.current) {
+      this.current = entry;
+    }
+    return entry;
+  }
+
+  /**
+   * Remove a buffer from the list. The current buffer must be switched away
+   * from first.
+   * @param {Object} entry - Entry to remove
+   */
+  remove(entry) {
+    this.entries = this.entries.filter(other => other !== entry);
+    if (this.alternate === entry) {
+      this.alternate = null;
+    }
+  }
+
+  /**
+   * Make an entry the current one; the previous one becomes the alternate
+   * @param {Object} entry - Entry
+   */
+  setCurrent(entry) {
+    if (entry !== this.current) {
+      this.alternate = this.current;
+      this.current = entry;
+    }
+  }
+
+  /**
+   * Get the entry with a buffer number
+   * @param {number} number - Buffer number
+   * @returns {Object|null}
+   */
+  findByNumber(number) {
+    return this.entries.find(entry => entry.number === number) || null;
+  }
+
+  /**
+   * Get the entry editing a file
+   * @param {string} filePath - File path
+   * @returns {Object|null}
+   */
+  findByPath(filePath) {
+    const absPath = path.resolve(filePath);
+    return this.entries.find(entry => {
+      const entryPath = entry.buffer.getFilePath();
+      return entryPath !== 'untitled' && path.resolve(entryPath) === absPath;
+    }) || null;
+  }
+
+  /**
+   * Get the entries whose file path contains a string
+   * @param {string} name - Part of a file path
+   * @returns {Array<Object>}
+   */
+  findByName(name) {
+    return this.entries.filter(entry => entry.buffer.getFilePath().includes(name));
+  }
+
+  /**
+   * Get the entry a number of places after the current one, wrapping around
+   * @param {number} offset - Places to move; negative moves backward
+   * @returns {Object}
+   */
+  getRelative(offset) {
+    const count = this.entries.length;
+    const index = this.entries.indexOf(this.current);
+    return this.entries[(((index + offset) % count) + count) % count];
+  }
+
+  /**
+   * Get the entry to edit in place of one being closed: the alternate one,
+   * or else the one after it
+   * @param {Object} entry - Entry being closed
+   * @returns {Object|null} - null when no other entry is open
+   */
+  getReplacement(entry) {
+    if (this.alternate && this.alternate !== entry) {
+      return this.alternate;
+    }
+    if (this.entries.length < 2) {
+      return null;
+    }
+    return this.entries[(this.entries.indexOf(entry) + 1) % this.entries.length];
+  }
+
+  /**
+   * Get all entries in buffer number order
+   * @returns {Array<Object>}
+   */
+  list() {
+    return this.entries.slice();
+  }
+
+  /**
+   * Get the entries with unsaved changes, the current one first
+   * @returns {Array<Object>}
+   */
+  getModified() {
+    return this.entries
+      .filter(entry => entry.buffer.isModified())
+      .sort((a, b) => (b === this.current) - (a === this.current));
+  }
+}
+
+module.exports = BufferList;
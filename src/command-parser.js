@@ -1,3 +1,9 @@
+const { parseAddress, parseRange } = require('./ex-range');
+const { FOLD_METHODS } = require('./folds');
+
+// What :set listchars can set
+const LIST_CHARS = ['tab', 'trail', 'space', 'eol', 'nbsp'];
+
 /**
  * CommandParser class handles parsing and executing Vim-like commands
  */
@@ -26,7 +32,80 @@ class CommandParser {
       'gen': this.generateCode.bind(this),
       'extend': this.extendCode.bind(this),
       'implement': this.implementFeature.bind(this),
+      'registers': this.showRegisters.bind(this),
+      'reg': this.showRegisters.bind(this),
+      'display': this.showRegisters.bind(this),
+      'di': this.showRegisters.bind(this),
+      'noh': this.clearSearchHighlight.bind(this),
+      'nohlsearch': this.clearSearchHighlight.bind(this),
+      'e': this.editFile.bind(this),
+      'edit': this.editFile.bind(this),
+      'ls': this.listBuffers.bind(this),
+      'buffers': this.listBuffers.bind(this),
+      'files': this.listBuffers.bind(this),
+      'b': this.gotoBuffer.bind(this),
+      'buffer': this.gotoBuffer.bind(this),
+      'bn': this.nextBuffer.bind(this),
+      'bnext': this.nextBuffer.bind(this),
+      'bp': this.previousBuffer.bind(this),
+      'bprev': this.previousBuffer.bind(this),
+      'bprevious': this.previousBuffer.bind(this),
+      'bN': this.previousBuffer.bind(this),
+      'bNext': this.previousBuffer.bind(this),
+      'bd': this.deleteBuffer.bind(this),
+      'bdelete': this.deleteBuffer.bind(this),
+      'sp': this.splitWindow.bind(this),
+      'split': this.splitWindow.bind(this),
+      'vs': this.verticalSplitWindow.bind(this),
+      'vsplit': this.verticalSplitWindow.bind(this),
+      'clo': this.closeWindow.bind(this),
+      'close': this.closeWindow.bind(this),
+      'on': this.onlyWindow.bind(this),
+      'only': this.onlyWindow.bind(this),
+      'tabnew': this.newTab.bind(this),
+      'tabe': this.newTab.bind(this),
+      'tabedit': this.newTab.bind(this),
+      'tabc': this.closeTab.bind(this),
+      'tabclose': this.closeTab.bind(this),
+      'tabn': this.nextTab.bind(this),
+      'tabnext': this.nextTab.bind(this),
+      'tabp': this.previousTab.bind(this),
+      'tabprevious': this.previousTab.bind(this),
+      'tabN': this.previousTab.bind(this),
+      'tabNext': this.previousTab.bind(this),
+      'marks': this.showMarks.bind(this),
+      'ju': this.showJumps.bind(this),
+      'jumps': this.showJumps.bind(this),
+    };
+    
+    // Commands that take a line range; handlers get the arguments after the
+    // command name and the range (null when none was given)
+    this.rangeCommands = {
+      's': this.substitute.bind(this),
+      'su': this.substitute.bind(this),
+      'substitute': this.substitute.bind(this),
+      '&': this.substitute.bind(this),
+      'd': this.deleteLines.bind(this),
+      'de': this.deleteLines.bind(this),
+      'del': this.deleteLines.bind(this),
+      'delete': this.deleteLines.bind(this),
+      'm': this.moveLines.bind(this),
+      'mo': this.moveLines.bind(this),
+      'move': this.moveLines.bind(this),
+      't': this.copyLines.bind(this),
+      'co': this.copyLines.bind(this),
+      'copy': this.copyLines.bind(this),
+      'norm': this.normal.bind(this),
+      'normal': this.normal.bind(this),
+      'g': this.global.bind(this),
+      'global': this.global.bind(this),
+      'v': (args, range) => this.global(args, range, true),
+      'vglobal': (args, range) => this.global(args, range, true),
     };
+    
+    this.lastSubstitute = null; // Last {pattern, replacement, flags} for :s and :&
+    this.globalActive = false; // Whether a :g command is running
+    this.globalSubstitutions = null; // Substitutions made by the running :g
   }
 
   /**
@@ -35,6 +114,35 @@ class CommandParser {
    * @returns {boolean} - Command success status
    */
   async parseCommand(commandStr) {
+    // Trailing blanks are kept; they can matter to range commands (":normal")
+    commandStr = commandStr.trimStart();
+    
+    // Commands may start with a line range (":%s/a/b/", ":'<,'>s/a/b/")
+    let parsed;
+    try {
+      parsed = parseRange(commandStr, this.getRangeContext());
+    } catch (error) {
+      this.editor.showMessage(error.message);
+      return true;
+    }
+    const { range, rest } = parsed;
+    
+    // A range on its own jumps to its last line
+    if (range && !rest.trim()) {
+      return this.gotoLine(range.end);
+    }
+    
+    const rangeName = /^([a-zA-Z]+|&)/.exec(rest);
+    if (rangeName && this.rangeCommands[rangeName[1]]) {
+      const name = rangeName[1];
+      return await this.rangeCommands[name](rest.slice(name.length), range);
+    }
+    
+    if (range) {
+      this.editor.showMessage('No range allowed');
+      return true;
+    }
+    
     commandStr = commandStr.trim();
     
     // Extract command base (first word)
@@ -45,6 +153,12 @@ class CommandParser {
       return await this.commands[commandBase](commandStr);
     }
     
+    // Arguments and "!" may follow a command name directly (":b2", ":e!")
+    const commandName = /^[a-zA-Z]+/.exec(commandStr);
+    if (commandName && this.commands[commandName[0]]) {
+      return await this.commands[commandName[0]](commandStr);
+    }
+    
     // Handle set commands
     if (commandStr.startsWith('set ') || commandStr.startsWith('set no')) {
       return this.handleSetCommand(commandStr);
@@ -53,6 +167,42 @@ class CommandParser {
     return false;
   }
   
+  /**
+   * Get what the range parser needs to know about the buffer
+   * @returns {Object} - Range context
+   */
+  getRangeContext() {
+    const buffer = this.editor.buffer;
+    return {
+      currentRow: buffer.getCursor().row,
+      lastRow: buffer.getLineCount() - 1,
+      getMark: name => this.editor.getMarkRow(name),
+      searchLine: (pattern, fromRow, backward) => {
+        if (!pattern && !this.editor.lastSearch) {
+          return null;
+        }
+        const regex = this.editor.compileSearchPattern(pattern || this.editor.lastSearch.pattern);
+        // Start past the end (or before the start) of the line so the search
+        // begins on the next (or previous) line
+        const from = { row: fromRow, col: backward ? -1 : Infinity };
+        const match = this.editor.buffer.search(regex, from, backward, this.editor.wrapScan);
+        return match ? match.row : null;
+      }
+    };
+  }
+
+  /**
+   * Move the cursor to the first non-blank of a line (":42")
+   * @param {number} row - Row
+   * @returns {boolean}
+   */
+  gotoLine(row) {
+    const buffer = this.editor.buffer;
+    this.editor.recordJump();
+    buffer.setCursor(row, buffer.getFirstNonBlankCol(row));
+    return true;
+  }
+
   /**
    * Handle 'set' commands
    * @param {string} commandStr - Command string
@@ -63,8 +213,10 @@ class CommandParser {
     const parts = commandStr.split(' ');
     if (parts.length < 2) return false;
     
-    const isDisable = parts[1].startsWith('no');
-    const setting = isDisable ? parts[1].substring(2) : parts[1];
+    // Numeric settings take a value: :set scrolloff=5
+    const [name, value] = parts[1].split('=');
+    const isDisable = value === undefined && name.startsWith('no');
+    const setting = isDisable ? name.substring(2) : name;
     
     // Handle different settings
     switch (setting) {
@@ -84,6 +236,109 @@ class CommandParser {
         this.editor.syntaxHighlighting = !isDisable;
         this.editor.showMessage(`Syntax highlighting ${!isDisable ? 'enabled' : 'disabled'}`);
         return true;
+      
+      case 'hlsearch':
+      case 'hls':
+        this.editor.hlSearch = !isDisable;
+        this.editor.showMessage(`Search highlighting ${!isDisable ? 'enabled' : 'disabled'}`);
+        return true;
+      
+      case 'incsearch':
+      case 'is':
+        this.editor.incSearch = !isDisable;
+        this.editor.showMessage(`Incremental search ${!isDisable ? 'enabled' : 'disabled'}`);
+        return true;
+      
+      case 'ignorecase':
+      case 'ic':
+        this.editor.ignoreCase = !isDisable;
+        this.editor.showMessage(`Ignore case ${!isDisable ? 'enabled' : 'disabled'}`);
+        return true;
+      
+      case 'smartcase':
+      case 'scs':
+        this.editor.smartCase = !isDisable;
+        this.editor.showMessage(`Smart case ${!isDisable ? 'enabled' : 'disabled'}`);
+        return true;
+      
+      case 'wrapscan':
+      case 'ws':
+        this.editor.wrapScan = !isDisable;
+        this.editor.showMessage(`Search wrap around ${!isDisable ? 'enabled' : 'disabled'}`);
+        return true;
+      
+      case 'scrolloff':
+      case 'so':
+        return this.setNumberOption('scrolloff', value, 'scrollOff');
+      
+      case 'wrap':
+        this.editor.wrap = !isDisable;
+        this.editor.showMessage(`Line wrapping ${!isDisable ? 'enabled' : 'disabled'}`);
+        return true;
+      
+      case 'linebreak':
+      case 'lbr':
+        this.editor.lineBreak = !isDisable;
+        this.editor.showMessage(`Wrapping at word boundaries ${!isDisable ? 'enabled' : 'disabled'}`);
+        return true;
+      
+      case 'sidescroll':
+      case 'ss':
+        return this.setNumberOption('sidescroll', value, 'sideScroll');
+      
+      case 'shiftwidth':
+      case 'sw':
+        return this.setNumberOption('shiftwidth', value, 'shiftWidth', 1);
+      
+      case 'tabstop':
+      case 'ts':
+        return this.setNumberOption('tabstop', value, 'tabStop', 1);
+      
+      case 'expandtab':
+      case 'et':
+        this.editor.expandTab = !isDisable;
+        this.editor.showMessage(`Expand tabs ${!isDisable ? 'enabled' : 'disabled'}`);
+        return true;
+      
+      case 'autoindent':
+      case 'ai':
+        this.editor.autoIndent = !isDisable;
+        this.editor.showMessage(`Auto indent ${!isDisable ? 'enabled' : 'disabled'}`);
+        return true;
+      
+      case 'smartindent':
+      case 'si':
+        this.editor.smartIndent = !isDisable;
+        this.editor.showMessage(`Smart indent ${!isDisable ? 'enabled' : 'disabled'}`);
+        return true;
+      
+      case 'autopairs':
+      case 'ap':
+        this.editor.autoPairs = !isDisable;
+        this.editor.showMessage(`Auto-pairing ${!isDisable ? 'enabled' : 'disabled'}`);
+        return true;
+      
+      case 'foldmethod':
+      case 'fdm':
+        if (value !== undefined) {
+          if (!FOLD_METHODS.includes(value)) {
+            this.editor.showMessage(`E474: Invalid argument: foldmethod=${value}`, 3000, 'error');
+            return true;
+          }
+          this.editor.foldMethod = value;
+        }
+        this.editor.showMessage(`foldmethod=${this.editor.foldMethod}`);
+        return true;
+      
+      case 'list':
+        this.editor.list = !isDisable;
+        this.editor.showMessage(`List mode ${!isDisable ? 'enabled' : 'disabled'}`);
+        return true;
+      
+      case 'listchars':
+      case 'lcs':
+        // The value may have escaped spaces, as in tab:>\ ,trail:-
+        return this.setListChars(value === undefined ? undefined : commandStr.slice(commandStr.indexOf('=') + 1));
         
       default:
         this.editor.showMessage(`Unknown setting: ${setting}`);
@@ -91,6 +346,63 @@ class CommandParser {
     }
   }
 
+  /**
+   * Set the characters list mode shows (:set listchars=tab:>-,trail:-), or
+   * show them (:set listchars)
+   * @param {string|undefined} value - Value typed after "="
+   * @returns {boolean}
+   */
+  setListChars(value) {
+    if (value !== undefined) {
+      const listChars = {};
+      const items = value.replace(/\\ /g, ' ').split(',');
+      for (const item of items) {
+        const [, key, chars] = item.match(/^(\w+):(.*)$/u) || [];
+        const length = [...(chars || '')].length;
+        if (!LIST_CHARS.includes(key) || length !== (key === 'tab' ? 2 : 1)) {
+          this.editor.showMessage(`E474: Invalid argument: listchars=${value}`, 3000, 'error');
+          return true;
+        }
+        listChars[key] = chars;
+      }
+      this.editor.listChars = listChars;
+    }
+    this.editor.showMessage(`listchars=${this.formatListChars()}`);
+    return true;
+  }
+
+  /**
+   * Write the list mode characters the way they are set
+   * @returns {string}
+   */
+  formatListChars() {
+    return Object.entries(this.editor.listChars).map(([key, chars]) => `${key}:${chars}`).join(',');
+  }
+
+  /**
+   * Set a numeric setting (:set name=value), or show its value (:set name)
+   * @param {string} name - Setting name
+   * @param {string|undefined} value - Value typed after "="
+   * @param {string} property - Editor property holding the setting
+   * @param {number} min - Smallest value allowed
+   * @returns {boolean}
+   */
+  setNumberOption(name, value, property, min = 0) {
+    if (value !== undefined) {
+      if (!/^\d+$/.test(value)) {
+        this.editor.showMessage(`Number required after =: ${name}=${value}`);
+        return true;
+      }
+      if (parseInt(value, 10) < min) {
+        this.editor.showMessage(`Argument must be positive: ${name}=${value}`);
+        return true;
+      }
+      this.editor[property] = parseInt(value, 10);
+    }
+    this.editor.showMessage(`${name}=${this.editor[property]}`);
+    return true;
+  }
+
   /**
    * Save current file
    * @param {string} commandStr - Command string
@@ -101,14 +413,18 @@ class CommandParser {
   }
 
   /**
-   * Quit the editor
+   * Close the current window, or quit the editor from the last one
    * @param {string} commandStr - Command string
    * @returns {boolean}
    */
   quit(commandStr) {
-    if (this.editor.hasUnsavedChanges()) {
-      this.editor.showMessage('No write since last change (add ! to override)');
-      return false;
+    if (this.editor.closeWindow()) {
+      return true;
+    }
+    const [modified] = this.editor.buffers.getModified();
+    if (modified) {
+      this.showUnsaved(modified);
+      return true;
     }
     this.editor.quit();
     return true;
@@ -122,32 +438,356 @@ class CommandParser {
   saveAndQuit(commandStr) {
     const saved = this.saveFile(commandStr);
     if (saved) {
-      this.editor.quit();
-      return true;
+      return this.quit(commandStr);
     }
     return false;
   }
 
+  /**
+   * Tell the user a buffer has unsaved changes
+   * @param {Object} entry - Buffer list entry
+   */
+  showUnsaved(entry) {
+    const which = entry === this.editor.buffers.current ? '' : ` for buffer "${this.getBufferName(entry)}"`;
+    this.editor.showMessage(`No write since last change${which} (add ! to override)`);
+  }
+
+  /**
+   * Get the argument of a command, after its name and any "!"
+   * @param {string} commandStr - Command string
+   * @returns {string}
+   */
+  getArgument(commandStr) {
+    return commandStr.replace(/^[a-zA-Z]+!?\s*/, '').trim();
+  }
+
+  /**
+   * Check if a command name is followed by "!"
+   * @param {string} commandStr - Command string
+   * @returns {boolean}
+   */
+  hasBang(commandStr) {
+    return /^[a-zA-Z]+!/.test(commandStr);
+  }
+
+  /**
+   * Get the name :ls shows for a buffer
+   * @param {Object} entry - Buffer list entry
+   * @returns {string}
+   */
+  getBufferName(entry) {
+    const filePath = entry.buffer.getFilePath();
+    return filePath === 'untitled' ? '[No Name]' : filePath;
+  }
+
+  /**
+   * Show the name, state and size of the current buffer
+   */
+  showFileInfo() {
+    const buffer = this.editor.buffer;
+    const lines = buffer.getLineCount();
+    const flags = [
+      buffer.isNewFile ? '[New]' : '',
+      buffer.isModified() ? '[Modified]' : ''
+    ].filter(Boolean).join(' ');
+    const name = this.getBufferName(this.editor.buffers.current);
+    this.editor.showMessage(`"${name}"${flags ? ` ${flags}` : ''} ${lines} line${lines === 1 ? '' : 's'}`);
+  }
+
+  /**
+   * Find a buffer from a :b or :bd argument: a buffer number, "%" or "#",
+   * or part of a file name
+   * @param {string} arg - Argument
+   * @returns {Object|null} - Entry, or null after showing an error
+   */
+  findBuffer(arg) {
+    const buffers = this.editor.buffers;
+    let entry = null;
+    
+    if (arg === '%') {
+      entry = buffers.current;
+    } else if (arg === '#') {
+      entry = buffers.alternate;
+      if (!entry) {
+        this.editor.showMessage('No alternate file');
+        return null;
+      }
+    } else if (/^[0-9]+$/.test(arg)) {
+      entry = buffers.findByNumber(parseInt(arg, 10));
+      if (!entry) {
+        this.editor.showMessage(`Buffer ${arg} does not exist`);
+        return null;
+      }
+    } else {
+      const matches = buffers.findByName(arg);
+      if (matches.length !== 1) {
+        this.editor.showMessage(matches.length ? `More than one match for ${arg}` : `No matching buffer for ${arg}`);
+        return null;
+      }
+      [entry] = matches;
+    }
+    return entry;
+  }
+
+  /**
+   * Edit a file (:e path). ":e" alone loads the current file again, which
+   * needs ":e!" when it has unsaved changes; ":e #" edits the alternate file.
+   * @param {string} commandStr - Command string
+   * @returns {boolean}
+   */
+  editFile(commandStr) {
+    const filePath = this.getArgument(commandStr);
+    const editor = this.editor;
+    
+    if (filePath === '#') {
+      const entry = this.findBuffer('#');
+      if (entry) {
+        editor.switchToBuffer(entry);
+        this.showFileInfo();
+      }
+      return true;
+    }
+    
+    if (!filePath) {
+      if (editor.buffer.getFilePath() === 'untitled') {
+        editor.showMessage('No file name');
+        return true;
+      }
+      if (editor.buffer.isModified() && !this.hasBang(commandStr)) {
+        this.showUnsaved(editor.buffers.current);
+        return true;
+      }
+      editor.reloadBuffer();
+    } else {
+      editor.openFile(filePath);
+    }
+    
+    this.showFileInfo();
+    return true;
+  }
+
+  /**
+   * List the open buffers (:ls). Flags: % current, # alternate, a shown,
+   * h hidden, + modified.
+   * @returns {boolean}
+   */
+  listBuffers() {
+    const buffers = this.editor.buffers;
+    const lines = buffers.list().map(entry => {
+      const mark = entry === buffers.current ? '%' : (entry === buffers.alternate ? '#' : ' ');
+      const state = this.editor.isBufferShown(entry) ? 'a' : 'h';
+      const modified = entry.buffer.isModified() ? '+' : ' ';
+      const name = `"${this.getBufferName(entry)}"`;
+      return `${String(entry.number).padStart(3)} ${mark}${state} ${modified} ${name.padEnd(30)} line ${entry.buffer.getCursor().row + 1}`;
+    });
+    
+    this.editor.showMessage(lines.join('\n'), 5000);
+    return true;
+  }
+
+  /**
+   * Switch to a buffer by number or name (:b N)
+   * @param {string} commandStr - Command string
+   * @returns {boolean}
+   */
+  gotoBuffer(commandStr) {
+    const arg = this.getArgument(commandStr);
+    if (!arg) {
+      return true;
+    }
+    
+    const entry = this.findBuffer(arg);
+    if (entry) {
+      this.editor.switchToBuffer(entry);
+      this.showFileInfo();
+    }
+    return true;
+  }
+
+  /**
+   * Switch to the next buffer in the list (:bn [count]), wrapping around
+   * @param {string} commandStr - Command string
+   * @returns {boolean}
+   */
+  nextBuffer(commandStr) {
+    const count = parseInt(this.getArgument(commandStr), 10) || 1;
+    this.editor.switchToBuffer(this.editor.buffers.getRelative(count));
+    this.showFileInfo();
+    return true;
+  }
+
+  /**
+   * Switch to the previous buffer in the list (:bp [count]), wrapping around
+   * @param {string} commandStr - Command string
+   * @returns {boolean}
+   */
+  previousBuffer(commandStr) {
+    const count = parseInt(this.getArgument(commandStr), 10) || 1;
+    this.editor.switchToBuffer(this.editor.buffers.getRelative(-count));
+    this.showFileInfo();
+    return true;
+  }
+
+  /**
+   * Close a buffer (:bd [N]); ":bd!" drops its unsaved changes
+   * @param {string} commandStr - Command string
+   * @returns {boolean}
+   */
+  deleteBuffer(commandStr) {
+    const arg = this.getArgument(commandStr);
+    const entry = arg ? this.findBuffer(arg) : this.editor.buffers.current;
+    if (!entry) {
+      return true;
+    }
+    
+    if (entry.buffer.isModified() && !this.hasBang(commandStr)) {
+      this.editor.showMessage(`No write since last change for buffer ${entry.number} (add ! to override)`);
+      return true;
+    }
+    
+    this.editor.deleteBuffer(entry);
+    return true;
+  }
+
+  /**
+   * Split the current window, optionally editing a file in the new one (:sp)
+   * @param {string} commandStr - Command string
+   * @returns {boolean}
+   */
+  splitWindow(commandStr) {
+    return this.openSplit(commandStr, 'column');
+  }
+
+  /**
+   * Split the current window side by side (:vs)
+   * @param {string} commandStr - Command string
+   * @returns {boolean}
+   */
+  verticalSplitWindow(commandStr) {
+    return this.openSplit(commandStr, 'row');
+  }
+
+  /**
+   * Split the current window and edit a file in the new one if given
+   * @param {string} commandStr - Command string
+   * @param {string} direction - 'column' or 'row'
+   * @returns {boolean}
+   */
+  openSplit(commandStr, direction) {
+    const filePath = this.getArgument(commandStr || '');
+    if (!this.editor.splitWindow(direction)) {
+      return true;
+    }
+    if (filePath) {
+      this.editor.openFile(filePath);
+      this.showFileInfo();
+    }
+    return true;
+  }
+
+  /**
+   * Close the current window (:close)
+   * @returns {boolean}
+   */
+  closeWindow() {
+    if (!this.editor.closeWindow()) {
+      this.editor.showMessage('Cannot close last window');
+    }
+    return true;
+  }
+
+  /**
+   * Close all other windows (:only)
+   * @returns {boolean}
+   */
+  onlyWindow() {
+    this.editor.onlyWindow();
+    return true;
+  }
+
+  /**
+   * Open a tab page, editing a file if given (:tabnew, :tabe file)
+   * @param {string} commandStr - Command string
+   * @returns {boolean}
+   */
+  newTab(commandStr) {
+    const filePath = this.getArgument(commandStr);
+    this.editor.newTab(filePath || null);
+    if (filePath) {
+      this.showFileInfo();
+    }
+    return true;
+  }
+
+  /**
+   * Close the current tab page (:tabclose)
+   * @returns {boolean}
+   */
+  closeTab() {
+    if (!this.editor.closeTab()) {
+      this.editor.showMessage('Cannot close last tab page');
+    }
+    return true;
+  }
+
+  /**
+   * Go to the next tab page, or tab page N (:tabn [N])
+   * @param {string} commandStr - Command string
+   * @returns {boolean}
+   */
+  nextTab(commandStr) {
+    this.editor.nextTab(parseInt(this.getArgument(commandStr), 10) || null);
+    return true;
+  }
+
+  /**
+   * Go back one or N tab pages (:tabp [N])
+   * @param {string} commandStr - Command string
+   * @returns {boolean}
+   */
+  previousTab(commandStr) {
+    this.editor.previousTab(parseInt(this.getArgument(commandStr), 10) || null);
+    return true;
+  }
+
   /**
    * Force quit without saving
    * @param {string} commandStr - Command string
    * @returns {boolean}
    */
   forceQuit(commandStr) {
+    if (this.editor.closeWindow()) {
+      return true;
+    }
     this.editor.quit();
     return true;
   }
 
   /**
-   * Show current settings
+   * Show current settings (:set), or change one (:set {setting})
    * @param {string} commandStr - Command string
    * @returns {boolean}
    */
   showSettings(commandStr) {
+    if (commandStr.trim() !== 'set') {
+      return this.handleSetCommand(commandStr);
+    }
+    
     const settings = [
       `Line numbers: ${this.editor.showLineNumbers ? 'on' : 'off'}`,
       `Relative numbers: ${this.editor.relativeLineNumbers ? 'on' : 'off'}`,
       `Syntax highlighting: ${this.editor.syntaxHighlighting ? 'on' : 'off'}`,
+      `Search: hlsearch ${this.editor.hlSearch ? 'on' : 'off'}, incsearch ${this.editor.incSearch ? 'on' : 'off'}, ` +
+        `ignorecase ${this.editor.ignoreCase ? 'on' : 'off'}, smartcase ${this.editor.smartCase ? 'on' : 'off'}`,
+      `Scrolloff: ${this.editor.scrollOff}`,
+      `Wrap: ${this.editor.wrap ? 'on' : 'off'}, linebreak ${this.editor.lineBreak ? 'on' : 'off'}, ` +
+        `sidescroll ${this.editor.sideScroll}`,
+      `Indent: shiftwidth ${this.editor.shiftWidth}, tabstop ${this.editor.tabStop}, ` +
+        `expandtab ${this.editor.expandTab ? 'on' : 'off'}, autoindent ${this.editor.autoIndent ? 'on' : 'off'}, ` +
+        `smartindent ${this.editor.smartIndent ? 'on' : 'off'}`,
+      `Auto-pairs: ${this.editor.autoPairs ? 'on' : 'off'}`,
+      `Fold method: ${this.editor.foldMethod}`,
+      `List: ${this.editor.list ? 'on' : 'off'}, listchars ${this.formatListChars()}`,
       `Theme: ${this.editor.getCurrentTheme()}`
     ].join('\n');
     
@@ -167,14 +807,57 @@ class CommandParser {
       ':q - Quit',
       ':wq - Save and quit',
       ':q! - Force quit',
+      ':e <file> - Edit a file in a new buffer (:e! reloads the current file)',
+      ':ls, :b N, :bn, :bp, :bd - List, switch to, cycle and close buffers',
+      ':sp [file], :vs [file] - Split the window; Ctrl-W h/j/k/l, w move between windows',
+      ':close, :only, Ctrl-W = - Close this or all other windows, equalize sizes',
+      ':tabnew, :tabe <file>, :tabclose, gt/gT - Open, close and switch tab pages',
       ':set relativenumber/nornu - Toggle relative line numbers',
       ':set number/nonu - Toggle line numbers',
       ':set syntax/nosyntax - Toggle syntax highlighting',
+      ':set hlsearch/incsearch/ignorecase/smartcase/wrapscan - Search options',
+      ':set scrolloff=N - Keep N lines above and below the cursor',
+      ':set wrap/nowrap, linebreak, sidescroll=N - Wrap long lines (at word boundaries) or scroll sideways',
+      ':set shiftwidth=N, tabstop=N, expandtab, autoindent, smartindent - Indent options',
+      ':set autopairs/noap - Close brackets and quotes as they are typed',
+      ':set foldmethod=manual/indent/marker/syntax - How folds are made',
+      ':set list/nolist, listchars=tab:>-,trail:-,space:.,eol:$,nbsp:+ - Show tabs, spaces and line ends',
+      ':noh - Clear search highlighting',
+      ':[range]s/pattern/replacement/[gcinIe] - Substitute (ranges: ., $, %, 10,20, .,+3, \'<,\'>)',
+      ':{line} - Go to line',
+      ':[range]g/pattern/cmd, :v/pattern/cmd - Run d, s, m, t, normal on (non-)matching lines',
+      ':[range]d, :m {line}, :t {line} - Delete, move, copy lines',
+      ':[range]normal {keys} - Run normal mode keys on each line',
       ':cs <theme> - Change color scheme (dracula, neon, ocean, sunset)',
       ':themes - List all available themes',
       ':ai - Toggle AI completion and show status',
       ':aimodel <model> - Change AI model',
       '',
+      'Normal mode:',
+      'h/j/k/l, w/b/e, W/B/E, 0/^/$, gg/G - Motions (with counts, e.g. 3w, 42G)',
+      'gj / gk - Down / up a display line of a wrapped line',
+      'f/t/F/T{char}, ; / , - Find a character in the line, repeat the find forward / back',
+      '%, { / }, H/M/L - Matching bracket, previous / next paragraph, top/middle/bottom of the window',
+      'Ctrl-D/U, Ctrl-F/B, zz/zt/zb - Scroll half a window / a window, put the line in the middle/top/bottom',
+      'zf{motion}, zF - Fold lines (foldmethod=manual); zd deletes the fold',
+      'zo / zc / za, zR / zM - Open / close / toggle the fold at the cursor, open / close all folds',
+      'd/c/y{motion} - Delete, change, yank (dd, cc, yy for lines)',
+      '>/</={motion} - Indent, dedent, re-indent lines (>>, <<, == for the current line)',
+      'i/a + w W s p " \' ` ( { [ < t - Text objects after an operator or in visual mode (ci", da(, yip)',
+      'x, X, D, Y - Delete char, delete char before, delete to end, yank line',
+      'i, a, A, I, o, O - Insert before / after the cursor, at the line end / start, on a new line below / above',
+      's, S, C, R - Substitute characters / line, change to the line end, replace mode',
+      'u / Ctrl-R - Undo / redo',
+      '. - Repeat the last change (a count replaces its count)',
+      'q{a-z} ... q, @{a-z}, @@ - Record a macro, play it back, play the last one again',
+      'm{a-zA-Z}, \'{mark}, `{mark} - Set a mark, go to its line / position',
+      'Ctrl-O / Ctrl-I - Older / newer position in the jump list (:marks, :jumps list them)',
+      'p / P - Put after / before the cursor ("a prefix selects register a)',
+      ':registers [names] - Show register contents',
+      'v / V / Ctrl-V - Visual, visual line, visual block (then d, y, c, >, <, ~)',
+      '/pattern, ?pattern - Search forward / backward (JavaScript regex)',
+      'n / N, * / # - Next / previous match, search word under cursor',
+      '',
       'AI Code Generation:',
       ':generate <instruction> - Generate new code from description',
       ':gen <instruction> - Same as generate (short form)',
@@ -193,6 +876,705 @@ class CommandParser {
     return true;
   }
 
+  /**
+   * Substitute matches of a pattern in a range of lines:
+   * :[range]s/pattern/replacement/[flags] [count]
+   * Without a pattern (":s", ":&") the last substitute is repeated.
+   * Flags: g all matches in a line, c confirm each, i/I ignore/match case,
+   * n only count matches, e no error when nothing matches.
+   * @param {string} args - Arguments after the command name
+   * @param {Object|null} range - Line range, defaults to the current line
+   * @returns {boolean}
+   */
+  async substitute(args, range) {
+    const editor = this.editor;
+    const buffer = editor.buffer;
+    
+    let parsed;
+    try {
+      parsed = this.parseSubstitute(args);
+    } catch (error) {
+      editor.showMessage(error.message);
+      return true;
+    }
+    const { pattern, replacement, flags, count } = parsed;
+    
+    let regex;
+    try {
+      if (flags.includes('i') || flags.includes('I')) {
+        regex = new RegExp(pattern, flags.includes('i') ? 'gi' : 'g');
+      } else {
+        regex = editor.compileSearchPattern(pattern);
+      }
+    } catch (error) {
+      editor.showMessage(`Invalid pattern: ${error.message}`, 3000, 'error');
+      return true;
+    }
+    
+    this.lastSubstitute = { pattern, replacement, flags };
+    editor.lastSearch = { pattern, backward: false };
+    editor.searchHighlight = true;
+    
+    const cursorRow = buffer.getCursor().row;
+    let start = range ? range.start : cursorRow;
+    let end = range ? range.end : cursorRow;
+    // A count starts at the last line of the range
+    if (count) {
+      start = end;
+      end = Math.min(buffer.getLineCount() - 1, end + count - 1);
+    }
+    
+    const all = flags.includes('g');
+    let confirm = flags.includes('c');
+    let total = 0;
+    let lines = 0;
+    let lastRow = null;
+    let quit = false;
+    
+    buffer.beginChange();
+    try {
+      for (let row = start; row <= end && !quit; row++) {
+        const line = buffer.getLine(row);
+        const matches = this.findSubstituteMatches(line, regex, all);
+        if (matches.length === 0) {
+          continue;
+        }
+        if (flags.includes('n')) {
+          total += matches.length;
+          lines++;
+          continue;
+        }
+        
+        // Build the new line from the original; a replacement may split it
+        // into several rows
+        let result = '';
+        let last = 0;
+        let rows = 1;
+        let replaced = 0;
+        for (const match of matches) {
+          let answer = 'y';
+          if (confirm) {
+            rows = this.replaceRows(row, rows, result + line.slice(last));
+            const before = (result + line.slice(last, match.index)).split('\n');
+            const col = before[before.length - 1].length;
+            answer = await this.confirmSubstitution({
+              row: row + before.length - 1,
+              start: col,
+              end: col + match[0].length
+            }, replacement);
+            if (answer === 'q') {
+              quit = true;
+              break;
+            }
+          }
+          
+          const accept = answer !== 'n';
+          result += line.slice(last, match.index) + (accept ? this.expandReplacement(replacement, match) : match[0]);
+          last = match.index + match[0].length;
+          replaced += accept ? 1 : 0;
+          
+          if (answer === 'a') {
+            confirm = false;
+          } else if (answer === 'l') {
+            quit = true;
+            break;
+          }
+        }
+        
+        const newRows = this.replaceRows(row, rows, result + line.slice(last));
+        if (replaced > 0) {
+          total += replaced;
+          lines++;
+          lastRow = row + newRows - 1;
+        }
+        end += newRows - 1;
+        row += newRows - 1;
+      }
+    } finally {
+      buffer.endChange();
+    }
+    
+    if (lastRow !== null) {
+      this.gotoLine(lastRow);
+    }
+    
+    const countOnly = flags.includes('n');
+    if (this.globalActive) {
+      // Under :g the counts add up and are reported once at the end
+      this.globalSubstitutions.total += total;
+      this.globalSubstitutions.lines += lines;
+      this.globalSubstitutions.countOnly = countOnly;
+    } else if (total > 0) {
+      this.reportSubstitutions({ total, lines, countOnly });
+    } else if (!flags.includes('e') && !quit) {
+      editor.showMessage(`Pattern not found: ${pattern}`);
+    }
+    return true;
+  }
+
+  /**
+   * Show how many substitutions (or matches, for the n flag) were made
+   * @param {Object} counts - {total, lines, countOnly}
+   */
+  reportSubstitutions({ total, lines, countOnly }) {
+    const plural = (n, word, suffix = 's') => `${n} ${word}${n === 1 ? '' : suffix}`;
+    const what = countOnly ? plural(total, 'match', 'es') : plural(total, 'substitution');
+    this.editor.showMessage(`${what} on ${plural(lines, 'line')}`);
+  }
+
+  /**
+   * Split the arguments of :s into pattern, replacement, flags and count. The
+   * character after the command name is the delimiter; it can be escaped with
+   * a backslash inside the pattern and replacement.
+   * @param {string} args - Arguments after the command name
+   * @returns {Object} - {pattern, replacement, flags, count}
+   * @throws {Error} - If there is nothing to repeat or the flags are invalid
+   */
+  parseSubstitute(args) {
+    const delimiter = args[0];
+    let pattern;
+    let replacement;
+    let tail;
+    
+    if (!delimiter || /[a-zA-Z0-9\s\\"|&]/.test(delimiter)) {
+      // Repeat the last substitute, with new flags (":s g", ":&&")
+      if (!this.lastSubstitute) {
+        throw new Error('No previous substitute regular expression');
+      }
+      ({ pattern, replacement } = this.lastSubstitute);
+      tail = args.trim();
+      if (tail.startsWith('&')) {
+        tail = this.lastSubstitute.flags + tail.slice(1);
+      }
+    } else {
+      const { fields, rest } = this.splitDelimited(args, 2);
+      [pattern, replacement] = fields;
+      tail = rest.trim();
+      
+      // An empty pattern means the last search pattern
+      if (!pattern) {
+        if (!this.editor.lastSearch) {
+          throw new Error('No previous regular expression');
+        }
+        pattern = this.editor.lastSearch.pattern;
+      }
+    }
+    
+    const match = /^([cegiIn]*)\s*([0-9]*)$/.exec(tail);
+    if (!match) {
+      throw new Error(`Trailing characters: ${tail}`);
+    }
+    return { pattern, replacement, flags: match[1], count: match[2] ? parseInt(match[2], 10) : null };
+  }
+
+  /**
+   * Split arguments like "/pattern/replacement/flags" at the delimiter they
+   * start with. The delimiter can be escaped with a backslash inside a field;
+   * other escapes are kept as they are.
+   * @param {string} args - Arguments starting with the delimiter
+   * @param {number} count - Number of fields to read
+   * @returns {Object} - {fields, rest}; missing fields are empty strings
+   */
+  splitDelimited(args, count) {
+    const delimiter = args[0];
+    const fields = [''];
+    let index = 1;
+    while (index < args.length) {
+      const char = args[index];
+      if (char === '\\' && index + 1 < args.length) {
+        const next = args[index + 1];
+        fields[fields.length - 1] += next === delimiter ? next : char + next;
+        index += 2;
+      } else if (char === delimiter) {
+        index++;
+        if (fields.length === count) {
+          break;
+        }
+        fields.push('');
+      } else {
+        fields[fields.length - 1] += char;
+        index++;
+      }
+    }
+    
+    while (fields.length < count) {
+      fields.push('');
+    }
+    return { fields, rest: args.slice(index) };
+  }
+
+  /**
+   * Find the matches of a substitute pattern in a line
+   * @param {string} line - Line text
+   * @param {RegExp} regex - Global regular expression
+   * @param {boolean} all - Find all matches instead of only the first
+   * @returns {Array<Array>} - RegExp match results
+   */
+  findSubstituteMatches(line, regex, all) {
+    const matches = [];
+    regex.lastIndex = 0;
+    let match;
+    while ((match = regex.exec(line)) !== null) {
+      matches.push(match);
+      if (!all) {
+        break;
+      }
+      // Step over empty matches so the loop ends
+      if (match[0].length === 0) {
+        regex.lastIndex++;
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * Expand a replacement string for a match. "&", "\0" and "$&" stand for the
+   * whole match, "\1"-"\9" and "$1"-"$9" for capture groups, "\r" and "\n"
+   * for a line break and "\t" for a tab; other escaped characters are literal.
+   * @param {string} replacement - Replacement string
+   * @param {Array} match - RegExp match result
+   * @returns {string}
+   */
+  expandReplacement(replacement, match) {
+    let result = '';
+    for (let i = 0; i < replacement.length; i++) {
+      const char = replacement[i];
+      const next = replacement[i + 1];
+      
+      if (char === '\\' && next !== undefined) {
+        i++;
+        if (/[0-9]/.test(next)) {
+          result += match[next] || '';
+        } else if (next === 'r' || next === 'n') {
+          result += '\n';
+        } else if (next === 't') {
+          result += '\t';
+        } else {
+          result += next;
+        }
+      } else if (char === '$' && next !== undefined && /[0-9&]/.test(next)) {
+        i++;
+        result += next === '&' ? match[0] : (match[next] || '');
+      } else if (char === '&') {
+        result += match[0];
+      } else {
+        result += char;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Replace the rows a line currently takes up with new text, which may span
+   * several rows. Nothing is changed when the text is the same.
+   * @param {number} row - First row
+   * @param {number} rows - Number of rows the line takes up
+   * @param {string} text - New text, with "\n" between rows
+   * @returns {number} - Number of rows the line takes up now
+   */
+  replaceRows(row, rows, text) {
+    const buffer = this.editor.buffer;
+    const newLines = text.split('\n');
+    if (buffer.getLines(row, row + rows - 1).join('\n') !== text) {
+      buffer.replaceLines(row, row + rows - 1, newLines);
+    }
+    return newLines.length;
+  }
+
+  /**
+   * Ask whether to replace a match (:s///c), highlighting it
+   * @param {Object} match - {row, start, end} of the match
+   * @param {string} replacement - Replacement string
+   * @returns {string} - 'y' yes, 'n' no, 'a' all remaining, 'q' quit,
+   *   'l' replace this one and quit
+   */
+  async confirmSubstitution(match, replacement) {
+    const editor = this.editor;
+    editor.buffer.setCursor(match.row, match.start);
+    editor.confirmMatch = match;
+    
+    let answer = null;
+    while (!['y', 'n', 'a', 'q', 'l'].includes(answer)) {
+      answer = await editor.promptKey(`replace with ${replacement} (y/n/a/q/l)?`);
+      if (answer === '<Esc>') {
+        answer = 'q';
+      }
+    }
+    
+    editor.confirmMatch = null;
+    return answer;
+  }
+
+  /**
+   * Get the rows a line command works on: the range (or the current line),
+   * or with a count, that many lines from the last line of the range
+   * @param {Object|null} range - Line range
+   * @param {string} count - Count typed after the command, may be empty
+   * @returns {Object} - {start, end}
+   */
+  getLineRange(range, count) {
+    const buffer = this.editor.buffer;
+    const cursorRow = buffer.getCursor().row;
+    const { start, end } = range || { start: cursorRow, end: cursorRow };
+    if (!count) {
+      return { start, end };
+    }
+    return { start: end, end: Math.min(buffer.getLineCount() - 1, end + parseInt(count, 10) - 1) };
+  }
+
+  /**
+   * Parse the destination address of :m and :t
+   * @param {string} args - Arguments after the command name
+   * @returns {number|null} - Row to put lines below (-1 for above the first
+   *   line), or null after showing an error
+   */
+  parseDestination(args) {
+    const buffer = this.editor.buffer;
+    const currentRow = buffer.getCursor().row;
+    try {
+      const address = parseAddress(args, 0, this.getRangeContext(), currentRow);
+      if (!address || args.slice(address.index).trim()) {
+        this.editor.showMessage('Invalid address');
+        return null;
+      }
+      if (address.row < -1 || address.row > buffer.getLineCount() - 1) {
+        this.editor.showMessage('Invalid range');
+        return null;
+      }
+      return address.row;
+    } catch (error) {
+      this.editor.showMessage(error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Report a change in the number of lines when it's more than a couple
+   * @param {number} delta - Lines added (positive) or removed (negative)
+   */
+  reportLines(delta) {
+    if (Math.abs(delta) > 2) {
+      this.editor.showMessage(`${Math.abs(delta)} ${delta > 0 ? 'more' : 'fewer'} lines`);
+    }
+  }
+
+  /**
+   * Delete lines into a register: :[range]d [register] [count]
+   * @param {string} args - Arguments after the command name
+   * @param {Object|null} range - Line range, defaults to the current line
+   * @returns {boolean}
+   */
+  deleteLines(args, range) {
+    const match = /^\s*([^0-9\s])?\s*([0-9]*)\s*$/.exec(args);
+    if (!match) {
+      this.editor.showMessage(`Trailing characters: ${args.trim()}`);
+      return true;
+    }
+    
+    const [, register = null, count] = match;
+    if (register && !this.editor.registers.isValidName(register)) {
+      this.editor.showMessage(`Invalid register name: ${register}`);
+      return true;
+    }
+    
+    const { start, end } = this.getLineRange(range, count);
+    const buffer = this.editor.buffer;
+    this.editor.registers.delete(buffer.getLines(start, end).join('\n'), 'line', register);
+    buffer.deleteLines(start, end);
+    this.reportLines(-(end - start + 1));
+    return true;
+  }
+
+  /**
+   * Move lines below another line: :[range]m {address}
+   * @param {string} args - Arguments after the command name
+   * @param {Object|null} range - Line range, defaults to the current line
+   * @returns {boolean}
+   */
+  moveLines(args, range) {
+    const target = this.parseDestination(args);
+    if (target === null) {
+      return true;
+    }
+    
+    const { start, end } = this.getLineRange(range, '');
+    if (target >= start && target < end) {
+      this.editor.showMessage('Cannot move a range of lines into itself');
+      return true;
+    }
+    
+    const buffer = this.editor.buffer;
+    buffer.moveLines(start, end, target);
+    this.gotoLine(buffer.getCursor().row);
+    return true;
+  }
+
+  /**
+   * Copy lines below another line: :[range]t {address}
+   * @param {string} args - Arguments after the command name
+   * @param {Object|null} range - Line range, defaults to the current line
+   * @returns {boolean}
+   */
+  copyLines(args, range) {
+    const target = this.parseDestination(args);
+    if (target === null) {
+      return true;
+    }
+    
+    const { start, end } = this.getLineRange(range, '');
+    const buffer = this.editor.buffer;
+    buffer.insertLines(target + 1, buffer.getLines(start, end));
+    this.gotoLine(target + 1 + end - start);
+    this.reportLines(end - start + 1);
+    return true;
+  }
+
+  /**
+   * Execute normal mode keys: :[range]norm[al] {keys}. With a range, the
+   * keys run with the cursor at the start of each line.
+   * @param {string} args - Arguments after the command name
+   * @param {Object|null} range - Line range; without one the keys run once
+   *   at the cursor
+   * @returns {boolean}
+   */
+  async normal(args, range) {
+    // "normal!" means no mappings in Vim; there are none here
+    const keys = args.replace(/^!/, '').replace(/^ /, '');
+    if (!keys) {
+      this.editor.showMessage('Argument required');
+      return true;
+    }
+    
+    const buffer = this.editor.buffer;
+    if (!range) {
+      await this.editor.executeNormalKeys(keys);
+      return true;
+    }
+    
+    const tracker = buffer.trackRows(this.rowsOf(range));
+    buffer.beginChange();
+    try {
+      for (let i = 0; i < tracker.rows.length; i++) {
+        const row = tracker.rows[i];
+        if (row === null) {
+          continue;
+        }
+        buffer.setCursor(row, 0);
+        await this.editor.executeNormalKeys(keys);
+      }
+    } finally {
+      buffer.endChange();
+      buffer.untrackRows(tracker);
+    }
+    return true;
+  }
+
+  /**
+   * Run an Ex command on every line matching a pattern:
+   * :[range]g/pattern/command, or on every line not matching it with
+   * :[range]v/pattern/command or :g!. Lines are marked first, so lines
+   * deleted by the command on an earlier line are skipped. The whole run
+   * undoes as one change.
+   * @param {string} args - Arguments after the command name
+   * @param {Object|null} range - Line range, defaults to the whole file
+   * @param {boolean} invert - Run on lines that don't match
+   * @returns {boolean}
+   */
+  async global(args, range, invert = false) {
+    const editor = this.editor;
+    const buffer = editor.buffer;
+    
+    if (this.globalActive) {
+      editor.showMessage('Cannot do :global recursively');
+      return true;
+    }
+    if (args[0] === '!') {
+      invert = true;
+      args = args.slice(1);
+    }
+    if (!args || /[a-zA-Z0-9\s\\"|]/.test(args[0])) {
+      editor.showMessage('Regular expression missing from :global');
+      return true;
+    }
+    
+    const { fields, rest } = this.splitDelimited(args, 1);
+    let pattern = fields[0];
+    if (!pattern) {
+      if (!editor.lastSearch) {
+        editor.showMessage('No previous regular expression');
+        return true;
+      }
+      pattern = editor.lastSearch.pattern;
+    }
+    
+    let regex;
+    try {
+      regex = editor.compileSearchPattern(pattern);
+    } catch (error) {
+      editor.showMessage(`Invalid pattern: ${error.message}`, 3000, 'error');
+      return true;
+    }
+    editor.lastSearch = { pattern, backward: false };
+    editor.searchHighlight = true;
+    
+    const { start, end } = range || { start: 0, end: buffer.getLineCount() - 1 };
+    const rows = this.rowsOf({ start, end }).filter(row => {
+      regex.lastIndex = 0;
+      return regex.test(buffer.getLine(row)) !== invert;
+    });
+    if (rows.length === 0) {
+      editor.showMessage(invert ? `Pattern found in every line: ${pattern}` : `Pattern not found: ${pattern}`);
+      return true;
+    }
+    
+    // Without a command the matching lines are listed
+    const command = rest.trimStart();
+    if (!command.trim()) {
+      editor.showMessage(rows.map(row => `${String(row + 1).padStart(4)} ${buffer.getLine(row)}`).join('\n'), 5000);
+      return true;
+    }
+    
+    const lineCount = buffer.getLineCount();
+    const tracker = buffer.trackRows(rows);
+    this.globalActive = true;
+    this.globalSubstitutions = { total: 0, lines: 0, countOnly: false };
+    buffer.beginChange();
+    try {
+      for (let i = 0; i < tracker.rows.length; i++) {
+        const row = tracker.rows[i];
+        if (row === null) {
+          continue;
+        }
+        buffer.setCursor(row, 0);
+        const result = await this.parseCommand(command);
+        if (!result) {
+          editor.showMessage(`Unknown command: ${command}`);
+          break;
+        }
+      }
+    } finally {
+      buffer.endChange();
+      buffer.untrackRows(tracker);
+      this.globalActive = false;
+    }
+    
+    if (this.globalSubstitutions.total > 0) {
+      this.reportSubstitutions(this.globalSubstitutions);
+    } else {
+      this.reportLines(buffer.getLineCount() - lineCount);
+    }
+    return true;
+  }
+
+  /**
+   * List the rows of a range
+   * @param {Object} range - {start, end}
+   * @returns {Array<number>}
+   */
+  rowsOf(range) {
+    return Array.from({ length: range.end - range.start + 1 }, (_, i) => range.start + i);
+  }
+
+  /**
+   * Stop highlighting the matches of the last search until the next search
+   * @returns {boolean}
+   */
+  clearSearchHighlight() {
+    this.editor.searchHighlight = false;
+    return true;
+  }
+
+  /**
+   * Show register contents, optionally only the registers named in the argument
+   * @param {string} commandStr - Command string (e.g. "registers a0")
+   * @returns {boolean}
+   */
+  showRegisters(commandStr) {
+    const filter = commandStr.split(' ').slice(1).join('');
+    const entries = this.editor.registers.list()
+      .filter(entry => !filter || filter.includes(entry.name));
+    
+    if (entries.length === 0) {
+      this.editor.showMessage('No registers to show');
+      return true;
+    }
+    
+    const lines = ['Type Name Content'];
+    entries.forEach(({ name, text, type }) => {
+      // Show line breaks as ^J and other control keys (in macros) as ^X
+      // like Vim, and keep each entry on one line
+      const content = text.replace(/[\x00-\x1f\x7f]/g, char =>
+        (char === '\x7f' ? '^?' : `^${String.fromCharCode(char.charCodeAt(0) + 64)}`));
+      const shown = content.length > 60 ? `${content.slice(0, 57)}...` : content;
+      lines.push(`  ${type[0]}  "${name}   ${shown}`);
+    });
+    
+    this.editor.showMessage(lines.join('\n'), 5000);
+    return true;
+  }
+
+  /**
+   * Show marks, optionally only the marks named in the argument (:marks aB)
+   * @param {string} commandStr - Command string
+   * @returns {boolean}
+   */
+  showMarks(commandStr) {
+    const filter = this.getArgument(commandStr).replace(/\s/g, '');
+    const names = ("'" + 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ<>').split('')
+      .filter(name => !filter || filter.includes(name));
+    const lines = ['mark line  col file/text'];
+    names.forEach(name => {
+      const mark = this.editor.getMarkPosition(name);
+      if (mark) {
+        lines.push(` ${name} ${String(mark.pos.row + 1).padStart(6)} ${String(mark.pos.col).padStart(4)} ${this.describePosition(mark.entry, mark.pos.row, mark.filePath)}`);
+      }
+    });
+    
+    if (lines.length === 1) {
+      this.editor.showMessage(filter ? `Mark not set: ${filter}` : 'No marks set');
+      return true;
+    }
+    this.editor.showMessage(lines.join('\n'), 5000);
+    return true;
+  }
+
+  /**
+   * Show the jump list of the current window; ">" marks where Ctrl-O and
+   * Ctrl-I count from
+   * @returns {boolean}
+   */
+  showJumps() {
+    const jumpList = this.editor.layout.current.jumpList;
+    const jumps = jumpList.list();
+    const lines = [' jump line  col file/text'];
+    jumps.forEach((jump, i) => {
+      const current = i === jumpList.index ? '>' : ' ';
+      const distance = String(Math.abs(i - jumpList.index)).padStart(3);
+      lines.push(`${current}${distance} ${String(jump.row + 1).padStart(5)} ${String(jump.col).padStart(4)} ${this.describePosition(jump.entry, jump.row)}`);
+    });
+    if (jumpList.index >= jumps.length) {
+      lines.push('>');
+    }
+    
+    this.editor.showMessage(lines.join('\n'), 5000);
+    return true;
+  }
+
+  /**
+   * Describe a position for :marks and :jumps: the line's text in the
+   * current buffer, the file name in others
+   * @param {Object|null} entry - Buffer list entry (null for a closed buffer)
+   * @param {number} row - Row
+   * @param {string} filePath - File path, for a closed buffer
+   * @returns {string}
+   */
+  describePosition(entry, row, filePath = '') {
+    if (entry && entry === this.editor.buffers.current) {
+      return (this.editor.buffer.getLine(row) || '').trim();
+    }
+    return entry ? this.getBufferName(entry) : filePath;
+  }
+
   /**
    * List available color schemes/themes
    * @returns {boolean}
@@ -0,0 +1,194 @@
+/**
+ * Display widths of text in a terminal. Columns in the buffer are string
+ * indices, but what is shown takes a different number of cells:
+ * - a tab takes the cells up to the next tab stop
+ * - East Asian wide and fullwidth characters and emoji take two
+ * - combining marks, variation selectors and characters joined with a
+ *   zero width joiner take none; they are shown with the character before
+ * - a surrogate pair is one character in two indices
+ * - control characters are shown as ^X, in two cells
+ *
+ * A character here is a base character with everything shown with it, so
+ * the cursor never lands inside one.
+ */
+
+// Lines made of these take one cell per index
+const PLAIN = /^[\x20-\x7e]*$/;
+
+const ZERO_WIDTH = /^[\p{Mn}\p{Me}\u200b-\u200f\ufe00-\ufe0f\u{1f3fb}-\u{1f3ff}\u{e0020}-\u{e007f}\u{e0100}-\u{e01ef}]$/u;
+const REGIONAL_INDICATOR = /^[\u{1f1e6}-\u{1f1ff}]$/u;
+const EMOJI = /^\p{Emoji_Presentation}$/u;
+
+// East Asian wide and fullwidth ranges
+const WIDE_RANGES = [
+  [0x1100, 0x115f], [0x2329, 0x232a], [0x2e80, 0x303e], [0x3041, 0x33ff],
+  [0x3400, 0x4dbf], [0x4e00, 0x9fff], [0xa000, 0xa4cf], [0xa960, 0xa97f],
+  [0xac00, 0xd7a3], [0xf900, 0xfaff], [0xfe10, 0xfe19], [0xfe30, 0xfe6f],
+  [0xff00, 0xff60], [0xffe0, 0xffe6], [0x1b000, 0x1b2ff], [0x20000, 0x2fffd],
+  [0x30000, 0x3fffd]
+];
+
+/**
+ * Check whether a code point goes with the character before it
+ * @param {string} codePoint - Code point
+ * @param {string} previous - Character so far
+ * @returns {boolean}
+ */
+function joinsPrevious(codePoint, previous) {
+  // A flag is a pair of regional indicators
+  const flag = REGIONAL_INDICATOR.test(codePoint) && REGIONAL_INDICATOR.test(previous);
+  return ZERO_WIDTH.test(codePoint) || previous.endsWith('\u200d') || flag;
+}
+
+/**
+ * Split a line into characters as they are shown
+ * @param {string} line - Line
+ * @returns {Array<Object>} - Characters {index, text}
+ */
+function getCharacters(line) {
+  const chars = [];
+  let index = 0;
+  for (const codePoint of line) {
+    const last = chars[chars.length - 1];
+    if (last && joinsPrevious(codePoint, last.text)) {
+      last.text += codePoint;
+    } else {
+      chars.push({ index, text: codePoint });
+    }
+    index += codePoint.length;
+  }
+  return chars;
+}
+
+/**
+ * Get the number of cells a character takes
+ * @param {string} text - Character from getCharacters
+ * @param {number} col - Display column it starts at
+ * @param {number} tabStop - Columns per tab
+ * @returns {number}
+ */
+function charWidth(text, col, tabStop) {
+  if (text === '\t') {
+    return tabStop - (col % tabStop);
+  }
+  const code = text.codePointAt(0);
+  if (code < 0x20 || code === 0x7f) {
+    return 2;
+  }
+  if (EMOJI.test(String.fromCodePoint(code)) || text.includes('\ufe0f') ||
+      WIDE_RANGES.some(([first, last]) => code >= first && code <= last)) {
+    return 2;
+  }
+  return 1;
+}
+
+/**
+ * Lay out a line's characters in display columns
+ * @param {string} line - Line
+ * @param {number} tabStop - Columns per tab
+ * @returns {Array<Object>} - Cells {index, end, text, col, width}, end being
+ *   the index after the character
+ */
+function getCells(line, tabStop) {
+  let col = 0;
+  return getCharacters(line).map(({ index, text }) => {
+    const width = charWidth(text, col, tabStop);
+    const cell = { index, end: index + text.length, text, col, width };
+    col += width;
+    return cell;
+  });
+}
+
+/**
+ * Get the number of cells some text takes
+ * @param {string} text - Text, starting at column 0
+ * @param {number} tabStop - Columns per tab
+ * @returns {number}
+ */
+function displayWidth(text, tabStop) {
+  if (PLAIN.test(text)) {
+    return text.length;
+  }
+  const cells = getCells(text, tabStop);
+  return cells.length > 0 ? cells[cells.length - 1].col + cells[cells.length - 1].width : 0;
+}
+
+/**
+ * Get the display column of the character at an index
+ * @param {string} line - Line
+ * @param {number} index - Index in the line; the line's length is the
+ *   column after the last character
+ * @param {number} tabStop - Columns per tab
+ * @returns {number}
+ */
+function indexToColumn(line, index, tabStop) {
+  if (PLAIN.test(line)) {
+    return Math.min(index, line.length);
+  }
+  const cell = getCells(line, tabStop).find(candidate => index < candidate.end);
+  return cell ? cell.col : displayWidth(line, tabStop);
+}
+
+/**
+ * Get the index of the character shown at a display column
+ * @param {string} line - Line
+ * @param {number} col - Display column
+ * @param {number} tabStop - Columns per tab
+ * @returns {number} - Index, or the line's length past its end
+ */
+function columnToIndex(line, col, tabStop) {
+  if (PLAIN.test(line)) {
+    return Math.min(col, line.length);
+  }
+  const cell = getCells(line, tabStop).find(candidate => col < candidate.col + candidate.width);
+  return cell ? cell.index : line.length;
+}
+
+/**
+ * Get the index the character containing an index starts at
+ * @param {string} line - Line
+ * @param {number} index - Index
+ * @returns {number}
+ */
+function charStart(line, index) {
+  if (PLAIN.test(line) || index >= line.length) {
+    return index;
+  }
+  const char = getCharacters(line).find(candidate => index < candidate.index + candidate.text.length);
+  return char.index;
+}
+
+/**
+ * Get the index of the next character
+ * @param {string} line - Line
+ * @param {number} index - Index of a character
+ * @returns {number} - Index after it, at most the line's length
+ */
+function nextCharIndex(line, index) {
+  if (PLAIN.test(line) || index >= line.length) {
+    return Math.min(index + 1, line.length);
+  }
+  const char = getCharacters(line).find(candidate => index < candidate.index + candidate.text.length);
+  return char.index + char.text.length;
+}
+
+/**
+ * Get the index of the previous character
+ * @param {string} line - Line
+ * @param {number} index - Index of a character, or the line's length
+ * @returns {number} - Index before it, at least 0
+ */
+function prevCharIndex(line, index) {
+  return index > 0 ? charStart(line, index - 1) : 0;
+}
+
+module.exports = {
+  getCharacters,
+  getCells,
+  displayWidth,
+  indexToColumn,
+  columnToIndex,
+  charStart,
+  nextCharIndex,
+  prevCharIndex
+};
@@ -1,12 +1,83 @@
 const blessed = require('blessed');
+const blessedUnicode = require('blessed/lib/unicode');
 const chalk = require('chalk');
 const TextBuffer = require('./text-buffer');
 const ModeManager = require('./mode-manager');
 const CommandParser = require('./command-parser');
 const StatusLine = require('./status-line');
 const SyntaxHighlighter = require('./enhanced-syntax-highlighter');
+const BracketMatcher = require('./bracket-matcher');
 const Animations = require('./animations');
 const AIService = require('./ai-service');
+const Registers = require('./registers');
+const BufferList = require('./buffer-list');
+const Window = require('./window');
+const WindowLayout = require('./window-layout');
+const { keyToToken, isDuplicateEnter, textToKeys } = require('./keys');
+const { getMotion, isMotionPrefix } = require('./motions');
+const { TEXT_OBJECTS } = require('./text-objects');
+const { BRACES, getIndentRules, getIndent, getIndentChange } = require('./indent');
+const { getClosing, skipsClosing, isEmptyPair } = require('./autopairs');
+const { Folds } = require('./folds');
+const { wrapLine, findSegment } = require('./wrap');
+const { getCells, displayWidth, indexToColumn, columnToIndex, charStart, nextCharIndex, prevCharIndex } = require('./display-width');
+
+// Operators that take a motion in normal mode
+const OPERATORS = ['d', 'c', 'y', '>', '<', '=', 'zf'];
+
+// Normal and visual mode commands that change the text, repeated by "."
+// (besides the d and c operators)
+const CHANGE_COMMANDS = ['x', 'X', 'D', 'p', 'P', 'i', 'a', 'A', 'I', 'o', 'O', 's', 'S', 'C', 'R'];
+const VISUAL_CHANGE_COMMANDS = ['d', 'x', '<Del>', 'c', 's', '>', '<', '=', '~', 'D', 'X', 'C', 'S'];
+
+// Commands whose count inserts the text typed that many times (3ix<Esc>)
+const COUNTED_INSERTS = ['i', 'a', 'A', 'I', 'o', 'O'];
+
+// Deepest a macro may run macros (including itself) before playback stops
+const MAX_MACRO_DEPTH = 1000;
+
+// Smallest window a split may leave: border, one line of text and the
+// window's status line
+const MIN_WINDOW_HEIGHT = 4;
+const MIN_WINDOW_WIDTH = 12;
+
+/**
+ * Swap the case of every letter in a string
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function toggleCase(text) {
+  return text.replace(/[a-zA-Z]/g, char =>
+    char === char.toUpperCase() ? char.toLowerCase() : char.toUpperCase());
+}
+
+/**
+ * Escape regular expression special characters in a string
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Make blessed count emoji as two cells, the way terminals draw them and
+ * display-width counts them. blessed only knows East Asian wide characters,
+ * so it would put the character after an emoji in the emoji's second cell.
+ */
+function widenBlessedEmoji() {
+  const emoji = /\p{Emoji_Presentation}|\p{Extended_Pictographic}\ufe0f/uy;
+  const charWidth = blessedUnicode.charWidth;
+  blessedUnicode.charWidth = (str, i = 0) => {
+    const text = typeof str === 'number' ? String.fromCodePoint(str) : str;
+    emoji.lastIndex = typeof str === 'number' ? 0 : i;
+    return emoji.test(text) ? 2 : charWidth(str, i);
+  };
+  // Wide characters get a blank after them to take their second cell
+  const wide = blessedUnicode.chars.wide.source.slice(2, -2);
+  blessedUnicode.chars.all = new RegExp(
+    `([${wide}\\u{20000}-\\u{2fffd}\\u{30000}-\\u{3fffd}]|${emoji.source})`, 'gu');
+}
 
 /**
  * Main Editor class
@@ -17,16 +88,27 @@ class Editor {
    * @param {Object|string} options - Options object or file path
    * @param {string} options.filename - Path to the file to edit
    * @param {string} options.content - Initial content
+   * @param {Array<string>} options.files - More files to open in buffers
    */
   constructor(options) {
     // Handle both string path and options object
     const filePath = typeof options === 'string' ? options : options.filename;
-    const initialContent = typeof options === 'string' ? null : options.content;
+    const initialContent = typeof options === 'string' ? null : (options.content ?? null);
+    const otherFiles = (typeof options === 'string' ? null : options.files) || [];
 
-    this.buffer = new TextBuffer(filePath, initialContent);
+    // Open buffers; this.buffer is the one being edited
+    this.buffers = new BufferList();
+    this.buffer = this.buffers.add(new TextBuffer(filePath, initialContent)).buffer;
+    otherFiles.forEach(file => this.buffers.add(new TextBuffer(file)));
+    // Windows tiling the screen; layout.current is the one being edited
+    this.layout = new WindowLayout(new Window(this.buffers.current));
+    // Tab pages, each with its own window layout; this.layout is the current one
+    this.tabs = [this.layout];
+    this.tabline = null;
     this.modeManager = new ModeManager();
     this.commandParser = new CommandParser(this);
     this.syntaxHighlighter = new SyntaxHighlighter();
+    this.bracketMatcher = new BracketMatcher(this.syntaxHighlighter);
     this.aiService = new AIService();
     
     this.screen = null;
@@ -44,15 +126,60 @@ class Editor {
     this.cursorBlinkInterval = null; // Cursor blink timer
     this.cursorVisible = true; // Cursor visibility state
     this.lastCursorPosition = { row: 0, col: 0 }; // Track last cursor position for sync
+    this.preferredColumn = null; // Display column kept by vertical motions
+    this.registers = new Registers(); // Yank/delete registers, shared by all buffers
+    this.shiftWidth = 2; // Columns per indent level for > and <
+    this.tabStop = 8; // Columns per tab character
+    this.expandTab = true; // Indent and <Tab> with spaces instead of tabs
+    this.autoIndent = true; // New lines start with the indent of the line before
+    this.smartIndent = true; // ...one level in or out by the language's rules
+    this.autoIndentRow = null; // Row whose indent was added by autoindent and not typed after yet
+    this.autoPairs = true; // Close brackets and quotes as they are typed
+    this.foldMethod = 'manual'; // How folds are made: manual, indent, marker or syntax
+    this.folds = new WeakMap(); // Buffer -> its Folds
+    this.lastVisual = null; // Last visual selection, for gv
+    this.lastSearch = null; // Last search {pattern, backward}, for n and N
+    this.searchCount = null; // Count typed before / or ?
+    this.searchHighlight = false; // Whether the last search's matches are highlighted
+    this.hlSearch = true; // Highlight all matches of the last search
+    this.incSearch = true; // Highlight matches while typing a search
+    this.ignoreCase = false; // Case-insensitive search
+    this.smartCase = false; // Case-sensitive again if the pattern has uppercase letters
+    this.wrapScan = true; // Searches wrap around the end of the file
+    this.scrollOff = 0; // Lines kept in view above and below the cursor
+    this.wrap = true; // Show long lines on several display lines
+    this.lineBreak = false; // ...breaking them between words
+    this.sideScroll = 0; // Columns to scroll sideways when lines don't wrap; 0 puts the cursor in the middle
+    this.list = false; // Show tabs, trailing spaces and the like with listChars
+    this.listChars = { tab: '> ', trail: '-', nbsp: '+' }; // Characters :set list shows them with
+    this.scrollLines = 0; // Lines Ctrl-D and Ctrl-U scroll, set by a count; 0 is half a window
+    this.blockInsert = null; // Block being changed in visual block mode
+    this.replacedChars = []; // Characters overwritten in replace mode, for backspace ("\n" for a line break)
+    this.lastChange = null; // Last change {keys, count, register, visual, insert}, for "."
+    this.lastFind = null; // Last f, t, F or T search {key, char}, for ; and ,
+    this.insertChange = null; // Change whose insert session is still being typed
+    this.repeatingChange = false; // Whether "." is replaying a change
+    this.recordingRegister = null; // Register a macro is being recorded into (q)
+    this.recordedKeys = ''; // Keys typed since recording started
+    this.lastMacro = null; // Register last executed with @, for @@
+    this.macroDepth = 0; // Number of macros being executed
+    this.fileMarks = {}; // Marks A-Z: {entry, filePath, pos}; pos is kept once the buffer is closed
+    this.keyPrompt = null; // Resolves the next key press for a command waiting on one
+    this.confirmMatch = null; // Match waiting for confirmation by :s///c
+    this.normalCommands = this.createNormalCommands();
+    this.visualCommands = this.createVisualCommands();
   }
 
   /**
    * Start the editor
    */
   async start() {
-    // Create screen
+    // Create screen; fullUnicode draws wide characters in two cells
+    // instead of as "??"
+    widenBlessedEmoji();
     this.screen = blessed.screen({
       smartCSR: true,
+      fullUnicode: true,
       title: `JSVim - ${this.buffer.getFilename()}`
     });
     
@@ -62,34 +189,9 @@ class Editor {
     // Show welcome animation
     await this.animations.welcomeAnimation(this.buffer.getFilename());
     
-    // Create content box for text editing
-    this.contentBox = blessed.box({
-      top: 0,
-      left: 0,
-      right: 0,
-      bottom: 1, // Leave space for status line
-      scrollable: true,
-      alwaysScroll: true,
-      keys: true,
-      mouse: true,
-      border: {
-        type: 'line',
-        fg: 'blue'
-      },
-      scrollbar: {
-        ch: '█',
-        track: {
-          bg: 'black'
-        },
-        style: {
-          fg: 'cyan'
-        }
-      },
-      style: {
-        fg: 'white',
-        bg: 'black',
-      }
-    });
+    // Create content box for text editing, the first window's box
+    this.contentBox = this.createWindowBox();
+    this.layout.current.box = this.contentBox;
     
     // Create status line
     this.statusLine = new StatusLine(this.screen);
@@ -97,6 +199,17 @@ class Editor {
     // Add content box to screen
     this.screen.append(this.contentBox);
     
+    // Tab page labels above the windows, shown when there is more than one tab
+    this.tabline = blessed.box({
+      top: 0,
+      left: 0,
+      right: 0,
+      height: 1,
+      hidden: true,
+      style: { fg: 'white', bg: 'gray' }
+    });
+    this.screen.append(this.tabline);
+    
     // Set key handling
     this.setupKeyHandlers();
     
@@ -113,6 +226,33 @@ class Editor {
     this.screen.render();
   }
 
+  /**
+   * Create the box a window's text is drawn in. Windows draw only the lines
+   * in view, so the box itself doesn't scroll or wrap.
+   * @returns {blessed.box}
+   */
+  createWindowBox() {
+    return blessed.box({
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 1, // Leave space for status line
+      wrap: false,
+      mouse: true,
+      border: {
+        type: 'line',
+        fg: 'blue'
+      },
+      style: {
+        fg: 'white',
+        bg: 'black',
+        border: {
+          fg: 'blue'
+        }
+      }
+    });
+  }
+
   /**
    * Set up key event handlers
    */
@@ -124,207 +264,2596 @@ class Editor {
     
     // Handle key events
     this.screen.on('keypress', async (ch, key) => {
-      if (!key) return;
+      if (!key || isDuplicateEnter(key)) return;
+      
+      // Keys typed while recording go into the macro as the terminal sent them
+      if (this.recordingRegister) {
+        this.recordedKeys += key.sequence || ch || '';
+      }
       
-      if (this.modeManager.isNormalMode()) {
-        this.handleNormalModeKeys(ch, key);
-      } else if (this.modeManager.isInsertMode()) {
-        await this.handleInsertModeKeys(ch, key);
-      } else if (this.modeManager.isCommandMode()) {
-        await this.handleCommandModeKeys(ch, key);
+      // A command waiting for an answer (such as :s///c) gets the key first
+      if (this.keyPrompt) {
+        const resolve = this.keyPrompt;
+        this.keyPrompt = null;
+        resolve(keyToToken(ch, key));
+        return;
       }
       
+      await this.handleKey(ch, key);
+      
       // Update UI
       this.render();
     });
   }
 
+  /**
+   * Handle a key press in the current mode
+   * @param {string} ch - Character
+   * @param {object} key - Key info
+   * @returns {Promise<boolean|undefined>} - False if the key's command failed
+   *   (a motion that couldn't move, a search without a match)
+   */
+  async handleKey(ch, key) {
+    if (this.modeManager.isNormalMode()) {
+      return this.handleNormalModeKeys(ch, key);
+    } else if (this.modeManager.isVisualMode()) {
+      this.handleVisualModeKeys(ch, key);
+    } else if (this.modeManager.isInsertMode()) {
+      await this.handleInsertModeKeys(ch, key);
+    } else if (this.modeManager.isCommandMode()) {
+      return this.handleCommandModeKeys(ch, key);
+    }
+  }
+
+  /**
+   * Execute keys as if they were typed in normal mode (:normal). Whatever
+   * the keys leave unfinished is ended as if <Esc> was typed.
+   * @param {string} keys - Keys to execute
+   */
+  async executeNormalKeys(keys) {
+    this.modeManager.setNormalMode();
+    for (const { ch, key } of textToKeys(keys)) {
+      await this.handleKey(ch, key);
+    }
+    
+    if (this.modeManager.isInsertMode()) {
+      this.leaveInsertMode();
+    } else if (this.modeManager.isVisualMode()) {
+      this.exitVisualMode();
+    } else {
+      this.modeManager.setNormalMode();
+    }
+  }
+
   /**
    * Handle keys in normal mode
    * @param {string} ch - Character
    * @param {object} key - Key info
+   * @returns {boolean|Promise|undefined} - False if a motion or command
+   *   failed; a promise while a macro runs
    */
   handleNormalModeKeys(ch, key) {
     // Clear AI preview when entering normal mode or moving cursor
     this.clearAIPreview();
     
-    // Handle colon character for command mode
-    if (ch === ':') {
-      this.modeManager.setCommandMode();
+    const token = keyToToken(ch, key);
+    if (!token) {
       return;
     }
     
-    switch (key.name) {
-      case 'i':
-        this.modeManager.setInsertMode();
-        break;
-      case ':':
-        this.modeManager.setCommandMode();
-        break;
-      // Theme switching shortcut
-      case 't':
-        if (key.ctrl) {
-          this.cycleTheme();
+    // Escape cancels a partially typed command
+    if (token === '<Esc>') {
+      this.modeManager.resetPending();
+      return;
+    }
+    
+    if (this.handleCommandPrefix(token)) {
+      return;
+    }
+    
+    const pendingKeys = this.modeManager.getPendingKeys();
+    const keys = pendingKeys + token;
+    const operator = this.modeManager.getPendingOperator();
+    const count = this.modeManager.getCount();
+    const register = this.modeManager.getRegister();
+    
+    // Macros: q stops recording; q and @ take a register name
+    if (!operator && !pendingKeys && token === 'q' && this.recordingRegister) {
+      this.modeManager.resetPending();
+      this.stopRecording();
+      return;
+    }
+    if (!operator && (pendingKeys === 'q' || pendingKeys === '@')) {
+      this.modeManager.resetPending();
+      return pendingKeys === 'q' ? this.startRecording(token) : this.executeMacro(token, count);
+    }
+    if (!operator && !pendingKeys && (token === 'q' || token === '@')) {
+      this.modeManager.setPendingKeys(token);
+      return;
+    }
+    
+    // Marks: m{name} sets one; '{name} and `{name} go to one, or give an
+    // operator its range
+    if (!operator && pendingKeys === 'm') {
+      this.modeManager.resetPending();
+      return this.setMark(token);
+    }
+    if (pendingKeys === "'" || pendingKeys === '`') {
+      this.modeManager.resetPending();
+      return this.applyMarkMotion(pendingKeys, token, operator, count, register);
+    }
+    if (!pendingKeys && (token === "'" || token === '`' || (token === 'm' && !operator))) {
+      this.modeManager.setPendingKeys(token);
+      return;
+    }
+    
+    if (operator) {
+      if (keys === operator) {
+        // Doubled operator works on whole lines: dd, cc, yy
+        this.modeManager.resetPending();
+        this.applyOperatorToLines(operator, count, register);
+        this.recordOperatorChange(operator, keys, count, register);
+        return;
+      }
+      if (getMotion(keys)) {
+        this.modeManager.resetPending();
+        if (!this.applyOperatorMotion(operator, keys, count, register)) {
+          return false;
         }
-        break;
-      // Navigation keys
-      case 'h':
-        this.buffer.moveCursorLeft();
-        break;
-      case 'j':
-        this.buffer.moveCursorDown();
-        break;
-      case 'k':
-        this.buffer.moveCursorUp();
-        break;
-      case 'l':
-        this.buffer.moveCursorRight();
-        break;
-      // Arrow keys also work
-      case 'left':
-        this.buffer.moveCursorLeft();
-        break;
-      case 'down':
-        this.buffer.moveCursorDown();
-        break;
-      case 'up':
-        this.buffer.moveCursorUp();
-        break;
-      case 'right':
-        this.buffer.moveCursorRight();
-        break;
+        this.recordOperatorChange(operator, keys, count, register);
+        return;
+      }
+      if (TEXT_OBJECTS[keys]) {
+        this.modeManager.resetPending();
+        if (!this.applyOperatorTextObject(operator, keys, count, register)) {
+          return false;
+        }
+        this.recordOperatorChange(operator, keys, count, register);
+        return;
+      }
+    } else {
+      if (OPERATORS.includes(keys)) {
+        this.modeManager.setPendingOperator(keys);
+        return;
+      }
+      if (this.normalCommands[keys]) {
+        this.modeManager.resetPending();
+        const result = this.normalCommands[keys](count, register);
+        if (CHANGE_COMMANDS.includes(keys) && result !== false) {
+          this.recordChange({ keys, count, register, visual: null });
+        }
+        this.clampCursorToLine();
+        return result === false ? false : undefined;
+      }
+      if (getMotion(keys)) {
+        this.modeManager.resetPending();
+        return this.moveCursorByMotion(keys, count);
+      }
+    }
+    
+    // Wait for more keys if this is the start of a multi-key command
+    if (this.isNormalKeyPrefix(keys, operator)) {
+      this.modeManager.setPendingKeys(keys);
+      return;
     }
+    
+    this.modeManager.resetPending();
   }
 
   /**
-   * Handle keys in insert mode
-   * @param {string} ch - Character
-   * @param {object} key - Key info
+   * Handle the register and count that may precede a normal or visual mode
+   * command
+   * @param {string} token - Key token
+   * @returns {boolean} - True if the key was consumed
    */
-  async handleInsertModeKeys(ch, key) {
-    switch (key.name) {
-      case 'escape':
-        this.clearAIPreview();
-        this.modeManager.setNormalMode();
-        break;
-      case 'return':
-        this.clearAIPreview();
-        this.buffer.insertNewLine();
-        break;
-      case 'backspace':
-        this.clearAIPreview();
-        this.buffer.deleteCharacter();
-        // Trigger AI preview after backspace with debounce
-        this.triggerAIPreviewDebounced();
-        break;
-      case 'tab':
-        // Accept AI preview if available, otherwise get new suggestion
-        if (this.aiPreviewSuggestion) {
-          this.acceptAIPreview();
-        } else if (this.aiService.isAvailable() && !this.aiCompletionInProgress) {
-          await this.handleAIPreviewCompletion();
-        } else {
-          // Fallback to regular tab behavior
-          this.buffer.insertCharacter('\t');
-        }
-        break;
-      case 'left':
-        this.clearAIPreview();
-        this.buffer.moveCursorLeft();
-        break;
-      case 'down':
-        this.clearAIPreview();
-        this.buffer.moveCursorDown();
-        break;
-      case 'up':
-        this.clearAIPreview();
-        this.buffer.moveCursorUp();
-        break;
-      case 'right':
-        this.clearAIPreview();
-        this.buffer.moveCursorRight();
-        break;
-      default:
-        if (ch && !key.ctrl && !key.meta) {
-          this.clearAIPreview();
-          this.buffer.insertCharacter(ch);
-          // Trigger AI preview after typing with debounce
-          this.triggerAIPreviewDebounced();
-        }
+  handleCommandPrefix(token) {
+    const pendingKeys = this.modeManager.getPendingKeys();
+    
+    // Register selection: "{register}
+    if (pendingKeys === '"') {
+      if (this.registers.isValidName(token)) {
+        this.modeManager.setRegister(token);
+      } else {
+        this.modeManager.resetPending();
+      }
+      return true;
+    }
+    if (!pendingKeys && token === '"') {
+      this.modeManager.setPendingKeys(token);
+      return true;
+    }
+    
+    // Counts; "0" is a motion unless a count is already being typed
+    if (!pendingKeys && /^[0-9]$/.test(token) && (token !== '0' || this.modeManager.hasCount())) {
+      this.modeManager.appendCount(token);
+      return true;
     }
+    
+    return false;
   }
 
   /**
-   * Handle keys in command mode
-   * @param {string} ch - Character
-   * @param {object} key - Key info
+   * Create the table of normal mode commands that aren't motions or operators
+   * @returns {Object} - Map of keys to handlers taking the count and register
    */
-  async handleCommandModeKeys(ch, key) {
-    // Clear AI preview when in command mode
-    this.clearAIPreview();
+  createNormalCommands() {
+    return {
+      'i': () => this.enterInsertMode(),
+      'a': () => this.appendAfterCursor(),
+      'A': () => this.insertInLine('end'),
+      'I': () => this.insertInLine('indent'),
+      'o': () => this.openLine(false),
+      'O': () => this.openLine(true),
+      'R': () => this.enterReplaceMode(),
+      // A count becomes a range of that many lines
+      ':': (count) => this.openCommandLine(count > 1 ? `.,.+${count - 1}` : (count ? '.' : '')),
+      // Theme switching shortcut
+      '<C-t>': () => this.cycleTheme(),
+      // Undo / redo
+      'u': (count) => this.repeatCommand(count, () => this.undo()),
+      '<C-r>': (count) => this.repeatCommand(count, () => this.redo()),
+      // Shorthands for operator + motion
+      'x': (count, register) => this.applyOperatorMotion('d', 'l', count, register),
+      'X': (count, register) => this.applyOperatorMotion('d', 'h', count, register),
+      'D': (count, register) => this.applyOperatorMotion('d', '$', count, register),
+      'Y': (count, register) => this.applyOperatorToLines('y', count, register),
+      's': (count, register) => this.substituteCharacters(count, register),
+      'S': (count, register) => this.applyOperatorToLines('c', count, register),
+      'C': (count, register) => this.applyOperatorMotion('c', '$', count, register),
+      // Put
+      'p': (count, register) => this.putRegister(register, count, false),
+      'P': (count, register) => this.putRegister(register, count, true),
+      // Visual modes
+      'v': () => this.enterVisualMode(this.modeManager.MODES.VISUAL),
+      'V': () => this.enterVisualMode(this.modeManager.MODES.VISUAL_LINE),
+      '<C-v>': () => this.enterVisualMode(this.modeManager.MODES.VISUAL_BLOCK),
+      'gv': () => this.reselectVisual(),
+      // Search
+      '/': (count) => this.openSearchPrompt('/', count),
+      '?': (count) => this.openSearchPrompt('?', count),
+      'n': (count) => this.searchNext(count, false),
+      'N': (count) => this.searchNext(count, true),
+      '*': (count) => this.searchWordUnderCursor(count, false),
+      '#': (count) => this.searchWordUnderCursor(count, true),
+      // Windows
+      '<C-w>s': () => this.splitWindow('column'),
+      '<C-w>S': () => this.splitWindow('column'),
+      '<C-w>v': () => this.splitWindow('row'),
+      '<C-w>h': (count) => this.moveToWindow('h', count),
+      '<C-w>j': (count) => this.moveToWindow('j', count),
+      '<C-w>k': (count) => this.moveToWindow('k', count),
+      '<C-w>l': (count) => this.moveToWindow('l', count),
+      '<C-w><Left>': (count) => this.moveToWindow('h', count),
+      '<C-w><Down>': (count) => this.moveToWindow('j', count),
+      '<C-w><Up>': (count) => this.moveToWindow('k', count),
+      '<C-w><Right>': (count) => this.moveToWindow('l', count),
+      '<C-w>w': (count) => this.cycleWindow(count, 1),
+      '<C-w><C-w>': (count) => this.cycleWindow(count, 1),
+      '<C-w>W': (count) => this.cycleWindow(count, -1),
+      '<C-w>c': () => this.commandParser.closeWindow(),
+      '<C-w>q': () => this.commandParser.quit(),
+      '<C-w>o': () => this.onlyWindow(),
+      '<C-w>=': () => this.layout.equalize(),
+      // Scrolling
+      '<C-d>': (count) => this.scrollHalfPage(count, 1),
+      '<C-u>': (count) => this.scrollHalfPage(count, -1),
+      '<C-f>': (count) => this.scrollPage(count, 1),
+      '<C-b>': (count) => this.scrollPage(count, -1),
+      'zz': (count) => this.scrollCursorTo('middle', count),
+      'zt': (count) => this.scrollCursorTo('top', count),
+      'zb': (count) => this.scrollCursorTo('bottom', count),
+      // Folds
+      'zF': (count) => this.applyOperatorToLines('zf', count),
+      'zo': () => this.foldAtCursor('open'),
+      'zc': () => this.foldAtCursor('close'),
+      'za': () => this.foldAtCursor('toggle'),
+      'zd': () => this.foldAtCursor('remove'),
+      'zR': () => this.getFolds().setAllClosed(false),
+      'zM': () => this.getFolds().setAllClosed(true),
+      // Tab pages
+      'gt': (count) => this.nextTab(count),
+      'gT': (count) => this.previousTab(count),
+      // Repeat the last change
+      '.': (count) => this.repeatLastChange(count),
+      // Jump list; Ctrl-I arrives as Tab
+      '<C-o>': (count) => this.jumpOlder(count),
+      '<Tab>': (count) => this.jumpNewer(count),
+      '<C-i>': (count) => this.jumpNewer(count)
+    };
+  }
+
+  /**
+   * Create the table of visual mode commands; operators apply to the selection
+   * @returns {Object} - Map of keys to handlers taking the count and register
+   */
+  createVisualCommands() {
+    const { VISUAL, VISUAL_LINE, VISUAL_BLOCK } = this.modeManager.MODES;
+    const operate = (operator, linewise = false) => (count, register) =>
+      this.applyVisualOperator(operator, count, register, linewise);
     
-    switch (key.name) {
-      case 'escape':
-        this.modeManager.setNormalMode();
-        break;
-      case 'return':
-        const command = this.modeManager.executeCommand();
-        try {
-          const result = await this.commandParser.parseCommand(command);
-          if (!result) {
-            this.showMessage(`Unknown command: ${command}`);
-          }
-        } catch (error) {
-          console.error('Command execution error:', error);
-          this.showMessage(`Command error: ${error.message}`, 3000, 'error');
-        }
-        break;
-      case 'backspace':
-        this.modeManager.removeFromCommandBuffer();
-        break;
-      default:
-        if (ch && !key.ctrl && !key.meta && key.name !== 'tab') {
-          this.modeManager.addToCommandBuffer(ch);
-        }
-    }
+    return {
+      'v': () => this.toggleVisualMode(VISUAL),
+      'V': () => this.toggleVisualMode(VISUAL_LINE),
+      '<C-v>': () => this.toggleVisualMode(VISUAL_BLOCK),
+      'o': () => this.swapVisualEnds(),
+      ':': () => {
+        this.exitVisualMode();
+        this.openCommandLine("'<,'>");
+      },
+      'd': operate('d'),
+      'x': operate('d'),
+      '<Del>': operate('d'),
+      'y': operate('y'),
+      'c': operate('c'),
+      's': operate('c'),
+      '>': operate('>'),
+      '<': operate('<'),
+      '=': operate('='),
+      '~': operate('~'),
+      'zf': operate('zf'),
+      // Uppercase forms work on whole lines
+      'D': operate('d', true),
+      'X': operate('d', true),
+      'Y': operate('y', true),
+      'C': operate('c', true),
+      'S': operate('c', true)
+    };
   }
 
   /**
-   * Render editor content with improved cursor synchronization
+   * Handle keys in visual modes
+   * @param {string} ch - Character
+   * @param {object} key - Key info
    */
-  render() {
-    const content = this.buffer.getContent();
-    const cursor = this.buffer.getCursor();
-    let displayContent = '';
+  handleVisualModeKeys(ch, key) {
+    const token = keyToToken(ch, key);
+    if (!token) {
+      return;
+    }
     
-    // Ensure cursor position is valid and synchronized
-    this.ensureCursorSync(cursor);
+    if (token === '<Esc>') {
+      if (this.modeManager.getPendingDisplay()) {
+        this.modeManager.resetPending();
+      } else {
+        this.exitVisualMode();
+      }
+      return;
+    }
     
-    // Determine language for syntax highlighting
-    const filename = this.buffer.getFilename();
-    const language = this.syntaxHighlighting ? this.syntaxHighlighter.getLanguage(filename) : null;
+    if (this.handleCommandPrefix(token)) {
+      return;
+    }
     
-    // Add content with line numbers if enabled
-    if (this.showLineNumbers) {
-      // Process lines without syntax highlighting first for AI preview
-      const processedContent = content.map((line, index) => {
-        if (index === cursor.row && this.aiPreviewSuggestion && this.modeManager.isInsertMode()) {
-          return this.insertAIPreviewInLine(line, cursor.col, this.aiPreviewSuggestion);
-        }
-        return line;
+    const pendingKeys = this.modeManager.getPendingKeys();
+    const keys = pendingKeys + token;
+    const count = this.modeManager.getCount();
+    const register = this.modeManager.getRegister();
+    
+    // Marks move the end of the selection, within the buffer
+    if (pendingKeys === "'" || pendingKeys === '`') {
+      this.modeManager.resetPending();
+      this.moveToMark(token, pendingKeys === '`');
+      return;
+    }
+    if (!pendingKeys && (token === "'" || token === '`')) {
+      this.modeManager.setPendingKeys(token);
+      return;
+    }
+    
+    if (this.visualCommands[keys]) {
+      this.modeManager.resetPending();
+      const visual = VISUAL_CHANGE_COMMANDS.includes(keys) ? this.getVisualExtent() : null;
+      this.visualCommands[keys](count, register);
+      if (visual) {
+        this.recordChange({ keys, count, register, visual });
+      }
+      this.clampCursorToLine();
+      return;
+    }
+    if (getMotion(keys)) {
+      this.modeManager.resetPending();
+      this.moveCursorByMotion(keys, count);
+      return;
+    }
+    if (TEXT_OBJECTS[keys]) {
+      this.modeManager.resetPending();
+      return this.selectTextObject(keys, count);
+    }
+    
+    const candidates = Object.keys(this.visualCommands).concat(Object.keys(TEXT_OBJECTS));
+    if (isMotionPrefix(keys) || candidates.some(candidate => candidate.length > keys.length && candidate.startsWith(keys))) {
+      this.modeManager.setPendingKeys(keys);
+      return;
+    }
+    
+    this.modeManager.resetPending();
+  }
+
+  /**
+   * Start a visual selection at the cursor
+   * @param {string} mode - Visual mode to enter
+   */
+  enterVisualMode(mode) {
+    this.modeManager.setVisualMode(mode, this.buffer.getCursor());
+  }
+
+  /**
+   * Switch to another visual mode keeping the selection, or leave visual mode
+   * when the key of the current one is pressed again
+   * @param {string} mode - Visual mode
+   */
+  toggleVisualMode(mode) {
+    if (this.modeManager.getMode() === mode) {
+      this.exitVisualMode();
+    } else {
+      this.modeManager.setVisualMode(mode, this.modeManager.getVisualAnchor());
+    }
+  }
+
+  /**
+   * Leave visual mode, remembering the selection for gv
+   */
+  exitVisualMode() {
+    this.lastVisual = {
+      mode: this.modeManager.getMode(),
+      start: { ...this.modeManager.getVisualAnchor() },
+      end: this.buffer.getCursor()
+    };
+    this.modeManager.setNormalMode();
+    this.clampCursorToLine();
+  }
+
+  /**
+   * Select the last visual selection again (gv)
+   * @returns {boolean} - False if there was no previous selection
+   */
+  reselectVisual() {
+    if (!this.lastVisual) {
+      return false;
+    }
+    const { mode, start, end } = this.lastVisual;
+    this.modeManager.setVisualMode(mode, start);
+    this.buffer.setCursor(end.row, end.col);
+    return true;
+  }
+
+  /**
+   * Move the cursor to the other end of the selection (o)
+   */
+  swapVisualEnds() {
+    const anchor = this.modeManager.getVisualAnchor();
+    this.modeManager.setVisualAnchor(this.buffer.getCursor());
+    this.buffer.setCursor(anchor.row, anchor.col);
+  }
+
+  /**
+   * Get the size of the visual selection, for repeating a visual mode change
+   * on the same amount of text from the cursor
+   * @returns {Object} - {mode, lines, cols, toLineEnd}; cols is the end column
+   *   for a characterwise selection over several lines, otherwise the width
+   */
+  getVisualExtent() {
+    const { VISUAL, VISUAL_BLOCK } = this.modeManager.MODES;
+    const mode = this.modeManager.getMode();
+    const anchor = this.modeManager.getVisualAnchor();
+    const cursor = this.buffer.getCursor();
+    const forward = anchor.row < cursor.row || (anchor.row === cursor.row && anchor.col <= cursor.col);
+    const from = forward ? anchor : cursor;
+    const to = forward ? cursor : anchor;
+    const lines = to.row - from.row;
+    
+    return {
+      mode,
+      lines,
+      cols: mode === VISUAL && lines ? to.col : Math.abs(to.col - from.col),
+      toLineEnd: mode === VISUAL_BLOCK && this.getPreferredColumn(cursor) === Infinity
+    };
+  }
+
+  /**
+   * Select text of the size given by getVisualExtent, starting at the cursor
+   * @param {Object} extent - Selection extent
+   */
+  selectVisualExtent(extent) {
+    const { VISUAL } = this.modeManager.MODES;
+    const start = this.buffer.getCursor();
+    const row = Math.min(this.buffer.getLineCount() - 1, start.row + extent.lines);
+    const col = extent.mode === VISUAL && extent.lines ? extent.cols : start.col + extent.cols;
+    
+    this.modeManager.setVisualMode(extent.mode, start);
+    this.buffer.setCursor(row, col);
+    if (extent.toLineEnd) {
+      this.preferredColumn = { col: Infinity, row, actualCol: this.buffer.getCursor().col };
+    }
+  }
+
+  /**
+   * Get the range covered by the visual selection
+   * @param {boolean} forceLinewise - Extend the selection to whole lines
+   * @returns {Object} - Range {start, end, linewise, block}; like operator
+   *   ranges, end is exclusive for characterwise and blockwise ranges. The
+   *   columns of a blockwise range are display columns, see getBlockSpan.
+   */
+  getVisualRange(forceLinewise = false) {
+    const { VISUAL_LINE, VISUAL_BLOCK } = this.modeManager.MODES;
+    const mode = this.modeManager.getMode();
+    const anchor = this.modeManager.getVisualAnchor();
+    const cursor = this.buffer.getCursor();
+    const forward = anchor.row < cursor.row || (anchor.row === cursor.row && anchor.col <= cursor.col);
+    const from = forward ? anchor : cursor;
+    const to = forward ? cursor : anchor;
+    
+    if (mode === VISUAL_LINE || forceLinewise) {
+      return { start: { row: from.row, col: 0 }, end: { row: to.row, col: 0 }, linewise: true };
+    }
+    
+    if (mode === VISUAL_BLOCK) {
+      // After $ the block extends to the end of every line
+      const toLineEnd = this.getPreferredColumn(cursor) === Infinity;
+      const edges = [anchor, cursor].map(({ row, col }) => {
+        const line = this.buffer.getLine(row);
+        const left = indexToColumn(line, col, this.tabStop);
+        return { left, right: Math.max(indexToColumn(line, nextCharIndex(line, col), this.tabStop), left + 1) };
+      });
+      return {
+        start: { row: from.row, col: Math.min(edges[0].left, edges[1].left) },
+        end: { row: to.row, col: toLineEnd ? Infinity : Math.max(edges[0].right, edges[1].right) },
+        block: true
+      };
+    }
+    
+    // The selection includes the character under the cursor; at the end of a
+    // line that is the line break
+    const length = this.buffer.getLine(to.row).length;
+    if (to.col >= length && to.row < this.buffer.getLineCount() - 1) {
+      return { start: from, end: { row: to.row + 1, col: 0 }, linewise: false };
+    }
+    return { start: from, end: { row: to.row, col: Math.min(to.col + 1, length) }, linewise: false };
+  }
+
+  /**
+   * Get the columns of a row covered by the visual selection, for rendering
+   * @param {number} row - Row
+   * @returns {Object|null} - {start, end}; end past the line length means the
+   *   line break is selected
+   */
+  getVisualSpan(row) {
+    if (!this.modeManager.isVisualMode()) {
+      return null;
+    }
+    
+    const { VISUAL_LINE, VISUAL_BLOCK } = this.modeManager.MODES;
+    const mode = this.modeManager.getMode();
+    const anchor = this.modeManager.getVisualAnchor();
+    const cursor = this.buffer.getCursor();
+    const length = this.buffer.getLine(row).length;
+    if (row < Math.min(anchor.row, cursor.row) || row > Math.max(anchor.row, cursor.row)) {
+      return null;
+    }
+    
+    if (mode === VISUAL_LINE) {
+      return { start: 0, end: Math.max(length, 1) };
+    }
+    if (mode === VISUAL_BLOCK) {
+      const { start, end } = this.getBlockSpan(this.buffer.getLine(row), this.getVisualRange());
+      return { start, end: Math.max(end, start + 1) };
+    }
+    
+    const forward = anchor.row < cursor.row || (anchor.row === cursor.row && anchor.col <= cursor.col);
+    const from = forward ? anchor : cursor;
+    const to = forward ? cursor : anchor;
+    return {
+      start: row === from.row ? from.col : 0,
+      end: row === to.row ? to.col + 1 : length + 1
+    };
+  }
+
+  /**
+   * Apply an operator to the visual selection and leave visual mode
+   * @param {string} operator - Operator (d, c, y, >, <, ~)
+   * @param {number|null} count - Count typed (number of shifts for > and <)
+   * @param {string|null} register - Register selected
+   * @param {boolean} linewise - Work on whole lines regardless of the mode
+   */
+  applyVisualOperator(operator, count, register, linewise) {
+    const range = this.getVisualRange(linewise);
+    this.exitVisualMode();
+    
+    if (operator === '>' || operator === '<') {
+      this.shiftLines(range.start.row, range.end.row, operator === '>' ? 1 : -1, count || 1);
+      return;
+    }
+    this.applyOperator(operator, range, register);
+  }
+
+  /**
+   * Run a command count times, stopping early if it fails
+   * @param {number|null} count - Count typed
+   * @param {Function} command - Command returning false on failure
+   */
+  repeatCommand(count, command) {
+    for (let i = 0; i < (count || 1); i++) {
+      if (command() === false) {
+        break;
+      }
+    }
+  }
+
+  /**
+   * Check if keys typed so far start a longer normal mode command
+   * @param {string} keys - Keys typed so far
+   * @param {string|null} operator - Pending operator
+   * @returns {boolean}
+   */
+  isNormalKeyPrefix(keys, operator) {
+    const candidates = operator
+      ? [operator].concat(Object.keys(TEXT_OBJECTS))
+      : OPERATORS.concat(Object.keys(this.normalCommands));
+    return isMotionPrefix(keys) || candidates.some(candidate => candidate.length > keys.length && candidate.startsWith(keys));
+  }
+
+  /**
+   * Look up a motion by its keys, remembering character searches (f, t, F,
+   * T) for ; and ,
+   * @param {string} motionKey - Motion keys
+   * @returns {Object} - {motion, context}, the context being what the
+   *   motion's move() takes
+   */
+  resolveMotion(motionKey) {
+    const { key, motion, char, repeat } = getMotion(motionKey, this.lastFind);
+    if (motion.takesChar && !repeat) {
+      this.lastFind = { key, char };
+    }
+    
+    // H, M and L go by the lines in view once the cursor is scrolled into it
+    this.ensureCursorVisible(this.buffer.getCursor().row);
+    const view = { rows: this.getScreenRows(), scrollOff: this.getScrollOff() };
+    const segments = this.wrap ? (row) => this.getLineSegments(row) : null;
+    const brackets = (row) => this.bracketMatcher.analyze(this.buffer, this.getLanguage(), row, row);
+    return { motion, context: { char, repeat, view, folds: this.getFolds(), segments, tabStop: this.tabStop, brackets } };
+  }
+
+  /**
+   * Move the cursor with a motion
+   * @param {string} motionKey - Motion keys
+   * @param {number|null} count - Count typed
+   * @returns {boolean} - False if the motion failed
+   */
+  moveCursorByMotion(motionKey, count) {
+    const { motion, context } = this.resolveMotion(motionKey);
+    const cursor = this.buffer.getCursor();
+    const target = motion.move(this.buffer, cursor, count, context);
+    if (!target) {
+      return false;
+    }
+    if (motion.jump) {
+      this.recordJump();
+    }
+    
+    // Vertical motions keep the display column the cursor had before them
+    let wantedCol = this.getDisplayColumn(target.row, target.col);
+    if (motion.vertical) {
+      wantedCol = this.getPreferredColumn(cursor);
+    } else if (motion.toLineEnd) {
+      wantedCol = Infinity;
+    }
+    
+    const col = this.getNormalModeCol(target.row, columnToIndex(this.buffer.getLine(target.row), wantedCol, this.tabStop));
+    this.buffer.setCursor(target.row, col);
+    this.preferredColumn = { col: wantedCol, row: target.row, actualCol: col };
+    // Motions within lines open the folds they land in; j, k and the like
+    // step over closed folds
+    if (motion.type !== 'linewise' && !motion.display) {
+      this.revealCursor();
+    }
+    return true;
+  }
+
+  /**
+   * Get the display column vertical motions should aim for. It stays valid
+   * only while nothing else has moved the cursor.
+   * @param {Object} cursor - Current cursor position
+   * @returns {number}
+   */
+  getPreferredColumn(cursor) {
+    const preferred = this.preferredColumn;
+    if (preferred && preferred.row === cursor.row && preferred.actualCol === cursor.col) {
+      return preferred.col;
+    }
+    return this.getDisplayColumn(cursor.row, cursor.col);
+  }
+
+  /**
+   * Get the display column a column of the current buffer is shown at, tabs
+   * and wide characters taking more than one cell
+   * @param {number} row - Row
+   * @param {number} col - Column (string index)
+   * @returns {number}
+   */
+  getDisplayColumn(row, col) {
+    return indexToColumn(this.buffer.getLine(row), col, this.tabStop);
+  }
+
+  /**
+   * Clamp a column so the cursor sits on a character, as normal mode requires
+   * @param {number} row - Row
+   * @param {number} col - Wanted column
+   * @returns {number}
+   */
+  getNormalModeCol(row, col) {
+    const line = this.buffer.getLine(row);
+    return charStart(line, Math.max(0, Math.min(col, line.length - 1)));
+  }
+
+  /**
+   * Keep the cursor on a character after a normal mode command
+   */
+  clampCursorToLine() {
+    if (!this.modeManager.isNormalMode()) {
+      return;
+    }
+    const cursor = this.buffer.getCursor();
+    this.buffer.setCursor(cursor.row, this.getNormalModeCol(cursor.row, cursor.col));
+  }
+
+  /**
+   * Apply an operator over the text covered by a motion
+   * @param {string} operator - Operator (d, c, y, >, <, =)
+   * @param {string} motionKey - Motion keys
+   * @param {number|null} count - Count typed
+   * @param {string|null} register - Register selected
+   * @returns {boolean} - False if the motion failed
+   */
+  applyOperatorMotion(operator, motionKey, count, register = null) {
+    const { motion, context } = this.resolveMotion(motionKey);
+    const start = this.buffer.getCursor();
+    let target;
+    let type = motion.type;
+    
+    if (motion.operatorMove) {
+      const result = motion.operatorMove(this.buffer, start, count, operator, context);
+      target = result.pos;
+      type = result.type;
+    } else {
+      target = motion.move(this.buffer, start, count, context);
+    }
+    
+    if (!target) {
+      return false;
+    }
+    
+    this.applyOperator(operator, this.getOperatorRange(start, target, type), register);
+    return true;
+  }
+
+  /**
+   * Apply an operator over a text object around the cursor
+   * @param {string} operator - Operator (d, c, y, >, <, =)
+   * @param {string} objectKey - Text object keys
+   * @param {number|null} count - Count typed
+   * @param {string|null} register - Register selected
+   * @returns {boolean} - False if there is no such object at the cursor
+   */
+  applyOperatorTextObject(operator, objectKey, count, register = null) {
+    const range = TEXT_OBJECTS[objectKey].select(this.buffer, this.buffer.getCursor(), count, null);
+    if (!range) {
+      return false;
+    }
+    
+    this.applyOperator(operator, range, register);
+    return true;
+  }
+
+  /**
+   * Select a text object in visual mode. Paragraphs make the selection
+   * linewise and other objects characterwise; a selection of more than one
+   * character grows to take in the next object.
+   * @param {string} objectKey - Text object keys
+   * @param {number|null} count - Count typed
+   * @returns {boolean} - False if there is no such object at the cursor
+   */
+  selectTextObject(objectKey, count) {
+    const { VISUAL, VISUAL_LINE } = this.modeManager.MODES;
+    const mode = this.modeManager.getMode();
+    const anchor = this.modeManager.getVisualAnchor();
+    const cursor = this.buffer.getCursor();
+    const forward = anchor.row < cursor.row || (anchor.row === cursor.row && anchor.col <= cursor.col);
+    const [first, last] = forward ? [anchor, cursor] : [cursor, anchor];
+    const grows = mode === VISUAL_LINE ? first.row !== last.row : first.row !== last.row || first.col !== last.col;
+    const selection = grows ? { start: { ...first }, end: { ...last } } : null;
+    
+    const range = TEXT_OBJECTS[objectKey].select(this.buffer, cursor, count, selection);
+    const empty = range && range.start.row === range.end.row && range.start.col >= range.end.col;
+    if (!range || (!range.linewise && empty)) {
+      return false;
+    }
+    
+    if (range.linewise) {
+      this.modeManager.setVisualMode(VISUAL_LINE, { row: range.start.row, col: 0 });
+      this.buffer.setCursor(range.end.row, 0);
+    } else {
+      const end = this.buffer.prevPosition(range.end);
+      this.modeManager.setVisualMode(VISUAL, { ...range.start });
+      this.buffer.setCursor(end.row, end.col);
+    }
+    return true;
+  }
+
+  /**
+   * Apply an operator to count whole lines starting at the cursor line; a
+   * closed fold counts as one line
+   * @param {string} operator - Operator (d, c, y, >, <, =, zf)
+   * @param {number|null} count - Count typed
+   * @param {string|null} register - Register selected
+   */
+  applyOperatorToLines(operator, count, register = null) {
+    const row = this.getScreenRow(this.buffer.getCursor().row);
+    const last = this.moveScreenLines(row, (count || 1) - 1);
+    const fold = this.getFolds().getClosedFold(last);
+    const endRow = fold ? fold.end : last;
+    this.applyOperator(operator, {
+      start: { row, col: 0 },
+      end: { row: endRow, col: 0 },
+      linewise: true
+    }, register);
+  }
+
+  /**
+   * Turn a motion from start to target into the range an operator works on
+   * @param {Object} start - Cursor position
+   * @param {Object} target - Motion target
+   * @param {string} type - Motion type (exclusive, inclusive, linewise)
+   * @returns {Object} - Range {start, end, linewise}; end is exclusive for
+   *   characterwise ranges and the last row for linewise ones
+   */
+  getOperatorRange(start, target, type) {
+    const forward = start.row < target.row || (start.row === target.row && start.col <= target.col);
+    const from = forward ? start : target;
+    let to = forward ? target : start;
+    
+    if (type === 'linewise') {
+      return { start: { row: from.row, col: 0 }, end: { row: to.row, col: 0 }, linewise: true };
+    }
+    
+    if (type === 'inclusive') {
+      to = { row: to.row, col: Math.min(to.col + 1, this.buffer.getLine(to.row).length) };
+    } else if (to.col === 0 && to.row > from.row) {
+      // An exclusive motion ending in column 0 ends at the end of the previous
+      // line instead, and becomes linewise if it started before the text
+      const row = to.row - 1;
+      if (from.col <= this.buffer.getFirstNonBlankCol(from.row)) {
+        return { start: { row: from.row, col: 0 }, end: { row, col: 0 }, linewise: true };
+      }
+      to = { row, col: this.buffer.getLine(row).length };
+    }
+    
+    return { start: from, end: to, linewise: false };
+  }
+
+  /**
+   * Apply an operator to a range
+   * @param {string} operator - Operator (d, c, y, >, <, =, ~, zf)
+   * @param {Object} range - Range from getOperatorRange or getVisualRange
+   * @param {string|null} register - Register selected
+   */
+  applyOperator(operator, range, register = null) {
+    if (range.block) {
+      this.applyBlockOperator(operator, range, register);
+      this.clampCursorToLine();
+      return;
+    }
+    
+    const { start, end, linewise } = this.spanClosedFolds(range);
+    const type = linewise ? 'line' : 'char';
+    const text = linewise
+      ? this.buffer.getLines(start.row, end.row).join('\n')
+      : this.buffer.getTextRange(start, end);
+    
+    switch (operator) {
+      case 'y': {
+        this.registers.yank(text, type, register);
+        const col = linewise ? this.buffer.getCursor().col : start.col;
+        this.buffer.setCursor(start.row, col);
+        break;
+      }
+      case 'd':
+        this.registers.delete(text, type, register);
+        if (linewise) {
+          this.buffer.deleteLines(start.row, end.row);
+        } else {
+          this.buffer.deleteRange(start, end);
+        }
+        break;
+      case 'c':
+        this.registers.delete(text, type, register);
+        // Open the insert session first so the deletion and the typed text undo together
+        this.enterInsertMode();
+        if (linewise) {
+          // With autoindent the first line's indent stays (cc, S)
+          const indent = this.autoIndent ? getIndent(this.buffer.getLine(start.row)) : '';
+          this.buffer.replaceLines(start.row, end.row, [indent]);
+          this.buffer.setCursor(start.row, indent.length);
+          this.autoIndentRow = indent ? start.row : null;
+        } else {
+          this.buffer.deleteRange(start, end);
+          // An empty range (ci( on "()") still starts inserting at its start
+          this.buffer.setCursor(start.row, start.col);
+        }
+        break;
+      case '>':
+      case '<':
+        this.shiftLines(start.row, end.row, operator === '>' ? 1 : -1);
+        break;
+      case '=':
+        this.reindentLines(start.row, end.row);
+        break;
+      case 'zf':
+        this.createFold(start.row, end.row);
+        break;
+      case '~':
+        if (linewise) {
+          this.buffer.replaceLines(start.row, end.row, text.split('\n').map(toggleCase));
+        } else {
+          this.buffer.beginChange();
+          this.buffer.deleteRange(start, end);
+          this.buffer.insertText(start, toggleCase(text));
+          this.buffer.endChange();
+        }
+        this.buffer.setCursor(start.row, start.col);
+        break;
+    }
+    
+    this.clampCursorToLine();
+  }
+
+  /**
+   * Make a range that starts or ends in a closed fold take in all of the
+   * fold's lines, as the fold is shown as one line
+   * @param {Object} range - Range {start, end, linewise}
+   * @returns {Object} - Range {start, end, linewise}
+   */
+  spanClosedFolds(range) {
+    const folds = this.getFolds();
+    const first = folds.getClosedFold(range.start.row);
+    const last = folds.getClosedFold(range.end.row);
+    if (!first && !last) {
+      return range;
+    }
+    return {
+      start: { row: first ? first.start : range.start.row, col: 0 },
+      end: { row: last ? last.end : range.end.row, col: 0 },
+      linewise: true
+    };
+  }
+
+  /**
+   * Get the part of a line inside a visual block. A tab or wide character
+   * partly inside the block is taken whole.
+   * @param {string} line - Line
+   * @param {Object} range - Block range from getVisualRange
+   * @returns {Object} - {start, end}: indices in the line, end exclusive
+   */
+  getBlockSpan(line, range) {
+    const start = columnToIndex(line, range.start.col, this.tabStop);
+    let end = columnToIndex(line, range.end.col, this.tabStop);
+    if (end < line.length && indexToColumn(line, end, this.tabStop) < range.end.col) {
+      end = nextCharIndex(line, end);
+    }
+    return { start, end };
+  }
+
+  /**
+   * Apply an operator to a visual block
+   * @param {string} operator - Operator (d, c, y, >, <, =, ~, zf)
+   * @param {Object} range - Block range from getVisualRange
+   * @param {string|null} register - Register selected
+   */
+  applyBlockOperator(operator, range, register) {
+    const { start, end } = range;
+    const lines = this.buffer.getLines(start.row, end.row);
+    const spans = lines.map(line => this.getBlockSpan(line, range));
+    const text = lines.map((line, i) => line.slice(spans[i].start, spans[i].end)).join('\n');
+    
+    switch (operator) {
+      case 'y':
+        this.registers.yank(text, 'block', register);
+        break;
+      case 'd':
+      case 'c':
+        this.registers.delete(text, 'block', register);
+        if (operator === 'c') {
+          // Text typed on the first line is copied to the other lines on <Esc>
+          this.enterInsertMode();
+          this.blockInsert = { startRow: start.row, endRow: end.row, col: spans[0].start };
+        }
+        this.buffer.replaceLines(start.row, end.row,
+          lines.map((line, i) => line.slice(0, spans[i].start) + line.slice(spans[i].end)));
+        break;
+      case '>':
+      case '<':
+        this.shiftLines(start.row, end.row, operator === '>' ? 1 : -1);
+        return;
+      case '=':
+        this.reindentLines(start.row, end.row);
+        return;
+      case 'zf':
+        this.createFold(start.row, end.row);
+        return;
+      case '~':
+        this.buffer.replaceLines(start.row, end.row, lines.map((line, i) => line.slice(0, spans[i].start) +
+          toggleCase(line.slice(spans[i].start, spans[i].end)) + line.slice(spans[i].end)));
+        break;
+    }
+    
+    this.buffer.setCursor(start.row, spans[0].start);
+  }
+
+  /**
+   * Copy the text typed while changing a visual block to the block's other lines
+   */
+  finishBlockInsert() {
+    const { startRow, endRow, col } = this.blockInsert;
+    this.blockInsert = null;
+    
+    // Only text typed on the first line, without line breaks, is repeated
+    const cursor = this.buffer.getCursor();
+    if (cursor.row !== startRow || cursor.col <= col) {
+      return;
+    }
+    
+    // The other lines get it at the same display column
+    const firstLine = this.buffer.getLine(startRow);
+    const typed = firstLine.slice(col, cursor.col);
+    const column = indexToColumn(firstLine, col, this.tabStop);
+    for (let row = startRow + 1; row <= endRow; row++) {
+      const line = this.buffer.getLine(row);
+      if (displayWidth(line, this.tabStop) >= column) {
+        this.buffer.insertText({ row, col: columnToIndex(line, column, this.tabStop) }, typed);
+      }
+    }
+    this.buffer.setCursor(cursor.row, cursor.col);
+  }
+
+  /**
+   * Shift lines right or left by shiftWidth columns. Blank lines are left alone.
+   * @param {number} startRow - First row
+   * @param {number} endRow - Last row (inclusive)
+   * @param {number} direction - 1 to indent, -1 to dedent
+   * @param {number} times - Number of shiftWidths to shift by
+   */
+  shiftLines(startRow, endRow, direction, times = 1) {
+    const lines = this.buffer.getLines(startRow, endRow).map(line => {
+      if (!line.trim()) {
+        return line;
+      }
+      const indent = /^[ \t]*/.exec(line)[0];
+      const width = Math.max(0, this.getIndentWidth(indent) + direction * this.shiftWidth * times);
+      return this.makeIndent(width) + line.slice(indent.length);
+    });
+    
+    this.buffer.replaceLines(startRow, endRow, lines);
+    this.buffer.setCursor(startRow, this.buffer.getFirstNonBlankCol(startRow));
+  }
+
+  /**
+   * Re-indent lines by the language's indent rules (=), each from the line
+   * before it. Languages without rules are indented by their brackets.
+   * @param {number} startRow - First row
+   * @param {number} endRow - Last row (inclusive)
+   */
+  reindentLines(startRow, endRow) {
+    const rules = getIndentRules(this.getLanguage()) || BRACES;
+    let previous = null;
+    for (let row = startRow - 1; row >= 0 && previous === null; row--) {
+      if (this.buffer.getLine(row).trim()) {
+        previous = this.buffer.getLine(row);
+      }
+    }
+    
+    const lines = this.buffer.getLines(startRow, endRow).map(line => {
+      if (!line.trim()) {
+        return '';
+      }
+      const indent = getIndent(line);
+      const text = line.slice(indent.length);
+      let width = 0;
+      if (previous !== null) {
+        const levels = getIndentChange(rules, previous, text);
+        width = Math.max(0, this.getIndentWidth(getIndent(previous)) + levels * this.shiftWidth);
+        // Where blocks end without a closing token (Python), a line further
+        // out than expected ends the block
+        if (rules.keepsDedent && levels <= 0) {
+          width = Math.min(width, this.getIndentWidth(indent));
+        }
+      }
+      previous = this.makeIndent(width) + text;
+      return previous;
+    });
+    
+    this.buffer.replaceLines(startRow, endRow, lines);
+    this.buffer.setCursor(startRow, this.buffer.getFirstNonBlankCol(startRow));
+  }
+
+  /**
+   * Indent a line again by the language's rules, keeping the cursor on the
+   * same character. Used when the line comes to match the rules' electric
+   * pattern while typing.
+   * @param {number} row - Row
+   */
+  reindentLine(row) {
+    const cursor = this.buffer.getCursor();
+    const before = this.buffer.getLine(row).length;
+    this.reindentLines(row, row);
+    const after = this.buffer.getLine(row).length;
+    this.buffer.setCursor(cursor.row, Math.max(0, cursor.col + after - before));
+  }
+
+  /**
+   * Build leading whitespace of a display width: spaces with expandtab,
+   * otherwise tabs and then spaces
+   * @param {number} width - Display width
+   * @returns {string}
+   */
+  makeIndent(width) {
+    if (this.expandTab) {
+      return ' '.repeat(width);
+    }
+    return '\t'.repeat(Math.floor(width / this.tabStop)) + ' '.repeat(width % this.tabStop);
+  }
+
+  /**
+   * Get the indent for a line opened after a line: the same indent with
+   * autoindent, one level in or out by the language's smartindent rules
+   * @param {string} previous - Line before the new one
+   * @param {string} next - Text that goes on the new line
+   * @returns {string}
+   */
+  getNewLineIndent(previous, next = '') {
+    if (!this.autoIndent) {
+      return '';
+    }
+    const indent = getIndent(previous);
+    const rules = this.getIndentRules();
+    const levels = rules ? getIndentChange(rules, previous, next) : 0;
+    if (!levels) {
+      return indent;
+    }
+    return this.makeIndent(Math.max(0, this.getIndentWidth(indent) + levels * this.shiftWidth));
+  }
+
+  /**
+   * Get the language of the current buffer
+   * @returns {string|null}
+   */
+  getLanguage() {
+    return this.syntaxHighlighter.getLanguage(this.buffer.getFilename());
+  }
+
+  /**
+   * Get the smart indent rules for the current buffer
+   * @returns {Object|null} - Rules, or null when smartindent is off or the
+   *   language has none
+   */
+  getIndentRules() {
+    return this.smartIndent ? getIndentRules(this.getLanguage()) : null;
+  }
+
+  /**
+   * Get the display width of leading whitespace
+   * @param {string} indent - Spaces and tabs
+   * @returns {number}
+   */
+  getIndentWidth(indent) {
+    return displayWidth(indent, this.tabStop);
+  }
+
+  /**
+   * Get the folds of a buffer, which keep their state while other buffers
+   * are edited
+   * @param {TextBuffer} buffer - Buffer, defaults to the current one
+   * @returns {Folds}
+   */
+  getFolds(buffer = this.buffer) {
+    if (!this.folds.has(buffer)) {
+      this.folds.set(buffer, new Folds(buffer, {
+        getSettings: () => ({ method: this.foldMethod, shiftWidth: this.shiftWidth, tabStop: this.tabStop }),
+        getIndentWidth: (indent) => this.getIndentWidth(indent),
+        scanLine: (line, state) => this.bracketMatcher.scanLine(line, this.syntaxHighlighter.getLanguage(buffer.getFilename()), state)
+      }));
+    }
+    return this.folds.get(buffer);
+  }
+
+  /**
+   * Fold lines (zf)
+   * @param {number} startRow - First row
+   * @param {number} endRow - Last row
+   * @returns {boolean} - False if the fold method doesn't allow it
+   */
+  createFold(startRow, endRow) {
+    if (!this.getFolds().create(startRow, endRow)) {
+      this.showMessage("E350: Cannot create fold with current 'foldmethod'", 3000, 'error');
+      return false;
+    }
+    this.buffer.setCursor(startRow, this.buffer.getCursor().col);
+    return true;
+  }
+
+  /**
+   * Open, close, toggle or delete the fold at the cursor (zo, zc, za, zd)
+   * @param {string} command - 'open', 'close', 'toggle' or 'remove'
+   * @returns {boolean} - False if there is no fold to change
+   */
+  foldAtCursor(command) {
+    if (command === 'remove' && this.foldMethod !== 'manual') {
+      this.showMessage("E351: Cannot delete fold with current 'foldmethod'", 3000, 'error');
+      return false;
+    }
+    if (!this.getFolds()[command](this.buffer.getCursor().row)) {
+      this.showMessage('E490: No fold found', 3000, 'error');
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Open the folds the cursor is hidden in
+   */
+  revealCursor() {
+    this.getFolds().reveal(this.buffer.getCursor().row);
+  }
+
+  /**
+   * Put the content of a register after or before the cursor. Linewise text
+   * goes on new lines below/above the cursor line.
+   * @param {string|null} register - Register name (unnamed if null)
+   * @param {number|null} count - Number of copies
+   * @param {boolean} before - Put before the cursor (P) instead of after (p)
+   * @returns {boolean} - False if the register is empty
+   */
+  putRegister(register, count, before) {
+    const name = register || '"';
+    const entry = this.registers.get(name);
+    if (!entry) {
+      this.showMessage(`Nothing in register ${name}`);
+      return false;
+    }
+    
+    const times = count || 1;
+    const cursor = this.buffer.getCursor();
+    
+    if (entry.type === 'block') {
+      this.putBlock(entry.text, times, before);
+    } else if (entry.type === 'line') {
+      const lines = [];
+      for (let i = 0; i < times; i++) {
+        lines.push(...entry.text.split('\n'));
+      }
+      const row = before ? cursor.row : cursor.row + 1;
+      this.buffer.insertLines(row, lines);
+      this.buffer.setCursor(row, this.buffer.getFirstNonBlankCol(row));
+    } else {
+      const text = entry.text.repeat(times);
+      const lineLength = this.buffer.getLine(cursor.row).length;
+      const col = before || lineLength === 0 ? cursor.col : cursor.col + 1;
+      const end = this.buffer.insertText({ row: cursor.row, col }, text);
+      
+      // The cursor ends on the last character put, or at the start of multi-line text
+      if (text.includes('\n')) {
+        this.buffer.setCursor(cursor.row, col);
+      } else {
+        this.buffer.setCursor(end.row, end.col - 1);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Put blockwise text: each line of it goes on successive rows at the same column
+   * @param {string} text - Block text, one line per row
+   * @param {number} times - Number of copies side by side
+   * @param {boolean} before - Put before the cursor instead of after
+   */
+  putBlock(text, times, before) {
+    const cursor = this.buffer.getCursor();
+    const cursorLine = this.buffer.getLine(cursor.row);
+    // Pieces go at the same display column on every row
+    const col = indexToColumn(cursorLine, before ? cursor.col : nextCharIndex(cursorLine, cursor.col), this.tabStop);
+    const pieces = text.split('\n');
+    const width = Math.max(...pieces.map(piece => displayWidth(piece, this.tabStop)));
+    const pad = (piece) => piece + ' '.repeat(width - displayWidth(piece, this.tabStop));
+    
+    this.buffer.beginChange();
+    pieces.forEach((piece, index) => {
+      const row = cursor.row + index;
+      if (row >= this.buffer.getLineCount()) {
+        this.buffer.insertLines(row, ['']);
+      }
+      
+      // Pad short lines, and pad pieces when text follows so columns line up
+      let line = this.buffer.getLine(row);
+      const lineWidth = displayWidth(line, this.tabStop);
+      if (lineWidth < col) {
+        line += ' '.repeat(col - lineWidth);
+      }
+      // A tab across the column stays in front of the piece
+      let at = columnToIndex(line, col, this.tabStop);
+      if (indexToColumn(line, at, this.tabStop) < col) {
+        at = nextCharIndex(line, at);
+      }
+      const tail = line.slice(at);
+      const padded = tail ? pad(piece) : piece;
+      const inserted = times > 1 ? pad(piece).repeat(times - 1) + padded : padded;
+      this.buffer.replaceLines(row, row, [line.slice(0, at) + inserted + tail]);
+    });
+    this.buffer.endChange();
+    
+    this.buffer.setCursor(cursor.row, columnToIndex(this.buffer.getLine(cursor.row), col, this.tabStop));
+  }
+
+  /**
+   * Handle keys in insert mode
+   * @param {string} ch - Character
+   * @param {object} key - Key info
+   */
+  async handleInsertModeKeys(ch, key) {
+    switch (key.name) {
+      case 'escape':
+        this.clearAIPreview();
+        this.leaveInsertMode();
+        break;
+      case 'return':
+        this.clearAIPreview();
+        this.typeNewLine();
+        this.recordInsert('\n');
+        break;
+      case 'backspace':
+        this.clearAIPreview();
+        this.typeBackspace();
+        this.recordInsert('\b');
+        // Trigger AI preview after backspace with debounce
+        this.triggerAIPreviewDebounced();
+        break;
+      case 'tab':
+        // Accept AI preview if available, otherwise get new suggestion
+        if (this.aiPreviewSuggestion) {
+          this.acceptAIPreview();
+        } else if (this.aiService.isAvailable() && !this.aiCompletionInProgress && !this.modeManager.isReplaceMode()) {
+          await this.handleAIPreviewCompletion();
+        } else {
+          // Fallback to regular tab behavior
+          this.typeTab();
+          this.recordInsert('\t');
+        }
+        break;
+      case 'left':
+        this.clearAIPreview();
+        this.buffer.moveCursorLeft();
+        this.restartInsertChange();
+        break;
+      case 'down':
+        this.clearAIPreview();
+        this.buffer.moveCursorDown();
+        this.restartInsertChange();
+        break;
+      case 'up':
+        this.clearAIPreview();
+        this.buffer.moveCursorUp();
+        this.restartInsertChange();
+        break;
+      case 'right':
+        this.clearAIPreview();
+        this.buffer.moveCursorRight();
+        this.restartInsertChange();
+        break;
+      default:
+        if (ch && !key.ctrl && !key.meta) {
+          this.clearAIPreview();
+          this.typeCharacter(ch);
+          this.recordInsert(ch);
+          // Trigger AI preview after typing with debounce
+          if (!this.modeManager.isReplaceMode()) {
+            this.triggerAIPreviewDebounced();
+          }
+        }
+    }
+  }
+
+  /**
+   * Type a character: insert it, or overwrite the one at the cursor in
+   * replace mode. With autopairs an opening bracket or quote is closed, and
+   * a closing one steps over the same character at the cursor.
+   * @param {string} char - Character
+   */
+  typeCharacter(char) {
+    this.autoIndentRow = null;
+    const { row, col } = this.buffer.getCursor();
+    if (this.modeManager.isReplaceMode()) {
+      // The terminal sends a surrogate pair as two keys; the second half
+      // joins the first instead of overwriting another character
+      if (/[\uDC00-\uDFFF]/.test(char) && /[\uD800-\uDBFF]/.test(this.buffer.getLine(row).charAt(col - 1))) {
+        this.buffer.insertCharacter(char);
+      } else {
+        this.replacedChars.push(this.buffer.replaceCharacter(char));
+      }
+      return;
+    }
+    
+    const line = this.buffer.getLine(row);
+    const before = line.charAt(col - 1);
+    const after = line.charAt(col);
+    const language = this.getLanguage();
+    if (this.autoPairs && skipsClosing(char, after, language)) {
+      this.buffer.setCursor(row, col + 1);
+      return;
+    }
+    
+    const closing = this.autoPairs ? getClosing(char, before, after, language) : null;
+    this.buffer.insertCharacter(char);
+    if (closing) {
+      this.buffer.insertCharacter(closing);
+      this.buffer.setCursor(row, col + 1);
+    }
+    
+    // Typing "}" (or the like) at the start of a line moves it out a level
+    const rules = this.getIndentRules();
+    if (rules && rules.electric && rules.electric.test(this.buffer.getLine(row))) {
+      this.reindentLine(row);
+    }
+  }
+
+  /**
+   * Type a tab; with expandtab, spaces up to the next tab stop
+   */
+  typeTab() {
+    if (!this.expandTab) {
+      this.typeCharacter('\t');
+      return;
+    }
+    const cursor = this.buffer.getCursor();
+    const width = this.getIndentWidth(this.buffer.getLine(cursor.row).slice(0, cursor.col));
+    for (let i = width % this.tabStop; i < this.tabStop; i++) {
+      this.typeCharacter(' ');
+    }
+  }
+
+  /**
+   * Type a line break; in replace mode it is added rather than overwriting.
+   * With autoindent the new line gets an indent in place of the white space
+   * it started with.
+   */
+  typeNewLine() {
+    // An unused indent moves down to the new line
+    const row = this.buffer.getCursor().row;
+    const previous = this.buffer.getLine(row);
+    this.removeUnusedAutoIndent();
+    this.buffer.insertNewLine();
+    if (this.modeManager.isReplaceMode()) {
+      this.replacedChars.push('\n');
+    }
+    if (!this.autoIndent) {
+      return;
+    }
+    
+    const line = this.buffer.getLine(row + 1);
+    const text = line.slice(getIndent(line).length);
+    const indent = this.getNewLineIndent(previous.trim() ? this.buffer.getLine(row) : previous, text);
+    this.buffer.replaceLines(row + 1, row + 1, [indent + text]);
+    this.buffer.setCursor(row + 1, indent.length);
+    this.autoIndentRow = indent ? row + 1 : null;
+  }
+
+  /**
+   * Remove the indent autoindent added if nothing was typed after it, as
+   * when leaving insert mode or typing another line break
+   */
+  removeUnusedAutoIndent() {
+    const row = this.autoIndentRow;
+    this.autoIndentRow = null;
+    const cursor = this.buffer.getCursor();
+    if (row !== cursor.row || this.buffer.getLine(row).trim()) {
+      return;
+    }
+    this.buffer.replaceLines(row, row, ['']);
+    this.buffer.setCursor(row, 0);
+  }
+
+  /**
+   * Type a backspace: delete the character before the cursor (both halves
+   * of an empty pair with autopairs), or in replace mode undo the last
+   * character typed, putting back what it overwrote. Before the replaced
+   * text it only moves left.
+   */
+  typeBackspace() {
+    this.autoIndentRow = null;
+    if (!this.modeManager.isReplaceMode()) {
+      const { row, col } = this.buffer.getCursor();
+      const line = this.buffer.getLine(row);
+      if (this.autoPairs && isEmptyPair(line.charAt(col - 1), line.charAt(col))) {
+        this.buffer.deleteRange({ row, col: col - 1 }, { row, col: col + 1 });
+      } else {
+        this.buffer.deleteCharacter();
+      }
+      return;
+    }
+    
+    const cursor = this.buffer.getCursor();
+    const previous = prevCharIndex(this.buffer.getLine(cursor.row), cursor.col);
+    if (this.replacedChars.length === 0) {
+      this.buffer.setCursor(cursor.row, previous);
+      return;
+    }
+    
+    const replaced = this.replacedChars.pop();
+    if (replaced === null || replaced === '\n') {
+      this.buffer.deleteCharacter();
+    } else {
+      this.buffer.setCursor(cursor.row, previous);
+      this.buffer.replaceCharacter(replaced);
+      this.buffer.setCursor(cursor.row, previous);
+    }
+  }
+
+  /**
+   * Enter insert mode, opening an undo group for the whole insert session
+   */
+  enterInsertMode() {
+    this.revealCursor();
+    this.buffer.beginChange();
+    this.modeManager.setInsertMode();
+  }
+
+  /**
+   * Enter replace mode (R), opening an undo group like insert mode
+   */
+  enterReplaceMode() {
+    this.buffer.beginChange();
+    this.replacedChars = [];
+    this.modeManager.setReplaceMode();
+  }
+
+  /**
+   * Start inserting after the cursor character (a)
+   */
+  appendAfterCursor() {
+    const cursor = this.buffer.getCursor();
+    const length = this.buffer.getLine(cursor.row).length;
+    this.enterInsertMode();
+    this.buffer.setCursor(cursor.row, Math.min(length, cursor.col + 1));
+  }
+
+  /**
+   * Start inserting at the end of the cursor line (A) or after its indent (I)
+   * @param {string} where - 'end' or 'indent'
+   */
+  insertInLine(where) {
+    const row = this.buffer.getCursor().row;
+    const line = this.buffer.getLine(row);
+    this.enterInsertMode();
+    this.buffer.setCursor(row, where === 'end' ? line.length : /^[ \t]*/.exec(line)[0].length);
+  }
+
+  /**
+   * Open a line below or above the cursor line with the same indent, and
+   * start inserting on it (o, O)
+   * @param {boolean} above - Open the line above (O)
+   */
+  openLine(above) {
+    const row = this.buffer.getCursor().row;
+    const line = this.buffer.getLine(row);
+    let indent = this.getNewLineIndent(line);
+    if (above) {
+      // Above a line starting with "}" (or the like), open inside the block
+      const rules = this.getIndentRules();
+      const inside = rules && rules.dedentLine && rules.dedentLine.test(line);
+      indent = !this.autoIndent ? '' : inside ? this.makeIndent(this.getIndentWidth(getIndent(line)) + this.shiftWidth) : getIndent(line);
+    }
+    
+    const newRow = above ? row : row + 1;
+    this.enterInsertMode();
+    this.buffer.insertLines(newRow, [indent]);
+    this.buffer.setCursor(newRow, indent.length);
+    this.autoIndentRow = indent ? newRow : null;
+  }
+
+  /**
+   * Delete count characters and start inserting (s); on an empty line it
+   * just starts inserting
+   * @param {number|null} count - Count typed
+   * @param {string|null} register - Register selected
+   */
+  substituteCharacters(count, register) {
+    if (!this.applyOperatorMotion('c', 'l', count, register)) {
+      this.enterInsertMode();
+    }
+  }
+
+  /**
+   * Leave insert mode, closing the insert session's undo group. The cursor
+   * moves back onto the last character typed, as in Vim.
+   */
+  leaveInsertMode() {
+    if (this.blockInsert) {
+      this.finishBlockInsert();
+    }
+    // The change that started the insert session is complete now
+    const change = this.insertChange;
+    this.insertChange = null;
+    if (change) {
+      this.repeatInsertText(change);
+    }
+    this.removeUnusedAutoIndent();
+    this.buffer.endChange();
+    this.modeManager.setNormalMode();
+    this.replacedChars = [];
+    
+    const cursor = this.buffer.getCursor();
+    if (cursor.col > 0) {
+      this.buffer.setCursor(cursor.row, cursor.col - 1);
+    }
+    
+    if (change) {
+      this.lastChange = change;
+    }
+  }
+
+  /**
+   * Insert the text of an insert session count - 1 more times, as a count
+   * before i, a, A, I, o or O asks; o and O put each copy on a new line
+   * @param {Object} change - Change that started the session
+   */
+  repeatInsertText(change) {
+    if (change.visual || !COUNTED_INSERTS.includes(change.keys)) {
+      return;
+    }
+    for (let i = 1; i < (change.count || 1); i++) {
+      if (change.keys === 'o' || change.keys === 'O') {
+        const row = this.buffer.getCursor().row;
+        this.buffer.setCursor(row, this.buffer.getLine(row).length);
+        this.typeNewLine();
+      }
+      this.replayInsert(change.insert);
+    }
+  }
+
+  /**
+   * Remember a change for "." once it's complete. A change that starts an
+   * insert session is completed by leaveInsertMode with the text typed.
+   * @param {Object} change - {keys, count, register, visual}; visual is the
+   *   selection extent for a visual mode change
+   */
+  recordChange(change) {
+    if (this.repeatingChange) {
+      return;
+    }
+    if (this.modeManager.isInsertMode()) {
+      this.insertChange = { ...change, insert: '' };
+    } else {
+      this.lastChange = { ...change, insert: null };
+    }
+  }
+
+  /**
+   * Remember an operator change; yanks and folds don't change the text
+   * @param {string} operator - Operator
+   * @param {string} motionKey - Motion keys, or the operator again for a
+   *   linewise change
+   * @param {number|null} count - Count typed
+   * @param {string|null} register - Register selected
+   */
+  recordOperatorChange(operator, motionKey, count, register) {
+    if (operator !== 'y' && operator !== 'zf') {
+      this.recordChange({ keys: operator + motionKey, count, register, visual: null });
+    }
+  }
+
+  /**
+   * Add text typed in insert mode to the change being recorded. Line breaks
+   * are recorded as "\n" and backspaces as "\b". Literal text, like an
+   * accepted AI suggestion, goes between "\0"s and is put back as it is,
+   * without autoindent or auto-pairing.
+   * @param {string} text - Text typed
+   * @param {boolean} literal - Whether the text was put in rather than typed
+   */
+  recordInsert(text, literal = false) {
+    if (this.insertChange) {
+      this.insertChange.insert += literal ? `\0${text}\0` : text;
+    }
+  }
+
+  /**
+   * Moving the cursor in insert mode starts a new change: only text typed
+   * after it is repeated, as if inserted with "i"
+   */
+  restartInsertChange() {
+    this.replacedChars = [];
+    this.autoIndentRow = null;
+    if (this.insertChange) {
+      const keys = this.modeManager.isReplaceMode() ? 'R' : 'i';
+      this.insertChange = { keys, count: null, register: null, visual: null, insert: '' };
+    }
+  }
+
+  /**
+   * Repeat the last change at the cursor (.). A count replaces the count the
+   * change was made with, and is used by later repeats too.
+   * @param {number|null} count - Count typed
+   * @returns {boolean} - False if there is no change to repeat
+   */
+  repeatLastChange(count) {
+    const change = this.lastChange;
+    if (!change) {
+      return false;
+    }
+    const repeated = { ...change, count: count || change.count };
+    
+    this.repeatingChange = true;
+    try {
+      if (change.visual) {
+        this.selectVisualExtent(change.visual);
+        this.visualCommands[change.keys](repeated.count, change.register);
+      } else {
+        this.executeChange(change.keys, repeated.count, change.register);
+      }
+      if (this.modeManager.isInsertMode()) {
+        this.replayInsert(change.insert || '');
+        this.repeatInsertText(repeated);
+        this.leaveInsertMode();
+      }
+    } finally {
+      this.repeatingChange = false;
+    }
+    
+    this.lastChange = repeated;
+    return true;
+  }
+
+  /**
+   * Run a recorded normal mode change
+   * @param {string} keys - Operator and motion keys, doubled operator, or a
+   *   change command
+   * @param {number|null} count - Count
+   * @param {string|null} register - Register
+   */
+  executeChange(keys, count, register) {
+    const operator = keys[0];
+    const motionKey = keys.slice(1);
+    if (OPERATORS.includes(operator) && motionKey === operator) {
+      this.applyOperatorToLines(operator, count, register);
+    } else if (OPERATORS.includes(operator) && getMotion(motionKey)) {
+      this.applyOperatorMotion(operator, motionKey, count, register);
+    } else if (OPERATORS.includes(operator) && TEXT_OBJECTS[motionKey]) {
+      this.applyOperatorTextObject(operator, motionKey, count, register);
+    } else if (OPERATORS.includes(operator) && (motionKey[0] === "'" || motionKey[0] === '`')) {
+      this.applyMarkMotion(motionKey[0], motionKey.slice(1), operator, count, register);
+    } else {
+      this.normalCommands[keys](count, register);
+    }
+  }
+
+  /**
+   * Type recorded insert mode text again
+   * @param {string} text - Text from recordInsert
+   */
+  replayInsert(text) {
+    // Typed text alternates with literal text
+    text.split('\0').forEach((part, index) => {
+      if (index % 2 === 1) {
+        this.buffer.insertText(this.buffer.getCursor(), part);
+        return;
+      }
+      for (const char of part) {
+        if (char === '\n') {
+          this.typeNewLine();
+        } else if (char === '\b') {
+          this.typeBackspace();
+        } else if (char === '\t') {
+          this.typeTab();
+        } else {
+          this.typeCharacter(char);
+        }
+      }
+    });
+  }
+
+  /**
+   * Undo the last change
+   * @returns {boolean} - Success status
+   */
+  undo() {
+    if (!this.buffer.undo()) {
+      this.showMessage('Already at oldest change');
+      return false;
+    }
+    this.revealCursor();
+    return true;
+  }
+
+  /**
+   * Redo the last undone change
+   * @returns {boolean} - Success status
+   */
+  redo() {
+    if (!this.buffer.redo()) {
+      this.showMessage('Already at newest change');
+      return false;
+    }
+    this.revealCursor();
+    return true;
+  }
+
+  /**
+   * Open the Ex command line
+   * @param {string} range - Range to start the command with (e.g. "'<,'>")
+   */
+  openCommandLine(range = '') {
+    this.modeManager.setCommandMode(':');
+    this.modeManager.addToCommandBuffer(range);
+  }
+
+  /**
+   * Get the row of a mark for Ex ranges
+   * @param {string} name - Mark name
+   * @returns {number|null} - Row, or null if the mark isn't set in the
+   *   current buffer
+   */
+  getMarkRow(name) {
+    const mark = this.getMarkPosition(name);
+    if (!mark || mark.entry !== this.buffers.current) {
+      return null;
+    }
+    return Math.min(mark.pos.row, this.buffer.getLineCount() - 1);
+  }
+
+  /**
+   * Set a mark at the cursor (m{name}): a-z in the buffer, A-Z for the file,
+   * ' or ` for the position jumped back to by ''
+   * @param {string} name - Mark name
+   * @returns {boolean} - False for an invalid name
+   */
+  setMark(name) {
+    const cursor = this.buffer.getCursor();
+    if (/^[a-z]$/.test(name)) {
+      this.buffer.setMark(name, cursor);
+    } else if (/^[A-Z]$/.test(name)) {
+      const old = this.fileMarks[name];
+      if (old && old.entry) {
+        old.entry.buffer.deleteMark(name);
+      }
+      this.buffer.setMark(name, cursor);
+      this.fileMarks[name] = { entry: this.buffers.current, filePath: this.buffer.getFilePath(), pos: null };
+    } else if (name === "'" || name === '`') {
+      this.buffer.setMark("'", cursor);
+    } else {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Find where a mark is
+   * @param {string} name - Mark name: a-z, A-Z, ' or ` (before the latest
+   *   jump), < or > (start and end of the last visual selection)
+   * @returns {Object|null} - {entry, filePath, pos}; entry is null for a file
+   *   mark whose buffer was closed
+   */
+  getMarkPosition(name) {
+    const current = this.buffers.current;
+    if (/^[A-Z]$/.test(name)) {
+      const mark = this.fileMarks[name];
+      if (!mark) {
+        return null;
+      }
+      const pos = mark.entry ? mark.entry.buffer.getMark(name) : mark.pos;
+      return pos ? { ...mark, pos } : null;
+    }
+    if ((name === '<' || name === '>') && this.lastVisual) {
+      const { start, end } = this.lastVisual;
+      const forward = start.row < end.row || (start.row === end.row && start.col <= end.col);
+      const pos = (name === '<') === forward ? start : end;
+      return { entry: current, filePath: this.buffer.getFilePath(), pos: { ...pos } };
+    }
+    
+    const pos = this.buffer.getMark(name === '`' ? "'" : name);
+    return pos ? { entry: current, filePath: this.buffer.getFilePath(), pos } : null;
+  }
+
+  /**
+   * Go to a mark: its line's first non-blank ('a), or its exact position
+   * (`a). A file mark switches to its buffer, opening the file if needed.
+   * @param {string} name - Mark name
+   * @param {boolean} exact - Go to the mark's column
+   * @returns {boolean} - False if the mark isn't set
+   */
+  jumpToMark(name, exact) {
+    const mark = this.getMarkPosition(name);
+    if (!mark) {
+      this.showMessage('Mark not set');
+      return false;
+    }
+    
+    this.recordJump();
+    if (!mark.entry) {
+      // The file mark's buffer was closed: open the file again and put the
+      // mark back in it
+      this.openFile(mark.filePath);
+      this.buffer.setMark(name, mark.pos);
+      this.fileMarks[name] = { entry: this.buffers.current, filePath: mark.filePath, pos: null };
+    } else if (mark.entry !== this.buffers.current) {
+      this.switchToBuffer(mark.entry);
+    }
+    
+    const row = Math.min(mark.pos.row, this.buffer.getLineCount() - 1);
+    const col = exact ? this.getNormalModeCol(row, mark.pos.col) : this.buffer.getFirstNonBlankCol(row);
+    this.buffer.setCursor(row, col);
+    this.revealCursor();
+    return true;
+  }
+
+  /**
+   * Move the cursor to a mark in the current buffer, as in visual mode
+   * @param {string} name - Mark name
+   * @param {boolean} exact - Go to the mark's column
+   * @returns {boolean} - False if the mark isn't set in this buffer
+   */
+  moveToMark(name, exact) {
+    const mark = this.getMarkPosition(name);
+    if (!mark || mark.entry !== this.buffers.current) {
+      this.showMessage('Mark not set');
+      return false;
+    }
+    const row = Math.min(mark.pos.row, this.buffer.getLineCount() - 1);
+    this.buffer.setCursor(row, exact ? mark.pos.col : this.buffer.getFirstNonBlankCol(row));
+    this.revealCursor();
+    return true;
+  }
+
+  /**
+   * Go to a mark in normal mode, or apply an operator from the cursor to
+   * it: linewise for 'a, exclusive for `a
+   * @param {string} kind - ' or `
+   * @param {string} name - Mark name
+   * @param {string|null} operator - Pending operator
+   * @param {number|null} count - Count typed
+   * @param {string|null} register - Register selected
+   * @returns {boolean} - False if the mark isn't set
+   */
+  applyMarkMotion(kind, name, operator, count, register) {
+    if (!operator) {
+      return this.jumpToMark(name, kind === '`');
+    }
+    
+    const mark = this.getMarkPosition(name);
+    if (!mark || mark.entry !== this.buffers.current) {
+      this.showMessage('Mark not set');
+      return false;
+    }
+    const row = Math.min(mark.pos.row, this.buffer.getLineCount() - 1);
+    const target = { row, col: Math.min(mark.pos.col, this.buffer.getLine(row).length) };
+    const type = kind === "'" ? 'linewise' : 'exclusive';
+    this.applyOperator(operator, this.getOperatorRange(this.buffer.getCursor(), target, type), register);
+    this.recordOperatorChange(operator, kind + name, count, register);
+    return true;
+  }
+
+  /**
+   * Remember the cursor position before a jump, in the jump list and as the
+   * ' mark
+   */
+  recordJump() {
+    const cursor = this.buffer.getCursor();
+    this.layout.current.jumpList.push(this.buffers.current, cursor);
+    this.buffer.setMark("'", cursor);
+  }
+
+  /**
+   * Go back to an older position in the jump list (Ctrl-O)
+   * @param {number|null} count - Number of positions to go back
+   * @returns {boolean} - False at the start of the list
+   */
+  jumpOlder(count) {
+    const jumpList = this.layout.current.jumpList;
+    return this.gotoJump(jumpList.back(this.buffers.current, this.buffer.getCursor(), count || 1));
+  }
+
+  /**
+   * Go forward to a newer position in the jump list (Ctrl-I)
+   * @param {number|null} count - Number of positions to go forward
+   * @returns {boolean} - False at the end of the list
+   */
+  jumpNewer(count) {
+    return this.gotoJump(this.layout.current.jumpList.forward(count || 1));
+  }
+
+  /**
+   * Move the cursor to a jump list position
+   * @param {Object|null} position - {entry, row, col}
+   * @returns {boolean} - False if there is no position
+   */
+  gotoJump(position) {
+    if (!position) {
+      return false;
+    }
+    if (position.entry !== this.buffers.current) {
+      this.switchToBuffer(position.entry);
+    }
+    const row = Math.min(position.row, this.buffer.getLineCount() - 1);
+    this.buffer.setCursor(row, this.getNormalModeCol(row, position.col));
+    return true;
+  }
+
+  /**
+   * Show a question in the status line and wait for the answer key
+   * @param {string} message - Question
+   * @returns {Promise<string|null>} - Key token of the answer
+   */
+  promptKey(message) {
+    this.showMessage(message, 60 * 60 * 1000);
+    this.render();
+    return new Promise(resolve => {
+      this.keyPrompt = resolve;
+    });
+  }
+
+  /**
+   * Open the search prompt
+   * @param {string} prompt - '/' to search forward, '?' to search backward
+   * @param {number|null} count - Count typed before the prompt
+   */
+  openSearchPrompt(prompt, count) {
+    this.searchCount = count;
+    this.modeManager.setCommandMode(prompt);
+  }
+
+  /**
+   * Build the regular expression for a search pattern from the search settings
+   * @param {string} pattern - JavaScript regular expression source
+   * @returns {RegExp} - Global regular expression
+   * @throws {SyntaxError} - If the pattern is invalid
+   */
+  compileSearchPattern(pattern) {
+    const ignoreCase = this.ignoreCase && !(this.smartCase && /[A-Z]/.test(pattern));
+    return new RegExp(pattern, ignoreCase ? 'gi' : 'g');
+  }
+
+  /**
+   * Search for a pattern and jump to the match
+   * @param {string} pattern - Pattern; empty to reuse the last one
+   * @param {boolean} backward - Search backward
+   * @param {number|null} count - Jump to the count'th match
+   * @returns {boolean} - False if there was no match
+   */
+  search(pattern, backward, count = null) {
+    if (!pattern && !this.lastSearch) {
+      this.showMessage('No previous search pattern');
+      return false;
+    }
+    
+    this.lastSearch = { pattern: pattern || this.lastSearch.pattern, backward };
+    return this.searchNext(count, false);
+  }
+
+  /**
+   * Jump to the next match of the last search (n), or the previous one (N)
+   * @param {number|null} count - Jump to the count'th match
+   * @param {boolean} reverse - Search in the opposite direction of the last search
+   * @returns {boolean} - False if there was no match
+   */
+  searchNext(count, reverse) {
+    if (!this.lastSearch) {
+      this.showMessage('No previous search pattern');
+      return false;
+    }
+    
+    const { pattern } = this.lastSearch;
+    const backward = this.lastSearch.backward !== reverse;
+    let regex;
+    try {
+      regex = this.compileSearchPattern(pattern);
+    } catch (error) {
+      this.showMessage(`Invalid pattern: ${error.message}`, 3000, 'error');
+      return false;
+    }
+    
+    this.searchHighlight = true;
+    let position = this.buffer.getCursor();
+    let wrapped = false;
+    for (let i = 0; i < (count || 1); i++) {
+      const match = this.buffer.search(regex, position, backward, this.wrapScan);
+      if (!match) {
+        this.showMessage(`Pattern not found: ${pattern}`);
+        return false;
+      }
+      wrapped = wrapped || match.wrapped;
+      position = match;
+    }
+    
+    this.recordJump();
+    this.buffer.setCursor(position.row, position.col);
+    this.revealCursor();
+    if (wrapped) {
+      this.showMessage(backward ? 'search hit TOP, continuing at BOTTOM' : 'search hit BOTTOM, continuing at TOP');
+    } else {
+      this.showMessage(`${backward ? '?' : '/'}${pattern}`);
+    }
+    return true;
+  }
+
+  /**
+   * Search for the whole word under or after the cursor (* and #)
+   * @param {number|null} count - Jump to the count'th match
+   * @param {boolean} backward - Search backward
+   * @returns {boolean} - False if there is no word or no match
+   */
+  searchWordUnderCursor(count, backward) {
+    const cursor = this.buffer.getCursor();
+    const found = this.buffer.getWordAt(cursor);
+    if (!found) {
+      this.showMessage('No string under cursor');
+      return false;
+    }
+    
+    // Start from the word itself so the search doesn't stop on it
+    this.buffer.setCursor(cursor.row, found.start);
+    return this.search(`\\b${escapeRegExp(found.word)}\\b`, backward, count);
+  }
+
+  /**
+   * Get the pattern whose matches should be highlighted: the one being typed
+   * while searching, else the last search unless highlighting was turned off
+   * @returns {RegExp|null}
+   */
+  getHighlightPattern() {
+    let pattern = null;
+    if (this.modeManager.isSearchPrompt()) {
+      pattern = this.incSearch ? this.modeManager.getCommandBuffer().slice(1) : null;
+    } else if (this.hlSearch && this.searchHighlight && this.lastSearch) {
+      pattern = this.lastSearch.pattern;
+    }
+    
+    if (!pattern) {
+      return null;
+    }
+    try {
+      return this.compileSearchPattern(pattern);
+    } catch (error) {
+      // Incomplete patterns are common while typing
+      return null;
+    }
+  }
+
+  /**
+   * Start recording typed keys into a register (q{register})
+   * @param {string} name - Register: 0-9, a-z, A-Z to append, or "
+   * @returns {boolean} - False for a register macros can't be recorded in
+   */
+  startRecording(name) {
+    if (!/^[0-9a-zA-Z"]$/.test(name)) {
+      return false;
+    }
+    this.recordingRegister = name;
+    this.recordedKeys = '';
+    return true;
+  }
+
+  /**
+   * Stop recording and store the keys typed, without the q that stopped it
+   */
+  stopRecording() {
+    this.registers.setMacro(this.recordingRegister, this.recordedKeys.slice(0, -1));
+    this.recordingRegister = null;
+    this.recordedKeys = '';
+  }
+
+  /**
+   * Execute the keys in a register count times (@{register}, @@). Playback
+   * stops at the first motion or search that fails.
+   * @param {string} name - Register, or @ for the last one executed
+   * @param {number|null} count - Times to execute
+   * @returns {Promise<boolean>} - False if playback stopped early
+   */
+  async executeMacro(name, count) {
+    if (name === '@') {
+      if (!this.lastMacro) {
+        this.showMessage('No previously used register');
+        return false;
+      }
+      name = this.lastMacro;
+    }
+    const entry = this.registers.isValidName(name) ? this.registers.get(name) : null;
+    if (!entry) {
+      return false;
+    }
+    if (this.macroDepth >= MAX_MACRO_DEPTH) {
+      this.showMessage('Macro nested too deeply');
+      return false;
+    }
+    this.lastMacro = name;
+    
+    // Lines of a linewise register each end with <CR>
+    const events = textToKeys(entry.type === 'line' ? `${entry.text}\n` : entry.text);
+    this.macroDepth++;
+    try {
+      for (let i = 0; i < (count || 1); i++) {
+        for (const { ch, key } of events) {
+          if (await this.handleKey(ch, key) === false) {
+            this.modeManager.setNormalMode();
+            return false;
+          }
+        }
+      }
+    } finally {
+      this.macroDepth--;
+    }
+    return true;
+  }
+
+  /**
+   * Handle keys in command mode
+   * @param {string} ch - Character
+   * @param {object} key - Key info
+   */
+  async handleCommandModeKeys(ch, key) {
+    // Clear AI preview when in command mode
+    this.clearAIPreview();
+    
+    switch (key.name) {
+      case 'escape':
+        this.modeManager.setNormalMode();
+        break;
+      case 'return':
+        const commandType = this.modeManager.getCommandType();
+        const command = this.modeManager.executeCommand();
+        if (commandType === '/' || commandType === '?') {
+          return this.search(command, commandType === '?', this.searchCount);
+        }
+        try {
+          const result = await this.commandParser.parseCommand(command);
+          if (!result) {
+            this.showMessage(`Unknown command: ${command}`);
+          }
+        } catch (error) {
+          console.error('Command execution error:', error);
+          this.showMessage(`Command error: ${error.message}`, 3000, 'error');
+        }
+        break;
+      case 'backspace':
+        this.modeManager.removeFromCommandBuffer();
+        break;
+      default:
+        if (ch && !key.ctrl && !key.meta && key.name !== 'tab') {
+          this.modeManager.addToCommandBuffer(ch);
+        }
+    }
+  }
+
+  /**
+   * Render editor content with improved cursor synchronization
+   */
+  render() {
+    const cursor = this.buffer.getCursor();
+    
+    // Ensure cursor position is valid and synchronized
+    this.ensureCursorSync(cursor);
+    
+    // Place the windows, then draw each one
+    this.renderTabline();
+    this.layoutWindows();
+    const active = this.layout.current;
+    this.layout.getWindows().forEach(window => this.renderWindow(window, window === active));
+    
+    // Set cursor with mode-specific styling
+    const position = this.getCursorScreenPosition();
+    this.setCursorPosition(position.row, position.col);
+    
+    // Update status line with additional info
+    const filename = this.buffer.getFilename();
+    const language = this.syntaxHighlighting ? this.syntaxHighlighter.getLanguage(filename) : null;
+    this.statusLine.update({
+      mode: this.modeManager.getMode(),
+      filename: filename,
+      modified: this.buffer.isModified(),
+      cursor: cursor,
+      commandBuffer: this.modeManager.getCommandBuffer(),
+      pendingKeys: this.modeManager.getPendingDisplay(),
+      language: language || 'plain',
+      lineCount: this.buffer.getLineCount(),
+      aiEnabled: this.aiService.enabled,
+      aiPreview: this.aiPreviewSuggestion ? 'AI suggestion available' : null,
+      tab: { index: this.tabs.indexOf(this.layout) + 1, count: this.tabs.length },
+      recording: this.recordingRegister
+    });
+    
+    // Update last cursor position for sync tracking
+    this.lastCursorPosition = { ...cursor };
+    
+    // Render changes
+    this.screen.render();
+  }
+
+  /**
+   * Get the screen area the windows share
+   * @returns {Object} - {top, left, width, height}
+   */
+  getLayoutArea() {
+    const top = this.tabs.length > 1 ? 1 : 0;
+    return { top, left: 0, width: this.screen.width, height: this.screen.height - 1 - top };
+  }
+
+  /**
+   * Draw the tabline: a label per tab page with the name of its current
+   * window's file, "+" when a window in it shows a modified buffer
+   */
+  renderTabline() {
+    if (!this.tabline) {
+      return;
+    }
+    if (this.tabs.length < 2) {
+      this.tabline.hide();
+      return;
+    }
+    
+    const labels = this.tabs.map((layout, i) => {
+      const modified = layout.getWindows().some(window => window.getBuffer().isModified());
+      const label = ` ${i + 1} ${layout.current.getBuffer().getFilename()}${modified ? ' +' : ''} `;
+      return layout === this.layout ? chalk.black.bgCyan.bold(label) : label;
+    });
+    this.tabline.setContent(labels.join('|'));
+    this.tabline.show();
+  }
+
+  /**
+   * Position every window's boxes, creating boxes for new windows. With more
+   * than one window each gets a status line under it.
+   */
+  layoutWindows() {
+    this.layout.layout(this.getLayoutArea());
+    const windows = this.layout.getWindows();
+    const split = windows.length > 1;
+    let created = false;
+    
+    windows.forEach(window => {
+      if (!window.box) {
+        window.box = this.createWindowBox();
+        this.screen.append(window.box);
+        created = true;
+      }
+      if (split && !window.statusBox) {
+        window.statusBox = blessed.box({ height: 1, style: { fg: 'white', bg: 'gray' } });
+        this.screen.append(window.statusBox);
+        created = true;
+      }
+      
+      const { top, left, width, height } = window.rect;
+      window.box.top = top;
+      window.box.left = left;
+      window.box.width = width;
+      window.box.height = height - (split ? 1 : 0);
+      window.box.style.border.fg = split && window === this.layout.current ? 'cyan' : 'blue';
+      
+      if (window.statusBox) {
+        window.statusBox.top = top + height - 1;
+        window.statusBox.left = left;
+        window.statusBox.width = width;
+        if (split) {
+          window.statusBox.show();
+        } else {
+          window.statusBox.hide();
+        }
+      }
+    });
+    
+    // Keep messages in front of the new boxes
+    if (created) {
+      this.statusLine.bringToFront();
+    }
+    this.contentBox = this.layout.current.box;
+  }
+
+  /**
+   * Remove the boxes of closed windows from the screen
+   * @param {Array<Window>} windows - Closed windows
+   */
+  destroyWindowBoxes(windows) {
+    windows.forEach(window => {
+      [window.box, window.statusBox].forEach(box => {
+        if (box) {
+          box.detach();
+        }
       });
+      window.box = null;
+      window.statusBox = null;
+    });
+  }
+
+  /**
+   * Get the number of text rows a window shows
+   * @param {Window} window - Window, defaults to the current one
+   * @returns {number}
+   */
+  getTextHeight(window = this.layout.current) {
+    if (!window.rect) {
+      return Math.max(1, this.contentBox.height - 2);
+    }
+    const statusRow = this.layout.getWindows().length > 1 ? 1 : 0;
+    // Leave out the border
+    return Math.max(1, window.rect.height - statusRow - 2);
+  }
+
+  /**
+   * Get the number of columns a window has for text, after its line numbers
+   * @param {Window} window - Window, defaults to the current one
+   * @returns {number}
+   */
+  getTextWidth(window = this.layout.current) {
+    const width = window.rect ? window.rect.width : this.contentBox.width;
+    // Leave out the border
+    return Math.max(1, width - 2 - (this.showLineNumbers ? this.lineNumberWidth : 0));
+  }
+
+  /**
+   * Get where the cursor is on the screen
+   * @returns {Object} - {row, col}
+   */
+  getCursorScreenPosition() {
+    const window = this.layout.current;
+    const cursor = this.buffer.getCursor();
+    const rect = window.rect || { top: 0, left: 0 };
+    const cursorRow = this.getScreenRow(cursor.row);
+    // Display lines above the cursor's line
+    let row = 0;
+    for (const shown of this.getScreenRows(window)) {
+      if (shown === cursorRow) {
+        break;
+      }
+      row += this.getLineSegments(shown, window).length;
+    }
+    const cursorCol = this.getCursorDisplayColumn(this.buffer, cursor);
+    let col = cursorCol - window.leftCol;
+    if (this.getFolds().getClosedFold(cursor.row)) {
+      // On a closed fold the cursor sits at the start of its line
+      col = 0;
+    } else if (this.wrap) {
+      const line = this.buffer.getLine(cursor.row);
+      const segments = this.getLineSegments(cursor.row, window);
+      const index = findSegment(segments, cursor.col);
+      row += index;
+      const startCol = indexToColumn(line, segments[index].start, this.tabStop);
+      col = Math.min(cursorCol - startCol, this.getTextWidth(window) - 1);
+    }
+    // One cell in for the border
+    return {
+      row: rect.top + 1 + row,
+      col: rect.left + 1 + col + (this.showLineNumbers ? this.lineNumberWidth : 0)
+    };
+  }
+
+  /**
+   * Get the display column the cursor is drawn at. Outside insert mode it
+   * sits on the last cell of a tab, like in Vim.
+   * @param {TextBuffer} buffer - Buffer
+   * @param {Object} cursor - Cursor {row, col}
+   * @returns {number}
+   */
+  getCursorDisplayColumn(buffer, cursor) {
+    const line = buffer.getLine(cursor.row) || '';
+    if (line[cursor.col] === '\t' && !this.modeManager.isInsertMode()) {
+      return indexToColumn(line, cursor.col + 1, this.tabStop) - 1;
+    }
+    return indexToColumn(line, cursor.col, this.tabStop);
+  }
+
+  /**
+   * Draw the lines of a buffer that are in view in a window
+   * @param {Window} window - Window
+   * @param {boolean} active - Whether it's the window being edited, which
+   *   shows the cursor, selection and AI preview
+   */
+  renderWindow(window, active) {
+    const buffer = window.getBuffer();
+    const cursor = active ? buffer.getCursor() : window.cursor;
+    cursor.row = Math.min(cursor.row, buffer.getLineCount() - 1);
+    let displayContent = '';
+    
+    // Determine language for syntax highlighting
+    const filename = buffer.getFilename();
+    const language = this.syntaxHighlighting ? this.syntaxHighlighter.getLanguage(filename) : null;
+    
+    // Ensure cursor is visible by scrolling if necessary
+    this.ensureCursorVisible(cursor.row, window);
+    this.ensureCursorColumnVisible(this.getCursorDisplayColumn(buffer, cursor), window);
+    const height = this.getTextHeight(window);
+    const width = this.getTextWidth(window);
+    const folds = this.getFolds(buffer);
+    const rows = this.getScreenRows(window);
+    const firstRow = rows[0];
+    const lastFold = folds.getClosedFold(rows[rows.length - 1]);
+    const lastRow = lastFold ? lastFold.end : rows[rows.length - 1];
+    const cursorRow = this.getScreenRow(cursor.row, buffer);
+    
+    // Only the lines in view are highlighted, with a window's height more on
+    // each side so scrolling finds them in the highlighter's cache
+    const marginStart = Math.max(0, firstRow - height);
+    const content = buffer.getLines(marginStart, lastRow + height);
+    const processedContent = content.map((line, i) => {
+      // The AI preview shows in the line being typed
+      if (active && marginStart + i === cursor.row && this.aiPreviewSuggestion && this.modeManager.isInsertMode()) {
+        return this.insertAIPreviewInLine(line, cursor.col, this.aiPreviewSuggestion);
+      }
+      return line;
+    });
+    const highlightedLines = language ? 
+      this.syntaxHighlighter.highlightLines(processedContent, language) : 
+      processedContent;
+    
+    // Rows drawn last time are reused while their line and the settings
+    // they were drawn with stay the same
+    const drawSettings = [width, this.tabStop, this.list, JSON.stringify(this.listChars)].join(':');
+    const previousRows = window.drawnRows && window.drawnRows.settings === drawSettings
+      ? window.drawnRows.rows
+      : new Map();
+    const drawnRows = new Map();
+    
+    // While typing a search, the match it would jump to stands out
+    const searchRegex = this.getHighlightPattern();
+    const searchPrompt = active && this.modeManager.isSearchPrompt();
+    const currentMatch = searchRegex && searchPrompt
+      ? buffer.search(searchRegex, cursor, this.modeManager.getCommandType() === '?', this.wrapScan)
+      : null;
+    const bracketCells = this.getBracketCells(buffer, active ? cursor : null, firstRow, lastRow);
+    const blankGutter = this.showLineNumbers ? ' '.repeat(this.lineNumberWidth) : '';
+    let displayRows = 0;
+    
+    for (const index of rows) {
+      const fold = folds.getClosedFold(index);
+      // Lines with search matches or a visual selection are drawn plain with
+      // the highlights on top
+      const spans = [];
+      if (searchRegex) {
+        buffer.findMatches(index, searchRegex).forEach(match => {
+          const isCurrent = currentMatch && currentMatch.row === index && currentMatch.col === match.start;
+          // Show empty matches as one cell
+          const end = Math.max(match.end, match.start + 1);
+          spans.push({ start: match.start, end, style: isCurrent ? chalk.black.bgCyan : chalk.black.bgYellow });
+        });
+      }
+      
+      if (active && this.confirmMatch && this.confirmMatch.row === index) {
+        const { start, end } = this.confirmMatch;
+        spans.push({ start, end: Math.max(end, start + 1), style: chalk.black.bgCyan });
+      }
       
-      // Apply syntax highlighting to processed content if enabled
-      const finalLines = language && this.syntaxHighlighting ? 
-        this.syntaxHighlighter.highlightLines(processedContent, language) : 
-        processedContent;
+      const selection = active ? this.getVisualSpan(index) : null;
+      if (selection) {
+        spans.push({ ...selection, style: chalk.inverse });
+      }
+      
+      // Brackets only get a background, so they keep their syntax colors
+      // (the AI preview moves the text along, so it goes without)
+      const offset = index - marginStart;
+      const cells = processedContent[offset] === content[offset] ? bracketCells.get(index) || [] : [];
+      let line = highlightedLines[offset];
+      // The text that is shown, without colors
+      let text = processedContent[offset];
+      if (fold) {
+        text = this.getFoldLine(fold, content[offset], window);
+        line = chalk.cyan.bgBlackBright(text);
+      } else if (spans.length > 0) {
+        const bracketSpans = cells.map(cell => ({ start: cell.col, end: cell.col + 1, style: cell.style }));
+        text = content[offset];
+        line = this.decorateLine(text, [...bracketSpans, ...spans]);
+      } else if (cells.length > 0) {
+        line = this.styleCells(line, cells);
+      }
       
-      finalLines.forEach((line, index) => {
+      // Add content with line numbers if enabled
+      let gutter = '';
+      if (this.showLineNumbers) {
         // Calculate line number (absolute or relative)
         let lineNumber;
-        if (this.relativeLineNumbers && index !== cursor.row) {
+        if (this.relativeLineNumbers && index !== cursorRow) {
           // Calculate the relative distance from the current line
-          const distance = Math.abs(index - cursor.row);
+          const distance = Math.abs(this.countScreenLines(cursorRow, index, buffer));
           lineNumber = String(distance).padStart(this.lineNumberWidth - 2, ' ');
         } else {
           // Use absolute line numbers for current line or if relative is disabled
@@ -332,62 +2861,228 @@ class Editor {
         }
         
         // Apply different styles to current line number
-        const lineNumberStyle = index === cursor.row 
+        gutter = index === cursorRow 
           ? chalk.yellow.bold(`${lineNumber} >`) 
           : chalk.gray(`${lineNumber} |`);
-        
-        displayContent += lineNumberStyle + line + '\n';
+      }
+      
+      // Long lines go on as many display lines as they wrap into (only the
+      // number goes on the first), or show the columns scrolled into view
+      let segments = [{ start: 0, end: text.length, startCol: window.leftCol }];
+      if (fold) {
+        segments = [{ start: 0, end: text.length, startCol: 0 }];
+      } else if (this.wrap) {
+        segments = this.getLineSegments(index, window, text).map(segment => ({
+          ...segment,
+          startCol: indexToColumn(text, segment.start, this.tabStop)
+        }));
+      }
+      segments.slice(0, height - displayRows).forEach((segment, i) => {
+        const key = `${segment.start}:${segment.end}:${segment.startCol}:${line}`;
+        const shown = previousRows.get(key) || this.renderLinePart(line, text, segment, segment.startCol, segment.startCol + width);
+        drawnRows.set(key, shown);
+        displayContent += (i === 0 ? gutter : blankGutter) + shown + '\n';
       });
-    } else {
-      // Process without line numbers
-      const processedContent = content.map((line, index) => {
-        if (index === cursor.row && this.aiPreviewSuggestion && this.modeManager.isInsertMode()) {
-          return this.insertAIPreviewInLine(line, cursor.col, this.aiPreviewSuggestion);
+      displayRows += segments.length;
+    }
+    window.drawnRows = { settings: drawSettings, rows: drawnRows };
+    
+    // Set content
+    window.box.setContent(displayContent);
+    
+    if (window.statusBox && this.layout.getWindows().length > 1) {
+      const name = `${filename}${buffer.isModified() ? ' [+]' : ''}`;
+      const position = `${cursor.row + 1},${cursor.col + 1}`;
+      const width = Math.max(0, window.rect.width - name.length - 2);
+      window.statusBox.setContent(` ${name}${position.padStart(width)} `);
+      window.statusBox.style.bg = active ? 'blue' : 'gray';
+      window.statusBox.style.bold = active;
+    }
+  }
+
+  /**
+   * Get the line that stands for a closed fold: its level, its number of
+   * lines and the text of its first line, filled out to the window's width
+   * @param {Object} fold - Fold {start, end, level}
+   * @param {string} text - Text of the fold's first line
+   * @param {Window} window - Window it's drawn in
+   * @returns {string} - Line, without colors; longer ones are cut when drawn
+   */
+  getFoldLine(fold, text, window) {
+    const count = fold.end - fold.start + 1;
+    const title = text.replace(/\{\{\{\d*|\}\}\}\d*/g, '').replace(/\t/g, ' ').trim();
+    const line = `+-${'-'.repeat(fold.level)}${String(count).padStart(3)} lines: ${title}`;
+    const fill = this.getTextWidth(window) - displayWidth(line, this.tabStop);
+    return line + '-'.repeat(Math.max(0, fill));
+  }
+
+  /**
+   * Get the brackets to highlight: unmatched brackets, and the bracket at
+   * the cursor with its match. In insert mode the bracket just before the
+   * cursor counts too.
+   * @param {TextBuffer} buffer - Buffer
+   * @param {Object|null} cursor - Cursor position, or null for none
+   * @param {number} firstRow - First row in view
+   * @param {number} lastRow - Last row in view
+   * @returns {Map<number, Array<Object>>} - Cells {col, style} by row
+   */
+  getBracketCells(buffer, cursor, firstRow, lastRow) {
+    const language = this.syntaxHighlighter.getLanguage(buffer.getFilename());
+    const { matches, unmatched } = this.bracketMatcher.analyze(buffer, language, firstRow, lastRow);
+    const cells = new Map();
+    const add = (row, col, style) => {
+      if (!cells.has(row)) {
+        cells.set(row, []);
+      }
+      cells.get(row).push({ col, style });
+    };
+    
+    unmatched.forEach((cols, row) => cols.forEach(col => add(row, col, chalk.bgRed)));
+    if (cursor) {
+      const candidates = [cursor];
+      if (this.modeManager.isInsertMode() && cursor.col > 0) {
+        candidates.push({ row: cursor.row, col: cursor.col - 1 });
+      }
+      const pos = candidates.find(candidate => matches.has(`${candidate.row}:${candidate.col}`));
+      if (pos) {
+        const match = matches.get(`${pos.row}:${pos.col}`);
+        add(pos.row, pos.col, chalk.bgCyan);
+        add(match.row, match.col, chalk.bgCyan);
+      }
+    }
+    return cells;
+  }
+
+  /**
+   * Give single characters of a line, which may already have syntax colors,
+   * a background style
+   * @param {string} line - Line, possibly with ANSI color codes
+   * @param {Array<Object>} cells - [{col, style}] with styles that only set
+   *   a background
+   * @returns {string} - Styled line
+   */
+  styleCells(line, cells) {
+    const styles = new Map(cells.map(cell => [cell.col, cell.style]));
+    let result = '';
+    let col = 0;
+    for (const [part] of line.matchAll(/\x1b\[[0-9;]*m|[\s\S]/g)) {
+      if (part.length > 1) {
+        result += part;
+        continue;
+      }
+      result += styles.has(col) ? styles.get(col)(part) : part;
+      col++;
+    }
+    return result;
+  }
+
+  /**
+   * Draw part of a line: the characters from a segment that fall in some
+   * display columns. Color codes before them still apply, and colors are
+   * reset after. Tabs are expanded, control characters shown as ^X, and with
+   * list the listchars stand in for tabs, spaces and the end of the line.
+   * A wide character cut at the edge is shown as blanks.
+   * @param {string} line - Line, possibly with ANSI color codes
+   * @param {string} text - The same line without colors
+   * @param {Object} segment - Indices {start, end} of the characters to draw
+   * @param {number} fromCol - First display column
+   * @param {number} toCol - Display column after the last one
+   * @returns {string}
+   */
+  renderLinePart(line, text, segment, fromCol, toCol) {
+    const cells = getCells(text, this.tabStop);
+    const trailing = text.replace(/ +$/, '').length;
+    let result = '';
+    let next = 0;
+    let index = 0;
+    for (const [part] of line.matchAll(/\x1b\[[0-9;]*m|[\s\S]/gu)) {
+      if (part.length > 1 && part[0] === '\x1b') {
+        result += part;
+        continue;
+      }
+      const cell = cells[next];
+      if (cell && cell.index === index) {
+        next++;
+        if (cell.index >= segment.start && cell.index < segment.end) {
+          result += this.renderCell(cell, fromCol, toCol, cell.index >= trailing);
+        }
+      }
+      index += part.length;
+    }
+    const { eol } = this.listChars;
+    const endCol = cells.length > 0 ? cells[cells.length - 1].col + cells[cells.length - 1].width : 0;
+    if (this.list && eol && segment.end >= text.length && endCol >= fromCol && endCol < toCol) {
+      result += eol;
+    }
+    return line.includes('\x1b') ? result + '\x1b[0m' : result;
+  }
+
+  /**
+   * Get what is drawn for a character, or the part of it between some
+   * display columns
+   * @param {Object} cell - Character from getCells
+   * @param {number} fromCol - First display column
+   * @param {number} toCol - Display column after the last one
+   * @param {boolean} trailing - Whether it's in the spaces at the line's end
+   * @returns {string}
+   */
+  renderCell(cell, fromCol, toCol, trailing) {
+    const first = Math.max(cell.col, fromCol);
+    const last = Math.min(cell.col + cell.width, toCol);
+    if (first >= last) {
+      return '';
+    }
+    const { tab, trail, space, nbsp } = this.listChars;
+    const code = cell.text.codePointAt(0);
+    const control = code < 0x20 || code === 0x7f;
+    let shown = cell.text;
+    if (cell.text === '\t') {
+      shown = this.list && tab ? tab[0] + tab[1].repeat(cell.width - 1) : ' '.repeat(cell.width);
+    } else if (control) {
+      shown = '^' + String.fromCharCode(code ^ 0x40);
+    } else if (this.list && cell.text === ' ' && (trailing && trail || space)) {
+      shown = trailing && trail ? trail : space;
+    } else if (this.list && cell.text === '\u00a0' && nbsp) {
+      shown = nbsp;
+    }
+    if (first === cell.col && last === cell.col + cell.width) {
+      return shown;
+    }
+    return cell.text === '\t' || control ? shown.slice(first - cell.col, last - cell.col) : ' '.repeat(last - first);
+  }
+
+  /**
+   * Style parts of a plain line. Where spans overlap the later one wins; spans
+   * reaching past the end of the line are drawn as a styled blank cell.
+   * @param {string} line - Plain line text
+   * @param {Array<Object>} spans - [{start, end, style}] with end exclusive
+   * @returns {string} - Styled line
+   */
+  decorateLine(line, spans) {
+    const width = Math.max(line.length, ...spans.map(span => Math.min(span.end, line.length + 1)));
+    const styleAt = (col) => {
+      let style = null;
+      spans.forEach(span => {
+        if (col >= span.start && col < span.end) {
+          style = span.style;
         }
-        return line;
-      });
-      
-      // Apply syntax highlighting to processed content if enabled
-      const finalLines = language && this.syntaxHighlighting ? 
-        this.syntaxHighlighter.highlightLines(processedContent, language) : 
-        processedContent;
-      
-      finalLines.forEach(line => {
-        displayContent += line + '\n';
       });
-    }
-    
-    // Set content
-    this.contentBox.setContent(displayContent);
-    
-    // Calculate cursor position (accounting for line numbers and scrolling)
-    const cursorX = cursor.col + (this.showLineNumbers ? this.lineNumberWidth : 0);
-    const cursorY = cursor.row;
-    
-    // Ensure cursor is visible by scrolling if necessary
-    this.ensureCursorVisible(cursorY);
-    
-    // Set cursor with mode-specific styling
-    this.setCursorPosition(cursorY, cursorX);
-    
-    // Update status line with additional info
-    this.statusLine.update({
-      mode: this.modeManager.getMode(),
-      filename: this.buffer.getFilename(),
-      modified: this.buffer.isModified(),
-      cursor: cursor,
-      commandBuffer: this.modeManager.getCommandBuffer(),
-      language: language || 'plain',
-      lineCount: content.length,
-      aiEnabled: this.aiService.enabled,
-      aiPreview: this.aiPreviewSuggestion ? 'AI suggestion available' : null
-    });
-    
-    // Update last cursor position for sync tracking
-    this.lastCursorPosition = { ...cursor };
+      return style;
+    };
     
-    // Render changes
-    this.screen.render();
+    let result = '';
+    let col = 0;
+    while (col < width) {
+      const style = styleAt(col);
+      let next = col + 1;
+      while (next < width && styleAt(next) === style) {
+        next++;
+      }
+      const text = line.slice(col, next).padEnd(next - col, ' ');
+      result += style ? style(text) : text;
+      col = next;
+    }
+    return result;
   }
 
   /**
@@ -427,11 +3122,8 @@ class Editor {
    * Update cursor display
    */
   updateCursorDisplay() {
-    const cursor = this.buffer.getCursor();
-    const cursorX = cursor.col + (this.showLineNumbers ? this.lineNumberWidth : 0);
-    const cursorY = cursor.row;
-    
-    this.setCursorPosition(cursorY, cursorX);
+    const position = this.getCursorScreenPosition();
+    this.setCursorPosition(position.row, position.col);
     this.screen.render();
   }
 
@@ -444,13 +3136,14 @@ class Editor {
       if (this.cursorVisible) {
         this.screen.program.cup(row, col);
         this.screen.program.showCursor();
-        // Set cursor style to vertical bar (if terminal supports it)
-        this.screen.program.write('\x1b[6 q'); // Steady bar
+        // Set cursor style to vertical bar, or underline in replace mode (if
+        // terminal supports it)
+        this.screen.program.write(this.modeManager.isReplaceMode() ? '\x1b[4 q' : '\x1b[6 q');
       } else {
         this.screen.program.hideCursor();
       }
-    } else if (this.modeManager.isNormalMode()) {
-      // Normal mode: show steady block cursor
+    } else if (this.modeManager.isNormalMode() || this.modeManager.isVisualMode()) {
+      // Normal and visual modes: show steady block cursor
       this.screen.program.cup(row, col);
       this.screen.program.showCursor();
       // Set cursor style to block (if terminal supports it)
@@ -462,22 +3155,284 @@ class Editor {
   }
 
   /**
-   * Ensure cursor is visible in viewport
+   * Get the number of lines to keep above and below the cursor; it can't be
+   * more than half the window
+   * @param {Window} window - Window, defaults to the current one
+   * @returns {number}
+   */
+  getScrollOff(window = this.layout.current) {
+    return Math.min(this.scrollOff, Math.floor((this.getTextHeight(window) - 1) / 2));
+  }
+
+  /**
+   * Get the row a line is shown on: the first row of the closed fold it is
+   * in, or the row itself
+   * @param {number} row - Row
+   * @param {TextBuffer} buffer - Buffer, defaults to the current one
+   * @returns {number}
+   */
+  getScreenRow(row, buffer = this.buffer) {
+    const fold = this.getFolds(buffer).getClosedFold(row);
+    return fold ? fold.start : row;
+  }
+
+  /**
+   * Go a number of screen lines down or up from a row, a closed fold being
+   * one line; stops at the start or end of the buffer
+   * @param {number} row - Row
+   * @param {number} lines - Lines to go, negative to go up
+   * @param {TextBuffer} buffer - Buffer, defaults to the current one
+   * @returns {number} - Row of the screen line reached
+   */
+  moveScreenLines(row, lines, buffer = this.buffer) {
+    const folds = this.getFolds(buffer);
+    const lastRow = buffer.getLineCount() - 1;
+    let result = this.getScreenRow(row, buffer);
+    for (let i = 0; i < Math.abs(lines); i++) {
+      const fold = folds.getClosedFold(result);
+      if (lines > 0 && (fold ? fold.end : result) < lastRow) {
+        result = (fold ? fold.end : result) + 1;
+      } else if (lines < 0 && result > 0) {
+        result = this.getScreenRow(result - 1, buffer);
+      } else {
+        break;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Count the screen lines from one row down to another, a closed fold being
+   * one line
+   * @param {number} from - Row
+   * @param {number} to - Row; above from gives a negative count
+   * @param {TextBuffer} buffer - Buffer, defaults to the current one
+   * @returns {number}
+   */
+  countScreenLines(from, to, buffer = this.buffer) {
+    const first = this.getScreenRow(Math.min(from, to), buffer);
+    const last = this.getScreenRow(Math.max(from, to), buffer);
+    let lines = last - first;
+    this.getFolds(buffer).getClosedFoldsBetween(first, last).forEach(fold => {
+      lines -= fold.end - fold.start;
+    });
+    return from <= to ? lines : -lines;
+  }
+
+  /**
+   * Split a line into the display lines it is shown on: several when a long
+   * line wraps, one when lines don't wrap or the line is in a closed fold
+   * @param {number} row - Row
+   * @param {Window} window - Window, defaults to the current one
+   * @param {string|null} text - Text shown for the line, if not the line's own
+   * @returns {Array<Object>} - Segments {start, end} of the text
+   */
+  getLineSegments(row, window = this.layout.current, text = null) {
+    const buffer = window.getBuffer();
+    const line = text === null ? buffer.getLine(row) : text;
+    if (!this.wrap || this.getFolds(buffer).getClosedFold(row)) {
+      return [{ start: 0, end: line.length }];
+    }
+    return wrapLine(line, this.getTextWidth(window), this.lineBreak, this.tabStop);
+  }
+
+  /**
+   * Get the rows of the lines a window shows, from its top; a closed fold is
+   * shown by its first row. Only lines that fit in the window whole are
+   * included, except a first line taller than the window.
+   * @param {Window} window - Window, defaults to the current one
+   * @returns {Array<number>}
+   */
+  getScreenRows(window = this.layout.current) {
+    const buffer = window.getBuffer();
+    const height = this.getTextHeight(window);
+    const lineCount = buffer.getLineCount();
+    const rows = [];
+    let used = 0;
+    for (let row = this.getScreenRow(window.scrollTop, buffer); used < height && row < lineCount; row++) {
+      used += this.getLineSegments(row, window).length;
+      if (used > height && rows.length > 0) {
+        break;
+      }
+      rows.push(row);
+      const fold = this.getFolds(buffer).getClosedFold(row);
+      if (fold) {
+        row = fold.end;
+      }
+    }
+    return rows;
+  }
+
+  /**
+   * Get the top row that shows a line with a number of display lines above
+   * it, or as many as there are
+   * @param {number} row - Row
+   * @param {number} linesAbove - Display lines wanted above the row's line
+   * @param {Window} window - Window, defaults to the current one
+   * @returns {number}
+   */
+  getTopRow(row, linesAbove, window = this.layout.current) {
+    const buffer = window.getBuffer();
+    let top = this.getScreenRow(row, buffer);
+    let used = 0;
+    while (top > 0) {
+      const above = this.getScreenRow(top - 1, buffer);
+      used += this.getLineSegments(above, window).length;
+      if (used > linesAbove) {
+        break;
+      }
+      top = above;
+    }
+    return top;
+  }
+
+  /**
+   * Get the top row that shows a line at the bottom of a window
+   * @param {number} row - Row
+   * @param {Window} window - Window, defaults to the current one
+   * @returns {number}
+   */
+  getTopRowForBottom(row, window = this.layout.current) {
+    const height = this.getLineSegments(this.getScreenRow(row, window.getBuffer()), window).length;
+    return this.getTopRow(row, this.getTextHeight(window) - height, window);
+  }
+
+  /**
+   * Ensure cursor is visible in viewport, with scrolloff lines around it
+   * @param {number} cursorRow - Cursor row
+   * @param {Window} window - Window to scroll, defaults to the current one
    */
-  ensureCursorVisible(cursorRow) {
-    const box = this.contentBox;
-    const scrollTop = box.getScrollPerc() * Math.max(0, box.getScrollHeight() - box.height);
-    const visibleTop = Math.floor(scrollTop);
-    const visibleBottom = visibleTop + box.height - 1;
+  ensureCursorVisible(cursorRow, window = this.layout.current) {
+    const buffer = window.getBuffer();
+    const offset = this.getScrollOff(window);
+    // The top line may have been folded into the line above
+    window.scrollTop = this.getScreenRow(window.scrollTop, buffer);
+    const row = this.getScreenRow(cursorRow, buffer);
 
     // Scroll if cursor is outside visible area
-    if (cursorRow < visibleTop) {
+    if (this.countScreenLines(window.scrollTop, row, buffer) < offset) {
       // Cursor is above visible area - scroll up
-      box.scrollTo(cursorRow);
-    } else if (cursorRow > visibleBottom) {
-      // Cursor is below visible area - scroll down
-      const newScrollTop = cursorRow - box.height + 1;
-      box.scrollTo(Math.max(0, newScrollTop));
+      window.scrollTop = this.moveScreenLines(row, -offset, buffer);
+      return;
+    }
+    const rows = this.getScreenRows(window);
+    const shownEnd = this.moveScreenLines(rows[rows.length - 1], 1, buffer) === rows[rows.length - 1];
+    const linesBelow = rows.length - 1 - rows.indexOf(row);
+    if (!rows.includes(row) || (linesBelow < offset && !shownEnd)) {
+      // Cursor is below visible area - scroll down, but not so far that the
+      // end of the file leaves the bottom of the window
+      const top = this.getTopRowForBottom(this.moveScreenLines(row, offset, buffer), window);
+      window.scrollTop = Math.min(top, row);
+    }
+  }
+
+  /**
+   * Scroll sideways so the cursor column is in view when lines don't wrap.
+   * The window scrolls by at least sidescroll columns, or puts the cursor
+   * in the middle when that is 0.
+   * @param {number} col - Cursor column
+   * @param {Window} window - Window to scroll, defaults to the current one
+   */
+  ensureCursorColumnVisible(col, window = this.layout.current) {
+    if (this.wrap) {
+      window.leftCol = 0;
+      return;
+    }
+    const width = this.getTextWidth(window);
+    if (col >= window.leftCol && col < window.leftCol + width) {
+      return;
+    }
+    if (this.sideScroll === 0) {
+      window.leftCol = Math.max(0, col - Math.floor(width / 2));
+    } else if (col < window.leftCol) {
+      window.leftCol = Math.max(0, Math.min(col, window.leftCol - this.sideScroll));
+    } else {
+      window.leftCol = Math.max(col - width + 1, window.leftCol + this.sideScroll);
+    }
+  }
+
+  /**
+   * Scroll half a window down or up, moving the cursor the same number of
+   * lines (Ctrl-D, Ctrl-U). A count sets the number of lines for later
+   * scrolls too.
+   * @param {number|null} count - Count typed
+   * @param {number} direction - 1 for down, -1 for up
+   * @returns {boolean} - False if the cursor is already at the end
+   */
+  scrollHalfPage(count, direction) {
+    const window = this.layout.current;
+    const cursor = this.buffer.getCursor();
+    const lastRow = this.buffer.getLineCount() - 1;
+    if (this.moveScreenLines(cursor.row, direction) === this.getScreenRow(cursor.row)) {
+      return false;
+    }
+    if (count) {
+      this.scrollLines = count;
+    }
+    
+    const height = this.getTextHeight();
+    const lines = this.scrollLines || Math.max(1, Math.floor(height / 2));
+    this.ensureCursorVisible(cursor.row);
+    const lastTop = this.getTopRowForBottom(lastRow);
+    window.scrollTop = Math.min(lastTop, this.moveScreenLines(window.scrollTop, direction * lines));
+    
+    const row = this.moveScreenLines(cursor.row, direction * lines);
+    this.buffer.setCursor(row, this.buffer.getFirstNonBlankCol(row));
+    return true;
+  }
+
+  /**
+   * Scroll count windows down or up, keeping two lines of the old view in
+   * sight, and move the cursor into the new view (Ctrl-F, Ctrl-B)
+   * @param {number|null} count - Count typed
+   * @param {number} direction - 1 for down, -1 for up
+   * @returns {boolean} - False if the window can't scroll further
+   */
+  scrollPage(count, direction) {
+    const window = this.layout.current;
+    const height = this.getTextHeight();
+    const lastRow = this.buffer.getLineCount() - 1;
+    const lastTop = this.getTopRowForBottom(lastRow);
+    this.ensureCursorVisible(this.buffer.getCursor().row);
+    
+    const top = this.moveScreenLines(window.scrollTop, direction * (count || 1) * Math.max(1, height - 2));
+    const newTop = Math.min(lastTop, top);
+    if (newTop === window.scrollTop) {
+      return false;
+    }
+    window.scrollTop = newTop;
+    
+    // The cursor stays in the view, clear of the scrolloff lines
+    const offset = this.getScrollOff();
+    const rows = this.getScreenRows();
+    const first = newTop === 0 ? 0 : rows[Math.min(offset, rows.length - 1)];
+    const last = newTop === lastTop ? lastRow : rows[Math.max(0, rows.length - 1 - offset)];
+    const row = this.getScreenRow(Math.max(first, Math.min(last, this.buffer.getCursor().row)));
+    this.buffer.setCursor(row, this.buffer.getFirstNonBlankCol(row));
+    return true;
+  }
+
+  /**
+   * Scroll so the cursor line is at the top, middle or bottom of the window
+   * (zt, zz, zb). A count goes to that line first.
+   * @param {string} position - 'top', 'middle' or 'bottom'
+   * @param {number|null} count - Count typed
+   */
+  scrollCursorTo(position, count) {
+    const window = this.layout.current;
+    if (count) {
+      const row = Math.min(this.buffer.getLineCount() - 1, count - 1);
+      this.buffer.setCursor(row, this.buffer.getCursor().col);
+    }
+    
+    const row = this.buffer.getCursor().row;
+    const space = this.getTextHeight() - this.getLineSegments(this.getScreenRow(row)).length;
+    const offset = this.getScrollOff();
+    if (position === 'top') {
+      window.scrollTop = this.moveScreenLines(row, -offset);
+    } else {
+      // Display lines to leave above the cursor line
+      window.scrollTop = this.getTopRow(row, position === 'middle' ? Math.floor(space / 2) : space - offset);
     }
   }
 
@@ -528,11 +3483,298 @@ class Editor {
   }
 
   /**
-   * Check if there are unsaved changes
+   * Check if any buffer has unsaved changes
    * @returns {boolean}
    */
   hasUnsavedChanges() {
-    return this.buffer.isModified();
+    return this.buffers.getModified().length > 0;
+  }
+
+  /**
+   * Switch to another buffer. The cursor and undo history stay with each
+   * buffer; the last visual selection is kept in its buffer list entry.
+   * @param {Object} entry - Buffer list entry
+   */
+  switchToBuffer(entry) {
+    this.clearAIPreview();
+    this.buffers.current.lastVisual = this.lastVisual;
+    this.buffers.setCurrent(entry);
+    if (this.layout.current.entry !== entry) {
+      this.layout.current.setEntry(entry);
+    }
+    
+    this.buffer = entry.buffer;
+    this.lastVisual = entry.lastVisual;
+    this.preferredColumn = null;
+    
+    if (this.screen) {
+      this.screen.title = `JSVim - ${this.buffer.getFilename()}`;
+    }
+  }
+
+  /**
+   * Edit a file, in the buffer that already has it or a new one
+   * @param {string} filePath - File path
+   */
+  openFile(filePath) {
+    this.switchToBuffer(this.getFileEntry(filePath));
+  }
+
+  /**
+   * Get the buffer list entry editing a file, adding a buffer for it if needed
+   * @param {string} filePath - File path
+   * @returns {Object}
+   */
+  getFileEntry(filePath) {
+    return this.buffers.findByPath(filePath) || this.buffers.add(new TextBuffer(filePath));
+  }
+
+  /**
+   * Load the current buffer's file again, dropping its changes and undo history;
+   * marks stay where they were
+   */
+  reloadBuffer() {
+    const entry = this.buffers.current;
+    const marks = this.buffer.getMarkNames().map(name => [name, this.buffer.getMark(name)]);
+    entry.buffer = new TextBuffer(this.buffer.getFilePath());
+    marks.forEach(([name, pos]) => entry.buffer.setMark(name, {
+      row: Math.min(pos.row, entry.buffer.getLineCount() - 1),
+      col: pos.col
+    }));
+    entry.lastVisual = null;
+    this.buffer = entry.buffer;
+    this.lastVisual = null;
+  }
+
+  /**
+   * Close a buffer. Closing the current buffer switches to the alternate
+   * buffer, or the next one; closing the last buffer leaves an empty one.
+   * @param {Object} entry - Buffer list entry
+   */
+  deleteBuffer(entry) {
+    if (entry === this.buffers.current) {
+      this.switchToBuffer(this.buffers.getReplacement(entry) || this.buffers.add(new TextBuffer(null)));
+    }
+    
+    // Other windows showing the buffer show the current one instead
+    this.getAllWindows()
+      .filter(window => window.entry === entry)
+      .forEach(window => window.setEntry(this.buffers.current));
+    this.getAllWindows().forEach(window => window.jumpList.prune(other => other !== entry));
+    
+    // File marks in the buffer remember their position until the file is
+    // opened again
+    Object.entries(this.fileMarks)
+      .filter(([, mark]) => mark.entry === entry)
+      .forEach(([name, mark]) => {
+        mark.pos = entry.buffer.getMark(name);
+        mark.entry = null;
+      });
+    this.buffers.remove(entry);
+  }
+
+  /**
+   * Check if a buffer is shown in a window
+   * @param {Object} entry - Buffer list entry
+   * @returns {boolean}
+   */
+  isBufferShown(entry) {
+    return this.getAllWindows().some(window => window.entry === entry);
+  }
+
+  /**
+   * Get the windows of every tab page
+   * @returns {Array<Window>}
+   */
+  getAllWindows() {
+    return this.tabs.flatMap(layout => layout.getWindows());
+  }
+
+  /**
+   * Split the current window in two, both showing the current buffer; the
+   * new window (above or to the left) becomes current
+   * @param {string} direction - 'column' (:split) or 'row' (:vsplit)
+   * @returns {boolean} - False if there isn't enough room
+   */
+  splitWindow(direction) {
+    const current = this.layout.current;
+    this.layout.layout(this.getLayoutArea());
+    const vertical = direction === 'column';
+    const size = vertical ? current.rect.height : current.rect.width;
+    if (size < 2 * (vertical ? MIN_WINDOW_HEIGHT : MIN_WINDOW_WIDTH)) {
+      this.showMessage('Not enough room');
+      return false;
+    }
+    
+    current.cursor = this.buffer.getCursor();
+    const window = new Window(current.entry);
+    window.copyView(current);
+    this.layout.split(current, window, direction);
+    this.layout.current = window;
+    return true;
+  }
+
+  /**
+   * Make another window the current one
+   * @param {Window} window - Window
+   */
+  setCurrentWindow(window) {
+    if (window === this.layout.current) {
+      return;
+    }
+    if (this.modeManager.isVisualMode()) {
+      this.exitVisualMode();
+    }
+    this.layout.current.cursor = this.buffer.getCursor();
+    this.layout.current = window;
+    this.enterWindow(window);
+  }
+
+  /**
+   * Start editing in a window: its buffer becomes current and gets the
+   * window's cursor
+   * @param {Window} window - Window
+   */
+  enterWindow(window) {
+    this.switchToBuffer(window.entry);
+    this.buffer.setCursor(window.cursor.row, window.cursor.col);
+    if (window.box) {
+      this.contentBox = window.box;
+    }
+  }
+
+  /**
+   * Move to the window next to the current one (Ctrl-W h/j/k/l)
+   * @param {string} direction - 'h', 'j', 'k' or 'l'
+   * @param {number|null} count - Number of windows to move over
+   */
+  moveToWindow(direction, count) {
+    this.layout.layout(this.getLayoutArea());
+    for (let i = 0; i < (count || 1); i++) {
+      const neighbor = this.layout.findNeighbor(this.layout.current, direction, this.getCursorScreenPosition());
+      if (!neighbor) {
+        break;
+      }
+      this.setCurrentWindow(neighbor);
+    }
+  }
+
+  /**
+   * Move to the next or previous window (Ctrl-W w / W), or to the window
+   * numbered by the count
+   * @param {number|null} count - Window number
+   * @param {number} step - 1 for the next window, -1 for the previous one
+   */
+  cycleWindow(count, step) {
+    const windows = this.layout.getWindows();
+    let index;
+    if (count) {
+      index = Math.min(count, windows.length) - 1;
+    } else {
+      index = (windows.indexOf(this.layout.current) + step + windows.length) % windows.length;
+    }
+    this.setCurrentWindow(windows[index]);
+  }
+
+  /**
+   * Close the current window; closing the last window of a tab page closes
+   * the tab page
+   * @returns {boolean} - False if it's the last window
+   */
+  closeWindow() {
+    const window = this.layout.current;
+    if (!this.layout.close(window)) {
+      return this.closeTab();
+    }
+    if (this.modeManager.isVisualMode()) {
+      this.exitVisualMode();
+    }
+    this.destroyWindowBoxes([window]);
+    this.enterWindow(this.layout.current);
+    return true;
+  }
+
+  /**
+   * Close every window but the current one (:only, Ctrl-W o)
+   */
+  onlyWindow() {
+    this.destroyWindowBoxes(this.layout.only(this.layout.current));
+  }
+
+  /**
+   * Open a tab page after the current one, editing a file or a new empty
+   * buffer
+   * @param {string|null} filePath - File to edit
+   */
+  newTab(filePath) {
+    const entry = filePath ? this.getFileEntry(filePath) : this.buffers.add(new TextBuffer(null));
+    const layout = new WindowLayout(new Window(entry));
+    this.tabs.splice(this.tabs.indexOf(this.layout) + 1, 0, layout);
+    this.gotoTab(layout);
+  }
+
+  /**
+   * Make another tab page the current one. The windows of the tab page left
+   * keep their cursors; their boxes are made again when it's shown.
+   * @param {WindowLayout} layout - Tab page
+   */
+  gotoTab(layout) {
+    if (layout === this.layout) {
+      return;
+    }
+    if (this.modeManager.isVisualMode()) {
+      this.exitVisualMode();
+    }
+    this.layout.current.cursor = this.buffer.getCursor();
+    this.destroyWindowBoxes(this.layout.getWindows());
+    this.layout = layout;
+    this.enterWindow(layout.current);
+  }
+
+  /**
+   * Go to the next tab page (gt), or to the tab page numbered by the count
+   * @param {number|null} count - Tab page number
+   */
+  nextTab(count) {
+    if (count) {
+      if (count <= this.tabs.length) {
+        this.gotoTab(this.tabs[count - 1]);
+      }
+      return;
+    }
+    this.gotoTab(this.tabs[(this.tabs.indexOf(this.layout) + 1) % this.tabs.length]);
+  }
+
+  /**
+   * Go back a number of tab pages (gT), wrapping around
+   * @param {number|null} count - Tab pages to go back
+   */
+  previousTab(count) {
+    const total = this.tabs.length;
+    const index = this.tabs.indexOf(this.layout) - ((count || 1) % total);
+    this.gotoTab(this.tabs[(index + total) % total]);
+  }
+
+  /**
+   * Close the current tab page and its windows; the buffers stay open. The
+   * tab page after it (or before it, for the last one) becomes current.
+   * @returns {boolean} - False if it's the last tab page
+   */
+  closeTab() {
+    if (this.tabs.length === 1) {
+      return false;
+    }
+    if (this.modeManager.isVisualMode()) {
+      this.exitVisualMode();
+    }
+    
+    const closed = this.layout;
+    const index = this.tabs.indexOf(closed);
+    this.destroyWindowBoxes(closed.getWindows());
+    this.tabs.splice(index, 1);
+    this.layout = this.tabs[Math.min(index, this.tabs.length - 1)];
+    this.enterWindow(this.layout.current);
+    return true;
   }
 
   /**
@@ -748,27 +3990,12 @@ class Editor {
     if (!suggestion) {
       return;
     }
-
-    // Split suggestion into lines if it contains newlines  
-    const suggestionLines = suggestion.split('\n');
     
-    // Insert each line
-    for (let i = 0; i < suggestionLines.length; i++) {
-      const line = suggestionLines[i];
-      
-      if (i === 0) {
-        // First line: insert at current cursor position
-        for (const char of line) {
-          this.buffer.insertCharacter(char);
-        }
-      } else {
-        // Subsequent lines: insert newline first, then the content
-        this.buffer.insertNewLine();
-        for (const char of line) {
-          this.buffer.insertCharacter(char);
-        }
-      }
-    }
+    // An accepted suggestion is part of the insert that "." repeats
+    this.recordInsert(suggestion, true);
+
+    // Insert it at the cursor, lines and all, leaving the cursor after it
+    this.buffer.insertText(this.buffer.getCursor(), suggestion);
   }
 
   /**
@@ -799,17 +4026,17 @@ class Editor {
    * Ensure cursor position is synchronized with buffer
    */
   ensureCursorSync(cursor) {
-    const content = this.buffer.getContent();
+    const lineCount = this.buffer.getLineCount();
     
     // Validate cursor row
     if (cursor.row < 0) {
       cursor.row = 0;
-    } else if (cursor.row >= content.length) {
-      cursor.row = content.length - 1;
+    } else if (cursor.row >= lineCount) {
+      cursor.row = lineCount - 1;
     }
     
     // Validate cursor column
-    const currentLine = content[cursor.row] || '';
+    const currentLine = this.buffer.getLine(cursor.row);
     if (cursor.col < 0) {
       cursor.col = 0;
     } else if (cursor.col > currentLine.length) {
@@ -1049,27 +4276,16 @@ class Editor {
    * @param {string} newContent - New content to replace with
    */
   replaceFileContent(newContent) {
-    // Clear current content
-    this.buffer.clear();
+    // Group the whole replacement into a single undoable change
+    this.buffer.beginChange();
     
-    // Insert new content line by line
-    const lines = newContent.split('\n');
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i];
-      
-      // Insert each character of the line
-      for (const char of line) {
-        this.buffer.insertCharacter(char);
-      }
-      
-      // Add newline except for the last line if it's empty
-      if (i < lines.length - 1) {
-        this.buffer.insertNewLine();
-      }
-    }
+    // Clear current content and insert the new content in one go
+    this.buffer.clear();
+    this.buffer.insertText({ row: 0, col: 0 }, newContent);
     
     // Reset cursor to beginning
     this.buffer.cursor = { row: 0, col: 0 };
+    this.buffer.endChange();
   }
 
   /**
@@ -1077,34 +4293,20 @@ class Editor {
    * @param {string} newCode - Code to append
    */
   appendGeneratedCode(newCode) {
+    this.buffer.beginChange();
+    
     // Move cursor to end of file
-    const lines = this.buffer.getContent();
-    this.buffer.cursor = { 
-      row: Math.max(0, lines.length - 1), 
-      col: lines[lines.length - 1]?.length || 0 
-    };
+    const lastRow = this.buffer.getLineCount() - 1;
+    const lastLine = this.buffer.getLine(lastRow);
+    this.buffer.cursor = { row: lastRow, col: lastLine.length };
     
     // Add newlines if needed
-    if (lines.length > 0 && lines[lines.length - 1].trim() !== '') {
-      this.buffer.insertNewLine();
-      this.buffer.insertNewLine();
-    }
+    const separator = lastLine.trim() !== '' ? '\n\n' : '';
     
     // Insert the generated code
-    const codeLines = newCode.split('\n');
-    for (let i = 0; i < codeLines.length; i++) {
-      const line = codeLines[i];
-      
-      // Insert each character of the line
-      for (const char of line) {
-        this.buffer.insertCharacter(char);
-      }
-      
-      // Add newline except for the last line
-      if (i < codeLines.length - 1) {
-        this.buffer.insertNewLine();
-      }
-    }
+    this.buffer.insertText(this.buffer.cursor, separator + newCode);
+    
+    this.buffer.endChange();
   }
 }
 
@@ -581,79 +581,10 @@ class SyntaxHighlighter {
       }
     }
     
-    // For large files, use a more efficient approach - skip highlighting
-    // comments and strings that extend over multiple lines for better performance
-    if (lines.length > 1000) {
-      // Create a throttled highlighter that processes every 5th line completely
-      // and does basic highlighting for other lines
-      return lines.map((line, index) => {
-        if (index % 5 === 0) {
-          return this.highlightLine(line, language);
-        } else {
-          // Basic highlighting for long files to maintain responsiveness
-          // Still highlight keywords for visual clarity
-          const simplified = this.simplifiedHighlight(line, language);
-          return simplified || this.highlightLine(line, language);
-        }
-      });
-    }
-    
-    // For normal-sized files, highlight every line
+    // Lines are highlighted one at a time, so callers pass only the lines
+    // they show and a file of any size gets full highlighting
     return lines.map(line => this.highlightLine(line, language));
   }
-  
-  /**
-   * Simplified highlighting for very large files to improve performance
-   * @param {string} line - Line to highlight
-   * @param {string} language - Language name
-   * @returns {string|null} - Highlighted line or null if skipped
-   */
-  simplifiedHighlight(line, language) {
-    // Skip empty or very long lines
-    if (!line.trim() || line.length > 200) {
-      return line;
-    }
-    
-    try {
-      // Only do basic highlighting for common patterns
-      let result = line;
-      
-      // Language-specific basic highlighting
-      switch (language) {
-        case 'javascript':
-        case 'typescript':
-          // Basic JS/TS highlighting
-          result = result.replace(/\b(const|let|var|function|class|if|else|return|import|export)\b/g, 
-            m => this.styleMap.keyword(m));
-          result = result.replace(/("[^"]*"|'[^']*'|`[^`]*`)/g, 
-            m => this.styleMap.string(m));
-          result = result.replace(/(\/\/.*?)$/g, 
-            m => this.styleMap.comment(m));
-          break;
-        case 'python':
-          // Basic Python highlighting
-          result = result.replace(/\b(def|class|if|else|elif|for|while|import|from|return|with)\b/g, 
-            m => this.styleMap.keyword(m));
-          result = result.replace(/("[^"]*"|'[^']*')/g, 
-            m => this.styleMap.string(m));
-          result = result.replace(/(#.*?)$/g, 
-            m => this.styleMap.comment(m));
-          break;
-        case 'html':
-          // Basic HTML highlighting
-          result = result.replace(/<\/?([a-zA-Z][a-zA-Z0-9]*)(.*?)>/g, 
-            (m) => this.styleMap.tag(m));
-          break;
-        default:
-          // For other languages, do full highlighting
-          return null;
-      }
-      
-      return result;
-    } catch (err) {
-      return null; // Fallback to full highlighting
-    }
-  }
 
   /**
    * Apply chalk styles to highlighted tokens
@@ -711,6 +642,72 @@ class SyntaxHighlighter {
     return tokens;
   }
 
+  /**
+   * Find the parts of a line inside strings, comments and regular
+   * expressions, going by the tokens highlight.js finds. Code interpolated
+   * into a string (${...}) is not part of the string.
+   *
+   * A line can start inside a string or comment left open on the lines
+   * before it; the state returned for one line is passed in for the next.
+   * It holds the text from the line where the string or comment opened,
+   * which is highlighted again in front of the line.
+   * @param {string} line - Line
+   * @param {string} language - Language name
+   * @param {Object|null} state - State at the end of the line before, null
+   *   when that line ended in code
+   * @returns {Object} - {ranges, state}: ranges {start, end} with end
+   *   exclusive, and the state at the end of the line
+   */
+  scanStringsAndComments(line, language, state = null) {
+    if (!language || (!state && !line.trim())) {
+      return { ranges: [], state: null };
+    }
+    
+    const text = state ? `${state.text}\n${line}` : line;
+    const offset = text.length - line.length;
+    let result;
+    try {
+      result = hljs.highlight(text, { language, ignoreIllegals: true });
+    } catch (err) {
+      return { ranges: [], state: null };
+    }
+    
+    // The innermost string, comment, regexp or interpolation decides
+    const ranges = [];
+    const scopes = [];
+    const regex = /<span class="hljs-([^" ]+)[^"]*">|<\/span>|[^<]+/g;
+    let col = -offset;
+    let match;
+    while ((match = regex.exec(result.value)) !== null) {
+      if (match[1]) {
+        scopes.push(match[1]);
+      } else if (match[0] === '</span>') {
+        scopes.pop();
+      } else {
+        const length = this.decodeHtmlEntities(match[0]).length;
+        const scope = scopes.slice().reverse().find(name => ['string', 'comment', 'regexp', 'subst'].includes(name));
+        if (scope && scope !== 'subst' && col + length > 0) {
+          ranges.push({ start: Math.max(0, col), end: col + length });
+        }
+        col += length;
+      }
+    }
+    
+    // Still inside a string or comment at the end of the line? The text
+    // before only grows when the line leaves it in a different mode.
+    // highlight.js makes a new object for each mode it enters, so modes
+    // are told apart by what they were made from
+    const modes = [];
+    for (let mode = result._top; mode; mode = mode.parent) {
+      modes.push(Object.getPrototypeOf(mode));
+    }
+    if (!modes.some(mode => ['string', 'comment', 'regexp'].includes(mode.scope || mode.className))) {
+      return { ranges, state: null };
+    }
+    const same = state && state.modes.length === modes.length && state.modes.every((mode, i) => mode === modes[i]);
+    return { ranges, state: same ? state : { text, modes } };
+  }
+
   /**
    * Decode HTML entities to their actual characters
    * @param {string} text - Text with HTML entities
@@ -0,0 +1,129 @@
+/**
+ * Ex range parser. Parses the line range at the start of an Ex command:
+ * - N          line N
+ * - .          the current line
+ * - $          the last line
+ * - %          the whole file
+ * - 'x         the line of mark x ('< and '> are the last visual selection)
+ * - /pat/ ?pat? the next / previous line matching a pattern
+ * - +N -N      offsets, alone (relative to the current line) or after an address
+ * Two addresses are separated by ',' or by ';' (which makes the first
+ * address the current line for the second).
+ *
+ * Rows in the result are 0-based.
+ */
+
+/**
+ * Parse a single address
+ * @param {string} str - Command string
+ * @param {number} index - Index to start parsing at
+ * @param {Object} context - Range context (see parseRange)
+ * @param {number} current - Current row
+ * @returns {Object|null} - {row, index} or null if there is no address here
+ * @throws {Error} - For marks that aren't set or patterns that don't match
+ */
+function parseAddress(str, index, context, current) {
+  let row = null;
+  let i = index;
+
+  while (str[i] === ' ') {
+    i++;
+  }
+
+  const char = str[i];
+  if (/[0-9]/.test(char)) {
+    const digits = /^[0-9]+/.exec(str.slice(i))[0];
+    row = parseInt(digits, 10) - 1;
+    i += digits.length;
+  } else if (char === '.') {
+    row = current;
+    i++;
+  } else if (char === '$') {
+    row = context.lastRow;
+    i++;
+  } else if (char === "'") {
+    const mark = str[i + 1];
+    row = context.getMark(mark);
+    if (row === null || row === undefined) {
+      throw new Error(`Mark not set: ${mark}`);
+    }
+    i += 2;
+  } else if (char === '/' || char === '?') {
+    // Pattern address, ending at the next unescaped delimiter
+    let end = i + 1;
+    while (end < str.length && str[end] !== char) {
+      end += str[end] === '\\' ? 2 : 1;
+    }
+    const pattern = str.slice(i + 1, end).split(`\\${char}`).join(char);
+    row = context.searchLine(pattern, current, char === '?');
+    if (row === null) {
+      throw new Error(`Pattern not found: ${pattern}`);
+    }
+    i = end + 1;
+  }
+
+  // Offsets: "+3", "-", "++"
+  while (str[i] === '+' || str[i] === '-') {
+    const sign = str[i] === '+' ? 1 : -1;
+    const digits = /^[0-9]*/.exec(str.slice(i + 1))[0];
+    row = (row === null ? current : row) + sign * (digits ? parseInt(digits, 10) : 1);
+    i += 1 + digits.length;
+  }
+
+  return row === null ? null : { row, index: i };
+}
+
+/**
+ * Parse the range at the start of an Ex command
+ * @param {string} commandStr - Command string
+ * @param {Object} context - Range context
+ * @param {number} context.currentRow - Cursor row
+ * @param {number} context.lastRow - Last row of the buffer
+ * @param {Function} context.getMark - (name) => row or null
+ * @param {Function} context.searchLine - (pattern, fromRow, backward) => row or null
+ * @returns {Object} - {range: {start, end} or null, rest: command after the range}
+ * @throws {Error} - For invalid ranges
+ */
+function parseRange(commandStr, context) {
+  let index = 0;
+  let range = null;
+
+  if (commandStr[0] === '%') {
+    range = { start: 0, end: context.lastRow };
+    index = 1;
+  } else {
+    let current = context.currentRow;
+    const first = parseAddress(commandStr, 0, context, current);
+    index = first ? first.index : 0;
+
+    const separator = commandStr[index];
+    if (separator === ',' || separator === ';') {
+      const start = first ? first.row : current;
+      if (separator === ';') {
+        current = start;
+      }
+      const second = parseAddress(commandStr, index + 1, context, current);
+      index = second ? second.index : index + 1;
+      range = { start, end: second ? second.row : current };
+    } else if (first) {
+      range = { start: first.row, end: first.row };
+    }
+  }
+
+  if (range) {
+    // A backwards range is swapped rather than rejected
+    if (range.start > range.end) {
+      range = { start: range.end, end: range.start };
+    }
+    if (range.start < 0 || range.end > context.lastRow) {
+      throw new Error('Invalid range');
+    }
+  }
+
+  return { range, rest: commandStr.slice(index).trimStart() };
+}
+
+module.exports = {
+  parseAddress,
+  parseRange
+};
@@ -0,0 +1,687 @@
+/**
+ * Folds keeps the folds of a buffer and which of them are closed. Folds come
+ * from the fold method:
+ * - manual: made with zf; they follow their lines as lines are added or
+ *   removed around them
+ * - indent: runs of lines indented at least one shiftwidth more than the
+ *   line before them; blank lines go with the lines around them
+ * - marker: from a line with {{{ to a line with }}}
+ * - syntax: from an opening bracket to the closing one on a later line,
+ *   leaving out brackets in strings and comments
+ *
+ * Folds can nest; level 1 folds are outermost. Folds of the other methods
+ * are scanned for a line at a time; when the buffer changes the scan starts
+ * again a little above the first changed line and stops once it is back in
+ * step with the last one. They stay closed when their first line moves.
+ */
+const { getIndent } = require('./indent');
+
+const FOLD_METHODS = ['manual', 'indent', 'marker', 'syntax'];
+
+const OPENING = { ')': '(', ']': '[', '}': '{' };
+
+/**
+ * Sort folds outermost first, drop copies of the same lines and set each
+ * fold's level
+ * @param {Array<Object>} folds - Folds {start, end}
+ * @returns {Array<Object>} - Folds {start, end, level}
+ */
+function nestFolds(folds) {
+  const sorted = folds.slice().sort((a, b) => a.start - b.start || b.end - a.end);
+  const nested = [];
+  const parents = [];
+  sorted.forEach(({ start, end }) => {
+    const previous = nested[nested.length - 1];
+    if (previous && previous.start === start && previous.end === end) {
+      return;
+    }
+    while (parents.length > 0 && parents[parents.length - 1].end < start) {
+      parents.pop();
+    }
+    const fold = { start, end, level: parents.length + 1 };
+    nested.push(fold);
+    parents.push(fold);
+  });
+  return nested;
+}
+
+// Rows between the saved states of a fold scan. After a change the scan
+// starts again from the saved state before it, and stops once it is back
+// in step with the last scan.
+const CHECKPOINT_ROWS = 256;
+
+// Scan state before the first line: the folds still open, innermost first,
+// as a list of {row, char, depth, next}; for indent folds also the level of
+// the line before and the first of the blank lines just before
+const START = { open: null, previous: 0, blank: -1 };
+
+/**
+ * Add a fold to the list of open folds
+ * @param {Object|null} open - Open folds
+ * @param {number} row - Row the fold starts at
+ * @param {string} char - Bracket that opened it (syntax folds)
+ * @returns {Object}
+ */
+function openFold(open, row, char = '') {
+  return { row, char, depth: open ? open.depth + 1 : 1, next: open };
+}
+
+/**
+ * Close open folds until a number of them are left
+ * @param {Object|null} open - Open folds
+ * @param {number} level - Number of folds to leave open
+ * @param {number} end - Last row of the closed folds
+ * @param {Function} emit - (start, end) => void, called for each fold
+ * @returns {Object|null} - Folds left open
+ */
+function closeFolds(open, level, end, emit) {
+  while (open && open.depth > level) {
+    emit(open.row, end);
+    open = open.next;
+  }
+  return open;
+}
+
+/**
+ * Map the rows of open folds
+ * @param {Object|null} open - Open folds
+ * @param {Function} mapRow - (row) => new row
+ * @returns {Object|null} - The same list if no row moved
+ */
+function mapOpenFolds(open, mapRow) {
+  if (!open) {
+    return null;
+  }
+  const row = mapRow(open.row);
+  const next = mapOpenFolds(open.next, mapRow);
+  return row === open.row && next === open.next ? open : { ...open, row, next };
+}
+
+/**
+ * Map the rows in a scan state
+ * @param {Object} state - Scan state
+ * @param {Function} mapRow - (row) => new row
+ * @returns {Object} - The same state if no row moved
+ */
+function mapScanState(state, mapRow) {
+  const open = mapOpenFolds(state.open, mapRow);
+  const blank = state.blank < 0 ? -1 : mapRow(state.blank);
+  return open === state.open && blank === state.blank ? state : { ...state, open, blank };
+}
+
+/**
+ * Check if a scan state of the last scan, its rows mapped to the current
+ * ones, is the same as a state of this scan
+ * @param {Object} old - State of the last scan
+ * @param {Object} state - State of this scan
+ * @param {Function} mapRow - (row) => current row, null for a changed
+ *   line
+ * @returns {boolean}
+ */
+function sameScanState(old, state, mapRow) {
+  if (old.previous !== state.previous || (old.blank < 0 ? -1 : mapRow(old.blank)) !== state.blank) {
+    return false;
+  }
+  let a = old.open;
+  let b = state.open;
+  while (a && b && a !== b) {
+    if (mapRow(a.row) !== b.row || a.char !== b.char) {
+      return false;
+    }
+    a = a.next;
+    b = b.next;
+  }
+  return a === b;
+}
+
+/**
+ * Find the first fold found at or after a row
+ * @param {Array<Object>} found - Folds {start, end, at}, in the order found
+ * @param {number} row - Row
+ * @returns {number} - Index
+ */
+function firstFoundAt(found, row) {
+  let low = 0;
+  let high = found.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (found[middle].at < row) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+/**
+ * How the fold methods other than manual find folds, one line at a time:
+ * - read(line, before, options, settings): what the method needs to know
+ *   about a line; before is what was read from the line above
+ * - readsAgain(before, oldBefore): whether a line must be read again because
+ *   what was read from the line above it changed
+ * - step(state, read, row, emit): scan state after a line; emit(start, end)
+ *   adds a fold
+ * - finish(state, lineCount, emit): adds the folds still open at the end
+ */
+const METHODS = {
+  // Runs of lines indented at least one shiftwidth more than the line
+  // before them; blank lines go with the lines around them
+  indent: {
+    read: (line, before, options, settings) => (line.trim()
+      ? Math.floor(options.getIndentWidth(getIndent(line)) / settings.shiftWidth)
+      : null),
+    readsAgain: () => false,
+    step(state, level, row, emit) {
+      if (level === null) {
+        return state.blank >= 0 ? state : { ...state, blank: row };
+      }
+      let open = state.open;
+      // Blank lines take the lower level of the lines around them
+      if (state.blank >= 0) {
+        open = closeFolds(open, Math.min(state.previous, level), state.blank - 1, emit);
+      }
+      open = closeFolds(open, level, row - 1, emit);
+      while ((open ? open.depth : 0) < level) {
+        open = openFold(open, row);
+      }
+      return { open, previous: level, blank: -1 };
+    },
+    finish(state, lineCount, emit) {
+      this.step(state, 0, lineCount, emit);
+    }
+  },
+
+  // From a line with {{{ to a line with }}}; a {{{ without a }}} folds to
+  // the end of the file
+  marker: {
+    read: (line) => (line.match(/\{\{\{|\}\}\}/g) || []).map(marker => marker[0]).join(''),
+    readsAgain: () => false,
+    step(state, markers, row, emit) {
+      let open = state.open;
+      for (const char of markers) {
+        if (char === '{') {
+          open = openFold(open, row);
+        } else if (open) {
+          emit(open.row, row);
+          open = open.next;
+        }
+      }
+      return open === state.open ? state : { ...state, open };
+    },
+    finish(state, lineCount, emit) {
+      for (let open = state.open; open; open = open.next) {
+        emit(open.row, lineCount - 1);
+      }
+    }
+  },
+
+  // From an opening bracket to the closing one on a later line, leaving out
+  // brackets in strings and comments
+  syntax: {
+    read: (line, before, options) => {
+      const { brackets, state } = options.scanLine(line, before ? before.state : null);
+      return { chars: brackets.map(({ char }) => char).join(''), state };
+    },
+    // A state is the text of the string or comment so far
+    readsAgain: (before, oldBefore) => {
+      const state = before && before.state;
+      const oldState = oldBefore && oldBefore.state;
+      return state !== oldState && !(state && oldState && state.text === oldState.text);
+    },
+    step(state, read, row, emit) {
+      let open = state.open;
+      for (const char of read.chars) {
+        if (!OPENING[char]) {
+          open = openFold(open, row, char);
+          continue;
+        }
+        // Brackets of another kind left open inside are dropped
+        let match = open;
+        while (match && match.char !== OPENING[char]) {
+          match = match.next;
+        }
+        if (match) {
+          emit(match.row, row);
+          open = match.next;
+        }
+      }
+      return open === state.open ? state : { ...state, open };
+    },
+    finish() {}
+  }
+};
+
+/**
+ * Replace part of an array, in place unless many items go in
+ * @param {Array} array - Array
+ * @param {number} start - Index to start at
+ * @param {number} removed - Number of items to remove
+ * @param {Array} items - Items to put in their place
+ * @returns {Array}
+ */
+function spliceArray(array, start, removed, items) {
+  // Spreading a very long array into splice's arguments overflows the stack
+  if (items.length > 10000) {
+    return array.slice(0, start).concat(items, array.slice(start + removed));
+  }
+  array.splice(start, removed, ...items);
+  return array;
+}
+
+class Folds {
+  /**
+   * @param {TextBuffer} buffer - Buffer the folds are in
+   * @param {Object} options - {getSettings: () => {method, shiftWidth,
+   *   tabStop}, getIndentWidth: (indent) => width, scanLine: (line, state)
+   *   => {brackets, state} of the line's code}
+   */
+  constructor(buffer, options) {
+    this.buffer = buffer;
+    this.options = options;
+    this.manual = []; // Manual folds {tracker, closed}; the tracker follows all the fold's rows
+    this.closed = []; // Closed folds of the other methods {tracker, level}; the tracker follows the first row
+    this.cache = null; // {key, folds, closedFolds, found} for the buffer version and settings
+    this.scan = null; // Last scan of a method other than manual, see scanFolds
+  }
+
+  /**
+   * Get the folds, outermost first
+   * @returns {Array<Object>} - Folds {start, end, level, closed}
+   */
+  getFolds() {
+    return this.update().folds;
+  }
+
+  /**
+   * Get the closed folds that aren't inside another closed fold, in order
+   * @returns {Array<Object>} - Folds {start, end, level, closed}
+   */
+  getClosedFolds() {
+    // Nothing to scan for while no fold is closed
+    if (this.closed.length === 0 && this.options.getSettings().method !== 'manual') {
+      return [];
+    }
+    return this.update().closedFolds;
+  }
+
+  /**
+   * Get the closed fold a row is hidden in
+   * @param {number} row - Row
+   * @returns {Object|null} - Outermost closed fold containing the row
+   */
+  getClosedFold(row) {
+    const closedFolds = this.getClosedFolds();
+    let low = 0;
+    let high = closedFolds.length - 1;
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      const fold = closedFolds[middle];
+      if (row < fold.start) {
+        high = middle - 1;
+      } else if (row > fold.end) {
+        low = middle + 1;
+      } else {
+        return fold;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the closed folds from getClosedFolds that start in a range of rows
+   * @param {number} startRow - First row
+   * @param {number} endRow - Row after the last
+   * @returns {Array<Object>} - Folds {start, end, level, closed}
+   */
+  getClosedFoldsBetween(startRow, endRow) {
+    const closedFolds = this.getClosedFolds();
+    let low = 0;
+    let high = closedFolds.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (closedFolds[middle].start < startRow) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    let end = low;
+    while (end < closedFolds.length && closedFolds[end].start < endRow) {
+      end++;
+    }
+    return closedFolds.slice(low, end);
+  }
+
+  /**
+   * Work the folds out again if the buffer or the settings changed
+   * @returns {Object} - {folds, closedFolds}
+   */
+  update() {
+    const settings = this.options.getSettings();
+    const key = `${this.buffer.version}:${settings.method}:${settings.shiftWidth}:${settings.tabStop}`;
+    if (this.cache && this.cache.key === key) {
+      return this.cache;
+    }
+
+    let folds;
+    if (settings.method === 'manual') {
+      this.manual = this.manual.filter(fold => this.getManualRange(fold) !== null);
+      const ranges = this.manual.map(fold => ({ ...this.getManualRange(fold), fold }));
+      folds = nestFolds(ranges).map(fold => ({
+        ...fold,
+        closed: ranges.find(range => range.start === fold.start && range.end === fold.end).fold.closed
+      }));
+    } else {
+      // Forget closed folds whose first line is gone
+      const closedCount = this.closed.length;
+      this.closed = this.closed.filter(({ tracker }) => {
+        if (tracker.rows[0] === null) {
+          this.buffer.untrackRows(tracker);
+          return false;
+        }
+        return true;
+      });
+      const found = this.scanFolds(settings);
+      if (this.cache && this.cache.found === found && this.closed.length === closedCount) {
+        this.cache = { ...this.cache, key };
+        return this.cache;
+      }
+      const closed = new Map(); // First row -> levels closed there
+      this.closed.forEach(({ tracker, level }) => closed.set(tracker.rows[0], (closed.get(tracker.rows[0]) || []).concat(level)));
+      folds = found.map(({ start, end, level }) => ({ start, end, level, closed: closed.has(start) && closed.get(start).includes(level) }));
+      this.cache = { key, found };
+    }
+
+    const closedFolds = [];
+    folds.forEach(fold => {
+      const last = closedFolds[closedFolds.length - 1];
+      if (fold.closed && !(last && fold.start <= last.end)) {
+        closedFolds.push(fold);
+      }
+    });
+    this.cache = { ...this.cache, key, folds, closedFolds };
+    return this.cache;
+  }
+
+  /**
+   * Find the folds of a method other than manual. Only the lines from the
+   * first one changed since the last scan are read and scanned again, until
+   * the scan is back in step with the last one.
+   * @param {Object} settings - {method, shiftWidth, tabStop}
+   * @returns {Array<Object>} - Folds {start, end, level}, outermost first;
+   *   the same array while they don't change
+   */
+  scanFolds(settings) {
+    const method = METHODS[settings.method];
+    if (!method) {
+      return [];
+    }
+    const key = `${settings.method}:${settings.shiftWidth}:${settings.tabStop}`;
+    const last = this.scan && this.scan.key === key ? this.scan : null;
+    if (last && last.version === this.buffer.version) {
+      return last.folds;
+    }
+    const snapshot = this.buffer.snapshot();
+
+    // Rows start to oldEnd - 1 of the last scan are now rows start to newEnd - 1
+    const lineCount = this.buffer.getLineCount();
+    const { start, oldEnd, newEnd } = last ? this.buffer.getChangedRows(last.snapshot) : { start: 0, oldEnd: 0, newEnd: lineCount };
+    const delta = newEnd - oldEnd;
+    const mapRow = (row) => {
+      if (row < start) {
+        return row;
+      }
+      return row >= oldEnd ? row + delta : null;
+    };
+
+    // Read the changed lines, then the ones after them for as long as what
+    // they depend on is different
+    const oldReads = last ? last.reads : [];
+    const changedLines = this.buffer.getLines(start, newEnd - 1);
+    const reads = [];
+    let before = start > 0 ? oldReads[start - 1] : null;
+    let readEnd = start;
+    for (; readEnd < lineCount; readEnd++) {
+      if (readEnd >= newEnd && !method.readsAgain(before, oldReads[readEnd - delta - 1])) {
+        break;
+      }
+      const line = readEnd < newEnd ? changedLines[readEnd - start] : this.buffer.getLine(readEnd);
+      before = method.read(line, before, this.options, settings);
+      reads.push(before);
+    }
+    const allReads = spliceArray(oldReads, start, readEnd - delta - start, reads);
+
+    // Scan again from the saved state before the first changed line
+    const oldCheckpoints = last ? last.checkpoints : [{ row: 0, state: START }];
+    let index = oldCheckpoints.length - 1;
+    while (oldCheckpoints[index].row > start) {
+      index--;
+    }
+    const checkpoints = oldCheckpoints.slice(0, index + 1);
+    let { row, state } = oldCheckpoints[index];
+    const oldFound = last ? last.found : [];
+    const found = oldFound.slice(0, firstFoundAt(oldFound, row));
+    const emit = (foldStart, foldEnd) => found.push({ start: foldStart, end: foldEnd, at: row });
+
+    let end = null;
+    for (index++; row < lineCount; row++) {
+      while (index < oldCheckpoints.length && oldCheckpoints[index].row + delta < row) {
+        index++;
+      }
+      const old = oldCheckpoints[index];
+      if (row >= readEnd && old && old.row + delta === row) {
+        // Back in step with the last scan: the rest of it still holds
+        if (sameScanState(old.state, state, mapRow)) {
+          oldCheckpoints.slice(index).forEach(checkpoint => checkpoints.push({
+            row: checkpoint.row + delta,
+            state: mapScanState(checkpoint.state, mapRow)
+          }));
+          oldFound.slice(firstFoundAt(oldFound, old.row)).forEach(fold => found.push(delta === 0 ? fold : {
+            start: mapRow(fold.start),
+            end: fold.end + delta,
+            at: fold.at + delta
+          }));
+          end = mapScanState(last.end, mapRow);
+          break;
+        }
+        checkpoints.push({ row, state });
+      } else if (row - checkpoints[checkpoints.length - 1].row >= CHECKPOINT_ROWS) {
+        checkpoints.push({ row, state });
+      }
+      state = method.step(state, allReads[row], row, emit);
+    }
+    end = end || state;
+
+    const unchanged = last && delta === 0 && end === last.end && found.length === oldFound.length &&
+      found.every((fold, i) => fold.start === oldFound[i].start && fold.end === oldFound[i].end);
+    let folds = last && last.folds;
+    if (!unchanged) {
+      // Folds still open at the end aren't kept, they depend on where it is
+      const ending = [];
+      method.finish(end, lineCount, (foldStart, foldEnd) => ending.push({ start: foldStart, end: foldEnd }));
+      // A fold of one line would look the same closed; one found before a
+      // change is kept, as lines added after it can make it longer
+      folds = nestFolds(found.concat(ending).filter(fold => fold.end > fold.start));
+    }
+    this.scan = { key, version: this.buffer.version, snapshot, reads: allReads, checkpoints, found, end, folds };
+    return folds;
+  }
+
+  /**
+   * Get the rows a manual fold covers now
+   * @param {Object} fold - Manual fold {tracker, closed}
+   * @returns {Object|null} - {start, end}, or null if all its lines are gone
+   */
+  getManualRange(fold) {
+    const rows = fold.tracker.rows.filter(row => row !== null);
+    if (rows.length === 0) {
+      this.buffer.untrackRows(fold.tracker);
+      return null;
+    }
+    // Tracked rows stay in order
+    return { start: rows[0], end: rows[rows.length - 1] };
+  }
+
+  /**
+   * Make a closed manual fold (zf)
+   * @param {number} start - First row
+   * @param {number} end - Last row
+   * @returns {boolean} - False if the fold method isn't manual
+   */
+  create(start, end) {
+    if (this.options.getSettings().method !== 'manual') {
+      return false;
+    }
+    const rows = [];
+    for (let row = start; row <= end; row++) {
+      rows.push(row);
+    }
+    this.manual.push({ tracker: this.buffer.trackRows(rows), closed: true });
+    this.cache = null;
+    return true;
+  }
+
+  /**
+   * Delete the innermost manual fold at a row (zd); its lines stay
+   * @param {number} row - Row
+   * @returns {boolean} - False if there is no fold there or the fold
+   *   method isn't manual
+   */
+  remove(row) {
+    if (this.options.getSettings().method !== 'manual') {
+      return false;
+    }
+    const fold = this.findFold(row, () => true);
+    if (!fold) {
+      return false;
+    }
+    const manual = this.findManual(fold);
+    this.buffer.untrackRows(manual.tracker);
+    this.manual.splice(this.manual.indexOf(manual), 1);
+    this.cache = null;
+    return true;
+  }
+
+  /**
+   * Open the closed fold the row is shown in (zo)
+   * @param {number} row - Row
+   * @returns {boolean} - False if the row isn't in a closed fold
+   */
+  open(row) {
+    const fold = this.getClosedFold(row);
+    if (!fold) {
+      return false;
+    }
+    this.setClosed(fold, false);
+    return true;
+  }
+
+  /**
+   * Close the innermost open fold around the row; on a closed fold, the one
+   * around that (zc)
+   * @param {number} row - Row
+   * @returns {boolean} - False if there is no open fold to close
+   */
+  close(row) {
+    const closed = this.getClosedFold(row);
+    const fold = this.findFold(row, candidate => !candidate.closed && (!closed || candidate.level < closed.level));
+    if (!fold) {
+      return false;
+    }
+    this.setClosed(fold, true);
+    return true;
+  }
+
+  /**
+   * Open the fold the row is shown in if it's closed, otherwise close the
+   * innermost fold around it (za)
+   * @param {number} row - Row
+   * @returns {boolean} - False if there is no fold at the row
+   */
+  toggle(row) {
+    return this.open(row) || this.close(row);
+  }
+
+  /**
+   * Open every fold around a row, so the row is shown
+   * @param {number} row - Row
+   */
+  reveal(row) {
+    // Nested closed folds open one level at a time
+    let fold;
+    while ((fold = this.getClosedFold(row))) {
+      this.setClosed(fold, false);
+    }
+  }
+
+  /**
+   * Open (zR) or close (zM) all folds
+   * @param {boolean} closed - True to close them
+   */
+  setAllClosed(closed) {
+    const folds = this.getFolds();
+    this.manual.forEach(manual => {
+      manual.closed = closed;
+    });
+    this.closed.forEach(({ tracker }) => this.buffer.untrackRows(tracker));
+    this.closed = [];
+    if (closed && this.options.getSettings().method !== 'manual') {
+      this.closed = folds.map(fold => ({ tracker: this.buffer.trackRows([fold.start]), level: fold.level }));
+    }
+    this.cache = null;
+  }
+
+  /**
+   * Find the innermost fold around a row that passes a test
+   * @param {number} row - Row
+   * @param {Function} test - (fold) => boolean
+   * @returns {Object|null}
+   */
+  findFold(row, test) {
+    const around = this.getFolds().filter(fold => fold.start <= row && row <= fold.end && test(fold));
+    return around.length > 0 ? around[around.length - 1] : null;
+  }
+
+  /**
+   * Find the manual fold behind a fold from getFolds
+   * @param {Object} fold - Fold {start, end}
+   * @returns {Object} - Manual fold {tracker, closed}
+   */
+  findManual(fold) {
+    return this.manual.find(manual => {
+      const range = this.getManualRange(manual);
+      return range && range.start === fold.start && range.end === fold.end;
+    });
+  }
+
+  /**
+   * Open or close a fold
+   * @param {Object} fold - Fold from getFolds
+   * @param {boolean} closed - True to close it
+   */
+  setClosed(fold, closed) {
+    if (this.options.getSettings().method === 'manual') {
+      this.manual.filter(manual => {
+        const range = this.getManualRange(manual);
+        return range && range.start === fold.start && range.end === fold.end;
+      }).forEach(manual => {
+        manual.closed = closed;
+      });
+    } else {
+      const index = this.closed.findIndex(({ tracker, level }) => tracker.rows[0] === fold.start && level === fold.level);
+      if (index >= 0 && !closed) {
+        this.buffer.untrackRows(this.closed[index].tracker);
+        this.closed.splice(index, 1);
+      } else if (index < 0 && closed) {
+        this.closed.push({ tracker: this.buffer.trackRows([fold.start]), level: fold.level });
+      }
+    }
+    this.cache = null;
+  }
+}
+
+module.exports = {
+  Folds,
+  FOLD_METHODS
+};
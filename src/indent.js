@@ -0,0 +1,106 @@
+/**
+ * Smart indent rules by language (the names SyntaxHighlighter.getLanguage
+ * returns). Each rule set may have:
+ * - indentAfter: a line matching it indents the next line one level
+ * - dedentAfter: a line matching it dedents the next line one level
+ *   (Python's return, pass, ...)
+ * - dedentLine: a line matching it sits one level out from the line before
+ *   (closing brackets, Ruby's end, Python's else)
+ * - electric: when the line being typed comes to match it, the line is
+ *   indented again (typing "}" at the start of a line moves it out)
+ * - keepsDedent: blocks end without a closing token, so = keeps a line
+ *   that is further out than the line before suggests
+ */
+
+// A comment at the end of a line doesn't stop the line from opening a block
+const TRAILING_COMMENT = String.raw`\s*(\/\/.*|\/\*.*\*\/\s*)?$`;
+
+// C-like languages indent inside brackets
+const BRACES = {
+  indentAfter: new RegExp(`[{[(]${TRAILING_COMMENT}`),
+  dedentLine: /^\s*[}\])]/,
+  electric: /^\s*[}\])]$/
+};
+
+const INDENT_RULES = {
+  javascript: BRACES,
+  typescript: BRACES,
+  java: BRACES,
+  kotlin: BRACES,
+  scala: BRACES,
+  groovy: BRACES,
+  c: BRACES,
+  cpp: BRACES,
+  csharp: BRACES,
+  objectivec: BRACES,
+  go: BRACES,
+  rust: BRACES,
+  swift: BRACES,
+  php: BRACES,
+  css: BRACES,
+  scss: BRACES,
+  less: BRACES,
+  json: BRACES,
+  python: {
+    indentAfter: /:\s*(#.*)?$/,
+    dedentAfter: /^\s*(return|pass|break|continue|raise)\b/,
+    dedentLine: /^\s*(elif|else|except|finally)\b/,
+    electric: /^\s*(else|finally|(elif|except)\b.*):$/,
+    keepsDedent: true
+  },
+  ruby: {
+    indentAfter: /^\s*(def|class|module|if|unless|while|until|for|case|begin|else|elsif|when|rescue|ensure)\b|\bdo(\s*\|[^|]*\|)?\s*$/,
+    dedentLine: /^\s*(end|else|elsif|when|rescue|ensure)\b/,
+    electric: /^\s*(end|else|elsif|when|rescue|ensure)$/
+  },
+  yaml: {
+    indentAfter: /:\s*(#.*)?$/,
+    keepsDedent: true
+  }
+};
+
+/**
+ * Get the smart indent rules for a language
+ * @param {string|null} language - Language name
+ * @returns {Object|null} - Rules, or null for languages without any
+ */
+function getIndentRules(language) {
+  return INDENT_RULES[language] || null;
+}
+
+/**
+ * Get the leading whitespace of a line
+ * @param {string} line - Line
+ * @returns {string}
+ */
+function getIndent(line) {
+  return /^[ \t]*/.exec(line)[0];
+}
+
+/**
+ * Work out how many levels a line's indent differs from the line before it
+ * @param {Object} rules - Indent rules
+ * @param {string} previous - Previous non-blank line
+ * @param {string} line - The line (empty for a line about to be typed)
+ * @returns {number} - Levels to add (negative to remove)
+ */
+function getIndentChange(rules, previous, line) {
+  let levels = 0;
+  if (rules.indentAfter && rules.indentAfter.test(previous)) {
+    levels++;
+  }
+  if (rules.dedentAfter && rules.dedentAfter.test(previous)) {
+    levels--;
+  }
+  if (rules.dedentLine && rules.dedentLine.test(line)) {
+    levels--;
+  }
+  return levels;
+}
+
+module.exports = {
+  BRACES,
+  getIndentRules,
+  getIndent,
+  getIndentChange
+};
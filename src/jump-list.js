@@ -0,0 +1,134 @@
+// Most positions a jump list keeps, as in Vim
+const MAX_JUMPS = 100;
+
+/**
+ * JumpList class remembers where big jumps (searches, G, marks) started, so
+ * Ctrl-O can go back to those positions and Ctrl-I forward again. Positions
+ * stay on their lines as the buffer is edited.
+ *
+ * The index points at the position Ctrl-O and Ctrl-I last went to; it equals
+ * the list length while not moving through the list. A jump made after
+ * going back drops the newer positions, like a browser's history.
+ */
+class JumpList {
+  constructor() {
+    this.entries = []; // {entry, tracker, col}; entry is a buffer list entry
+    this.index = 0;
+  }
+
+  /**
+   * Add a position to the end of the list. An older position on the same
+   * line is dropped, and so are the positions after the one Ctrl-O went to.
+   * @param {Object} entry - Buffer list entry
+   * @param {Object} pos - Position {row, col}
+   */
+  push(entry, pos) {
+    this.entries.slice(this.index + 1).forEach(jump => this.remove(jump));
+    this.entries
+      .filter(jump => jump.entry === entry && jump.tracker.rows[0] === pos.row)
+      .forEach(jump => this.remove(jump));
+    this.entries.push({ entry, tracker: entry.buffer.trackRows([pos.row]), col: pos.col });
+    if (this.entries.length > MAX_JUMPS) {
+      this.remove(this.entries[0]);
+    }
+    this.index = this.entries.length;
+  }
+
+  /**
+   * Go back in the list (Ctrl-O). Starting from the end, the position being
+   * left is added first so Ctrl-I can return to it.
+   * @param {Object} entry - Buffer list entry of the cursor
+   * @param {Object} pos - Cursor position
+   * @param {number} count - Number of positions to go back
+   * @returns {Object|null} - {entry, row, col}, or null at the start
+   */
+  back(entry, pos, count) {
+    this.prune();
+    if (this.index >= this.entries.length) {
+      this.push(entry, pos);
+      this.index = this.entries.length - 1;
+    }
+    return this.moveTo(this.index - count);
+  }
+
+  /**
+   * Go forward in the list (Ctrl-I)
+   * @param {number} count - Number of positions to go forward
+   * @returns {Object|null} - {entry, row, col}, or null at the end
+   */
+  forward(count) {
+    this.prune();
+    return this.moveTo(this.index + count);
+  }
+
+  /**
+   * Make a position of the list the current one
+   * @param {number} index - Index
+   * @returns {Object|null} - {entry, row, col}, or null if out of range
+   */
+  moveTo(index) {
+    if (index < 0 || index >= this.entries.length) {
+      return null;
+    }
+    this.index = index;
+    return this.getPosition(this.entries[index]);
+  }
+
+  /**
+   * Get the position of a list entry
+   * @param {Object} jump - List entry
+   * @returns {Object} - {entry, row, col}
+   */
+  getPosition(jump) {
+    return { entry: jump.entry, row: jump.tracker.rows[0], col: jump.col };
+  }
+
+  /**
+   * Get all positions, oldest first
+   * @returns {Array<Object>} - [{entry, row, col}]
+   */
+  list() {
+    this.prune();
+    return this.entries.map(jump => this.getPosition(jump));
+  }
+
+  /**
+   * Drop positions whose line was deleted, or whose buffer was closed
+   * @param {Function} isOpen - (entry) => whether the buffer is still open
+   */
+  prune(isOpen = () => true) {
+    this.entries
+      .filter(jump => jump.tracker.rows[0] === null || !isOpen(jump.entry))
+      .forEach(jump => this.remove(jump));
+  }
+
+  /**
+   * Remove an entry, keeping the index on the same position
+   * @param {Object} jump - List entry
+   */
+  remove(jump) {
+    const index = this.entries.indexOf(jump);
+    jump.entry.buffer.untrackRows(jump.tracker);
+    this.entries.splice(index, 1);
+    if (index < this.index) {
+      this.index--;
+    }
+  }
+
+  /**
+   * Copy the list, for a new window split from another
+   * @returns {JumpList}
+   */
+  clone() {
+    const copy = new JumpList();
+    copy.entries = this.entries.map(jump => ({
+      entry: jump.entry,
+      tracker: jump.entry.buffer.trackRows(jump.tracker.rows),
+      col: jump.col
+    }));
+    copy.index = this.index;
+    return copy;
+  }
+}
+
+module.exports = JumpList;
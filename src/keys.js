@@ -0,0 +1,133 @@
+/**
+ * Key helpers for turning blessed keypress events into Vim-style key tokens
+ * such as "d", "G", "<C-r>" or "<Esc>", so multi-key commands can be matched
+ * as plain strings
+ */
+
+// Token names for keys that don't produce a printable character
+const SPECIAL_KEYS = {
+  escape: '<Esc>',
+  return: '<CR>',
+  backspace: '<BS>',
+  delete: '<Del>',
+  tab: '<Tab>',
+  up: '<Up>',
+  down: '<Down>',
+  left: '<Left>',
+  right: '<Right>',
+  home: '<Home>',
+  end: '<End>',
+  pageup: '<PageUp>',
+  pagedown: '<PageDown>'
+};
+
+// Escape sequences terminals send for special keys, by blessed key name
+const ESCAPE_SEQUENCES = {
+  '\x1b[A': 'up',
+  '\x1b[B': 'down',
+  '\x1b[C': 'right',
+  '\x1b[D': 'left',
+  '\x1bOA': 'up',
+  '\x1bOB': 'down',
+  '\x1bOC': 'right',
+  '\x1bOD': 'left',
+  '\x1b[H': 'home',
+  '\x1b[F': 'end',
+  '\x1b[1~': 'home',
+  '\x1b[4~': 'end',
+  '\x1b[3~': 'delete',
+  '\x1b[5~': 'pageup',
+  '\x1b[6~': 'pagedown'
+};
+
+/**
+ * blessed emits an extra "enter" keypress alongside every "return"; it
+ * should be ignored so the key isn't handled twice
+ * @param {object} key - Key info
+ * @returns {boolean}
+ */
+function isDuplicateEnter(key) {
+  return Boolean(key && key.name === 'enter');
+}
+
+/**
+ * Convert a keypress event into a key token
+ * @param {string} ch - Character
+ * @param {object} key - Key info
+ * @returns {string|null} - Key token, or null for keys we can't represent
+ */
+function keyToToken(ch, key) {
+  if (isDuplicateEnter(key)) {
+    return null;
+  }
+
+  if (key && SPECIAL_KEYS[key.name]) {
+    const name = SPECIAL_KEYS[key.name];
+    return key.shift ? `<S-${name.slice(1)}` : name;
+  }
+
+  if (key && key.ctrl && key.name) {
+    return `<C-${key.name}>`;
+  }
+
+  if (ch && !(key && key.meta)) {
+    return ch;
+  }
+
+  return null;
+}
+
+/**
+ * Build the keypress event blessed would emit for a typed character, so
+ * keys can be fed to the editor from a string (:normal)
+ * @param {string} char - Character
+ * @returns {Object} - {ch, key}
+ */
+function charToKey(char) {
+  const controlNames = { '\r': 'return', '\n': 'return', '\t': 'tab', '\x1b': 'escape', '\x7f': 'backspace', '\b': 'backspace' };
+  if (controlNames[char]) {
+    return { ch: char, key: { name: controlNames[char], sequence: char } };
+  }
+
+  const code = char.charCodeAt(0);
+  if (code < 32) {
+    return { ch: undefined, key: { name: String.fromCharCode(code + 96), ctrl: true, sequence: char } };
+  }
+
+  if (/[a-zA-Z]/.test(char)) {
+    return { ch: char, key: { name: char.toLowerCase(), shift: char !== char.toLowerCase(), sequence: char } };
+  }
+  return { ch: char, key: { sequence: char } };
+}
+
+/**
+ * Split typed text, such as a recorded macro, back into keypress events.
+ * Escape sequences of special keys become one event; a lone escape is <Esc>.
+ * @param {string} text - Raw key sequences
+ * @returns {Array<Object>} - [{ch, key}]
+ */
+function textToKeys(text) {
+  const events = [];
+  let index = 0;
+  while (index < text.length) {
+    const sequence = Object.keys(ESCAPE_SEQUENCES).find(seq => text.startsWith(seq, index));
+    if (sequence) {
+      events.push({ ch: undefined, key: { name: ESCAPE_SEQUENCES[sequence], sequence } });
+      index += sequence.length;
+      continue;
+    }
+
+    const char = String.fromCodePoint(text.codePointAt(index));
+    events.push(charToKey(char));
+    index += char.length;
+  }
+  return events;
+}
+
+module.exports = {
+  SPECIAL_KEYS,
+  isDuplicateEnter,
+  keyToToken,
+  charToKey,
+  textToKeys
+};
@@ -6,11 +6,31 @@ class ModeManager {
     this.MODES = {
       NORMAL: 'normal',
       INSERT: 'insert',
-      COMMAND: 'command'
+      REPLACE: 'replace',
+      COMMAND: 'command',
+      VISUAL: 'visual',
+      VISUAL_LINE: 'visual line',
+      VISUAL_BLOCK: 'visual block'
     };
     
     this.currentMode = this.MODES.NORMAL;
     this.commandBuffer = '';
+    this.visualAnchor = null; // Fixed end of the visual selection
+    this.pending = this.createPendingState();
+  }
+
+  /**
+   * Create an empty normal mode command state
+   * @returns {Object} - Pending command state
+   */
+  createPendingState() {
+    return {
+      register: null,    // Register selected with "{register}
+      count: '',         // Count typed before the command or operator
+      operator: null,    // Operator waiting for a motion (d, c, y)
+      operatorCount: '', // Count typed after the operator
+      keys: ''           // Keys of a multi-key command typed so far (e.g. "g")
+    };
   }
 
   /**
@@ -19,6 +39,7 @@ class ModeManager {
   setNormalMode() {
     this.currentMode = this.MODES.NORMAL;
     this.commandBuffer = '';
+    this.resetPending();
   }
 
   /**
@@ -28,15 +49,77 @@ class ModeManager {
     this.currentMode = this.MODES.INSERT;
   }
 
+  /**
+   * Set editor mode to replace, where typed characters overwrite the text
+   */
+  setReplaceMode() {
+    this.currentMode = this.MODES.REPLACE;
+  }
+
   /**
    * Set editor mode to command
+   * @param {string} prompt - Prompt character: ':' for Ex commands, '/' or '?' for searches
    */
-  setCommandMode() {
+  setCommandMode(prompt = ':') {
     this.currentMode = this.MODES.COMMAND;
-    this.commandBuffer = ':';
+    this.commandBuffer = prompt;
     // Force refresh to ensure command visibility
   }
 
+  /**
+   * Get the prompt character of the command line
+   * @returns {string} - ':', '/' or '?'
+   */
+  getCommandType() {
+    return this.commandBuffer[0] || ':';
+  }
+
+  /**
+   * Check if the command line is a search prompt
+   * @returns {boolean}
+   */
+  isSearchPrompt() {
+    const type = this.getCommandType();
+    return this.isCommandMode() && (type === '/' || type === '?');
+  }
+
+  /**
+   * Set editor mode to one of the visual modes
+   * @param {string} mode - MODES.VISUAL, MODES.VISUAL_LINE or MODES.VISUAL_BLOCK
+   * @param {Object} anchor - Position where the selection starts
+   */
+  setVisualMode(mode, anchor) {
+    this.currentMode = mode;
+    this.visualAnchor = { ...anchor };
+    this.resetPending();
+  }
+
+  /**
+   * Check if editor is in any visual mode
+   * @returns {boolean}
+   */
+  isVisualMode() {
+    return this.currentMode === this.MODES.VISUAL ||
+      this.currentMode === this.MODES.VISUAL_LINE ||
+      this.currentMode === this.MODES.VISUAL_BLOCK;
+  }
+
+  /**
+   * Get the fixed end of the visual selection
+   * @returns {Object|null} - {row, col}
+   */
+  getVisualAnchor() {
+    return this.visualAnchor;
+  }
+
+  /**
+   * Move the fixed end of the visual selection
+   * @param {Object} anchor - {row, col}
+   */
+  setVisualAnchor(anchor) {
+    this.visualAnchor = { ...anchor };
+  }
+
   /**
    * Check if editor is in normal mode
    * @returns {boolean}
@@ -46,11 +129,20 @@ class ModeManager {
   }
 
   /**
-   * Check if editor is in insert mode
+   * Check if editor is in insert mode, or replace mode (which is insert
+   * mode overwriting the text)
    * @returns {boolean}
    */
   isInsertMode() {
-    return this.currentMode === this.MODES.INSERT;
+    return this.currentMode === this.MODES.INSERT || this.currentMode === this.MODES.REPLACE;
+  }
+
+  /**
+   * Check if editor is in replace mode
+   * @returns {boolean}
+   */
+  isReplaceMode() {
+    return this.currentMode === this.MODES.REPLACE;
   }
 
   /**
@@ -61,6 +153,113 @@ class ModeManager {
     return this.currentMode === this.MODES.COMMAND;
   }
 
+  /**
+   * Check if an operator is waiting for its motion
+   * @returns {boolean}
+   */
+  isOperatorPending() {
+    return this.pending.operator !== null;
+  }
+
+  /**
+   * Discard any partially typed normal mode command
+   */
+  resetPending() {
+    this.pending = this.createPendingState();
+  }
+
+  /**
+   * Add a digit to the count of the pending command
+   * @param {string} digit - Digit typed
+   */
+  appendCount(digit) {
+    if (this.pending.operator) {
+      this.pending.operatorCount += digit;
+    } else {
+      this.pending.count += digit;
+    }
+  }
+
+  /**
+   * Check if a count is being typed for the current command part
+   * @returns {boolean}
+   */
+  hasCount() {
+    return this.pending.operator ? this.pending.operatorCount !== '' : this.pending.count !== '';
+  }
+
+  /**
+   * Get the effective count; counts before and after an operator multiply
+   * @returns {number|null} - Count, or null if none was typed
+   */
+  getCount() {
+    const { count, operatorCount } = this.pending;
+    if (count === '' && operatorCount === '') {
+      return null;
+    }
+    return (parseInt(count, 10) || 1) * (parseInt(operatorCount, 10) || 1);
+  }
+
+  /**
+   * Set the operator waiting for a motion
+   * @param {string} operator - Operator keys
+   */
+  setPendingOperator(operator) {
+    this.pending.operator = operator;
+    this.pending.keys = '';
+  }
+
+  /**
+   * Get the operator waiting for a motion
+   * @returns {string|null}
+   */
+  getPendingOperator() {
+    return this.pending.operator;
+  }
+
+  /**
+   * Select the register for the pending command
+   * @param {string} name - Register name
+   */
+  setRegister(name) {
+    this.pending.register = name;
+    this.pending.keys = '';
+  }
+
+  /**
+   * Get the register selected for the pending command
+   * @returns {string|null}
+   */
+  getRegister() {
+    return this.pending.register;
+  }
+
+  /**
+   * Set the keys of a partially typed multi-key command
+   * @param {string} keys - Keys typed so far
+   */
+  setPendingKeys(keys) {
+    this.pending.keys = keys;
+  }
+
+  /**
+   * Get the keys of a partially typed multi-key command
+   * @returns {string}
+   */
+  getPendingKeys() {
+    return this.pending.keys;
+  }
+
+  /**
+   * Get everything typed for the pending command, for display
+   * @returns {string}
+   */
+  getPendingDisplay() {
+    const { register, count, operator, operatorCount, keys } = this.pending;
+    const registerDisplay = register ? `"${register}` : '';
+    return `${registerDisplay}${count}${operator || ''}${operatorCount}${keys}`;
+  }
+
   /**
    * Get current mode
    * @returns {string}
@@ -84,7 +283,7 @@ class ModeManager {
    * @returns {string} - Updated command buffer
    */
   removeFromCommandBuffer() {
-    if (this.commandBuffer.length > 1) { // Preserve the initial ':'
+    if (this.commandBuffer.length > 1) { // Preserve the initial ':', '/' or '?'
       this.commandBuffer = this.commandBuffer.slice(0, -1);
     }
     return this.commandBuffer; // Return for immediate use if needed
@@ -102,7 +301,7 @@ class ModeManager {
    * Clear command buffer
    */
   clearCommandBuffer() {
-    this.commandBuffer = ':';
+    this.commandBuffer = this.getCommandType();
   }
 
   /**
@@ -110,7 +309,7 @@ class ModeManager {
    * @returns {string} - Command to execute
    */
   executeCommand() {
-    const command = this.commandBuffer.slice(1); // Remove the leading ':'
+    const command = this.commandBuffer.slice(1); // Remove the leading prompt character
     this.setNormalMode();
     return command;
   }
@@ -0,0 +1,406 @@
+/**
+ * Normal mode motions. Each motion computes a target position from the
+ * cursor position and a count (null when no count was typed). The type tells
+ * operators how to turn the motion into a range, as in Vim:
+ * - exclusive: the character at the target is not included
+ * - inclusive: the character at the target is included
+ * - linewise: whole lines from the cursor line to the target line
+ *
+ * Optional flags:
+ * - vertical: keeps the preferred column (j, k)
+ * - display: moves by display lines, stepping over closed folds like j and
+ *   k do (gj, gk)
+ * - toLineEnd: the preferred column sticks to the end of line ($)
+ * - jump: the motion is a jump; the position it starts from goes into the
+ *   jump list (G, gg, %, {, }, H, M, L)
+ * - operatorMove: replaces move() when used after an operator, taking the
+ *   operator before the context and returning { pos, type }, for motions
+ *   with operator-specific rules (w, W, %)
+ * - takesChar: the motion takes the character typed after it (f, t, F, T)
+ * - repeatFind: repeats the last f, t, F or T, the same way or reversed (;, ,)
+ *
+ * move() also gets a context: the character typed after the motion (char),
+ * whether an f/t search is being repeated (repeat), the rows the window
+ * shows, one per screen line (view: {rows, scrollOff}), the buffer's
+ * folds, a closed one counting as a single line (folds), the display
+ * lines a row is wrapped into (segments: row => [{start, end}], null when
+ * lines don't wrap) with the columns per tab they are laid out with (tabStop),
+ * and the brackets paired up around a row, leaving out those in strings and
+ * comments (brackets: row => {matches, unmatched} from BracketMatcher).
+ */
+const { findSegment } = require('./wrap');
+const { indexToColumn, columnToIndex, nextCharIndex, prevCharIndex } = require('./display-width');
+
+// The f/t search ; and , run reversed
+const REVERSE_FIND = { 'f': 'F', 'F': 'f', 't': 'T', 'T': 't' };
+
+/**
+ * Move left within the line, a character at a time (a surrogate pair or a
+ * letter with combining marks is one)
+ */
+function left(buffer, pos, count) {
+  if (pos.col === 0) {
+    return null;
+  }
+  const line = buffer.getLine(pos.row);
+  let col = pos.col;
+  for (let i = 0; i < (count || 1) && col > 0; i++) {
+    col = prevCharIndex(line, col);
+  }
+  return { row: pos.row, col };
+}
+
+/**
+ * Move right within the line; the target may be just past the last
+ * character, which operators need for "dl" at the end of a line
+ */
+function right(buffer, pos, count) {
+  const line = buffer.getLine(pos.row);
+  if (pos.col >= line.length) {
+    return null;
+  }
+  let col = pos.col;
+  for (let i = 0; i < (count || 1) && col < line.length; i++) {
+    col = nextCharIndex(line, col);
+  }
+  return { row: pos.row, col };
+}
+
+/**
+ * Get the first and last rows of the closed fold a row is in, or the row
+ * itself when it isn't in one
+ * @param {Object|undefined} folds - Folds of the buffer
+ * @param {number} row - Row
+ * @returns {Object} - {start, end}
+ */
+function shownLines(folds, row) {
+  const fold = folds ? folds.getClosedFold(row) : null;
+  return fold || { start: row, end: row };
+}
+
+/**
+ * Move down whole lines, a closed fold being one line; the cursor lands on
+ * the first line of a fold
+ */
+function down(buffer, pos, count, { folds } = {}) {
+  const lastRow = buffer.getLineCount() - 1;
+  let row = pos.row;
+  for (let i = 0; i < (count || 1) && shownLines(folds, row).end < lastRow; i++) {
+    row = shownLines(folds, shownLines(folds, row).end + 1).start;
+  }
+  return row === pos.row ? null : { row, col: pos.col };
+}
+
+/**
+ * Move up whole lines, a closed fold being one line
+ */
+function up(buffer, pos, count, { folds } = {}) {
+  let row = shownLines(folds, pos.row).start;
+  for (let i = 0; i < (count || 1) && row > 0; i++) {
+    row = shownLines(folds, row - 1).start;
+  }
+  return row === pos.row ? null : { row, col: pos.col };
+}
+
+/**
+ * Go to a line given by the count, or a default line, at its first non-blank
+ * @param {number} defaultRow - Row used when no count was typed
+ */
+function toLine(buffer, count, defaultRow) {
+  const lastRow = buffer.getLineCount() - 1;
+  const row = count ? Math.min(lastRow, count - 1) : defaultRow;
+  return { row, col: buffer.getFirstNonBlankCol(row) };
+}
+
+/**
+ * Build the operator form of "w"/"W". "cw" on a word acts like "ce", and the
+ * last word moved over ends at its line end instead of the next line's start.
+ * @param {boolean} bigWord - Use WORDs
+ */
+function wordOperatorMove(bigWord) {
+  return (buffer, pos, count, operator) => {
+    const words = count || 1;
+
+    if (operator === 'c' && buffer.classAt(pos, bigWord) !== 0) {
+      return { pos: buffer.findWordEnd(pos, words, bigWord, true), type: 'inclusive' };
+    }
+
+    const lastStart = words > 1 ? buffer.findNextWordStart(pos, words - 1, bigWord) : pos;
+    const end = buffer.findNextWordStart(lastStart, 1, bigWord);
+    if (end.row > lastStart.row) {
+      return { pos: { row: lastStart.row, col: buffer.getLine(lastStart.row).length }, type: 'exclusive' };
+    }
+    return { pos: end, type: 'exclusive' };
+  };
+}
+
+/**
+ * Build a character search within the line (f, t, F, T)
+ * @param {boolean} forward - Search towards the end of the line
+ * @param {boolean} till - Stop just before the character (t, T)
+ */
+function findChar(forward, till) {
+  return (buffer, pos, count, { char, repeat }) => {
+    const line = buffer.getLine(pos.row);
+    const step = forward ? 1 : -1;
+    // Repeating t or T skips the character right next to the cursor, or it
+    // would never move
+    let col = till && repeat ? pos.col + step : pos.col;
+    for (let found = 0; found < (count || 1);) {
+      col += step;
+      if (col < 0 || col >= line.length) {
+        return null;
+      }
+      if (line.startsWith(char, col)) {
+        found++;
+      }
+    }
+    return { row: pos.row, col: till ? col - step : col };
+  };
+}
+
+/**
+ * Jump to the bracket matching the first one at or after the cursor in the
+ * line (%), skipping brackets in strings and comments. With a count, go to
+ * that percentage of the file instead.
+ */
+function matchBracket(buffer, pos, count, context) {
+  if (count) {
+    return count > 100 ? null : toLine(buffer, Math.ceil(count * buffer.getLineCount() / 100), 0);
+  }
+
+  const { matches, unmatched } = context.brackets(pos.row);
+  const unmatchedCols = unmatched.get(pos.row) || [];
+  const length = buffer.getLine(pos.row).length;
+  for (let col = pos.col; col < length; col++) {
+    const match = matches.get(`${pos.row}:${col}`);
+    if (match) {
+      return match;
+    }
+    if (unmatchedCols.includes(col)) {
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Move to the count'th empty line after the cursor (}), or the end of the
+ * last line
+ */
+function paragraphForward(buffer, pos, count) {
+  const lastRow = buffer.getLineCount() - 1;
+  const isEmpty = row => buffer.getLine(row) === '';
+  let row = pos.row;
+  for (let i = 0; i < (count || 1); i++) {
+    while (row < lastRow && isEmpty(row)) {
+      row++;
+    }
+    while (row < lastRow && !isEmpty(row)) {
+      row++;
+    }
+  }
+
+  const target = { row, col: isEmpty(row) ? 0 : buffer.getLine(row).length };
+  return target.row === pos.row && target.col <= pos.col ? null : target;
+}
+
+/**
+ * Move to the count'th empty line before the cursor ({), or the start of the
+ * first line
+ */
+function paragraphBackward(buffer, pos, count) {
+  const isEmpty = row => buffer.getLine(row) === '';
+  let row = pos.row;
+  for (let i = 0; i < (count || 1); i++) {
+    while (row > 0 && isEmpty(row)) {
+      row--;
+    }
+    while (row > 0 && !isEmpty(row)) {
+      row--;
+    }
+  }
+
+  return row === pos.row && pos.col === 0 ? null : { row, col: 0 };
+}
+
+/**
+ * Move down or up display lines (gj, gk), keeping the display column within
+ * the display line. Without wrapping they are the same as j and k.
+ * @param {number} direction - 1 for down, -1 for up
+ */
+function displayLines(direction) {
+  const lineMove = direction > 0 ? down : up;
+  return (buffer, pos, count, context) => {
+    if (!context.segments) {
+      return lineMove(buffer, pos, count, context);
+    }
+    const column = (line, index) => indexToColumn(line, index, context.tabStop);
+    let row = pos.row;
+    let segments = context.segments(row);
+    const first = findSegment(segments, pos.col);
+    const offset = column(buffer.getLine(row), pos.col) - column(buffer.getLine(row), segments[first].start);
+    let index = first;
+    for (let i = 0; i < (count || 1); i++) {
+      if (index + direction >= 0 && index + direction < segments.length) {
+        index += direction;
+        continue;
+      }
+      const next = lineMove(buffer, { row, col: 0 }, 1, context);
+      if (!next) {
+        break;
+      }
+      row = next.row;
+      segments = context.segments(row);
+      index = direction > 0 ? 0 : segments.length - 1;
+    }
+    if (row === pos.row && index === first) {
+      return null;
+    }
+    const line = buffer.getLine(row);
+    const { start, end } = segments[index];
+    const col = columnToIndex(line, column(line, start) + offset, context.tabStop);
+    return { row, col: Math.min(col, Math.max(start, prevCharIndex(line, end))) };
+  };
+}
+
+/**
+ * Go to a line of the window at its first non-blank (H, M, L). Lines within
+ * scrolloff of the window's edges are out of reach unless the file starts or
+ * ends there.
+ * @param {Function} pickLine - Takes the index of the last screen line and
+ *   the count, and returns the index of the screen line to go to
+ */
+function screenLine(pickLine) {
+  return (buffer, pos, count, { view, folds }) => {
+    const { rows, scrollOff } = view;
+    const bottom = rows.length - 1;
+    const first = rows[0] === 0 ? 0 : scrollOff;
+    const last = shownLines(folds, rows[bottom]).end === buffer.getLineCount() - 1 ? bottom : bottom - scrollOff;
+    const row = rows[Math.max(0, Math.min(last, Math.max(first, pickLine(bottom, count))))];
+    return { row, col: buffer.getFirstNonBlankCol(row) };
+  };
+}
+
+const MOTIONS = {
+  'h': { type: 'exclusive', move: left },
+  'l': { type: 'exclusive', move: right },
+  'j': { type: 'linewise', vertical: true, move: down },
+  'k': { type: 'linewise', vertical: true, move: up },
+  '<Left>': { type: 'exclusive', move: left },
+  '<Right>': { type: 'exclusive', move: right },
+  '<Down>': { type: 'linewise', vertical: true, move: down },
+  '<Up>': { type: 'linewise', vertical: true, move: up },
+
+  'w': {
+    type: 'exclusive',
+    move: (buffer, pos, count) => buffer.findNextWordStart(pos, count || 1, false),
+    operatorMove: wordOperatorMove(false)
+  },
+  'b': {
+    type: 'exclusive',
+    move: (buffer, pos, count) => buffer.findPrevWordStart(pos, count || 1, false)
+  },
+  'e': {
+    type: 'inclusive',
+    move: (buffer, pos, count) => buffer.findWordEnd(pos, count || 1, false)
+  },
+  'W': {
+    type: 'exclusive',
+    move: (buffer, pos, count) => buffer.findNextWordStart(pos, count || 1, true),
+    operatorMove: wordOperatorMove(true)
+  },
+  'B': {
+    type: 'exclusive',
+    move: (buffer, pos, count) => buffer.findPrevWordStart(pos, count || 1, true)
+  },
+  'E': {
+    type: 'inclusive',
+    move: (buffer, pos, count) => buffer.findWordEnd(pos, count || 1, true)
+  },
+
+  '0': { type: 'exclusive', move: (buffer, pos) => ({ row: pos.row, col: 0 }) },
+  '^': { type: 'exclusive', move: (buffer, pos) => ({ row: pos.row, col: buffer.getFirstNonBlankCol(pos.row) }) },
+  '$': {
+    type: 'inclusive',
+    toLineEnd: true,
+    move: (buffer, pos, count) => {
+      const row = Math.min(buffer.getLineCount() - 1, pos.row + (count || 1) - 1);
+      return { row, col: Math.max(0, buffer.getLine(row).length - 1) };
+    }
+  },
+
+  'gj': { type: 'exclusive', display: true, move: displayLines(1) },
+  'gk': { type: 'exclusive', display: true, move: displayLines(-1) },
+  'gg': { type: 'linewise', jump: true, move: (buffer, pos, count) => toLine(buffer, count, 0) },
+  'G': {
+    type: 'linewise',
+    jump: true,
+    move: (buffer, pos, count) => toLine(buffer, count, buffer.getLineCount() - 1)
+  },
+
+  'f': { type: 'inclusive', takesChar: true, move: findChar(true, false) },
+  't': { type: 'inclusive', takesChar: true, move: findChar(true, true) },
+  'F': { type: 'exclusive', takesChar: true, move: findChar(false, false) },
+  'T': { type: 'exclusive', takesChar: true, move: findChar(false, true) },
+  // Without an earlier f/t search there is nothing to repeat
+  ';': { type: 'inclusive', repeatFind: 'same', move: () => null },
+  ',': { type: 'inclusive', repeatFind: 'reverse', move: () => null },
+
+  '%': {
+    type: 'inclusive',
+    jump: true,
+    move: matchBracket,
+    operatorMove: (buffer, pos, count, operator, context) => ({ pos: matchBracket(buffer, pos, count, context), type: count ? 'linewise' : 'inclusive' })
+  },
+  '}': { type: 'exclusive', jump: true, move: paragraphForward },
+  '{': { type: 'exclusive', jump: true, move: paragraphBackward },
+
+  'H': { type: 'linewise', jump: true, move: screenLine((bottom, count) => Math.min(bottom, (count || 1) - 1)) },
+  'M': { type: 'linewise', jump: true, move: screenLine((bottom) => Math.floor(bottom / 2)) },
+  'L': { type: 'linewise', jump: true, move: screenLine((bottom, count) => Math.max(0, bottom - (count || 1) + 1)) }
+};
+
+/**
+ * Look up the motion typed keys name. f, t, F and T take the character typed
+ * after them; ; and , stand for the last of those searches.
+ * @param {string} keys - Keys typed
+ * @param {Object|null} lastFind - Last character search {key, char}
+ * @returns {Object|null} - {key, motion, char, repeat}, or null if the keys
+ *   aren't a whole motion
+ */
+function getMotion(keys, lastFind = null) {
+  const motion = MOTIONS[keys];
+  if (motion && motion.repeatFind && lastFind) {
+    const key = motion.repeatFind === 'reverse' ? REVERSE_FIND[lastFind.key] : lastFind.key;
+    return { key, motion: MOTIONS[key], char: lastFind.char, repeat: true };
+  }
+  if (motion && !motion.takesChar) {
+    return { key: keys, motion, char: null, repeat: false };
+  }
+
+  const finder = MOTIONS[keys[0]];
+  const char = keys.slice(1);
+  if (finder && finder.takesChar && Array.from(char).length === 1) {
+    return { key: keys[0], motion: finder, char, repeat: false };
+  }
+  return null;
+}
+
+/**
+ * Check if keys typed so far start a longer motion
+ * @param {string} keys - Keys typed so far
+ * @returns {boolean}
+ */
+function isMotionPrefix(keys) {
+  if (MOTIONS[keys] && MOTIONS[keys].takesChar) {
+    return true;
+  }
+  return Object.keys(MOTIONS).some(key => key.length > keys.length && key.startsWith(keys));
+}
+
+module.exports = {
+  MOTIONS,
+  getMotion,
+  isMotionPrefix
+};
@@ -0,0 +1,140 @@
+/**
+ * Registers class stores yanked and deleted text the way Vim does:
+ * - '"' the unnamed register, pointing at the last used register
+ * - '0' the last yank, '1'-'9' the last line or multi-line deletes
+ * - '-' the last small (within one line) delete
+ * - 'a'-'z' named registers; 'A'-'Z' append to them
+ * - '_' the black hole register, which discards what is written to it
+ *
+ * Each entry remembers its type: 'char' (characterwise), 'line' (whole
+ * lines) or 'block' (a visual block, one line of text per row).
+ */
+class Registers {
+  constructor() {
+    this.store = {};
+    this.unnamed = null; // Name of the register '"' currently refers to
+  }
+
+  /**
+   * Check if a register name is valid
+   * @param {string} name - Register name
+   * @returns {boolean}
+   */
+  isValidName(name) {
+    return typeof name === 'string' && /^["0-9a-zA-Z\-_]$/.test(name);
+  }
+
+  /**
+   * Get the content of a register
+   * @param {string} name - Register name (defaults to the unnamed register)
+   * @returns {Object|null} - {text, type}, or null if empty
+   */
+  get(name = '"') {
+    if (name === '"') {
+      return this.unnamed ? this.get(this.unnamed) : null;
+    }
+    return this.store[name.toLowerCase()] || null;
+  }
+
+  /**
+   * Write text to a register. Uppercase names append to the lowercase register.
+   * @param {string} name - Register name
+   * @param {string} text - Text
+   * @param {string} type - 'char', 'line' or 'block'
+   */
+  set(name, text, type) {
+    if (name === '_') {
+      return;
+    }
+
+    const key = name === '"' ? '0' : name.toLowerCase();
+    const existing = this.store[key];
+
+    if (/[A-Z]/.test(name) && existing) {
+      // Appending keeps lines separate when either side is linewise
+      const linewise = existing.type === 'line' || type === 'line';
+      this.store[key] = {
+        text: existing.text + (linewise ? '\n' : '') + text,
+        type: linewise ? 'line' : existing.type
+      };
+    } else {
+      this.store[key] = { text, type };
+    }
+
+    this.unnamed = key;
+  }
+
+  /**
+   * Store a recorded macro. The unnamed register keeps pointing at the last
+   * yank or delete.
+   * @param {string} name - Register name; uppercase appends
+   * @param {string} keys - Keys typed
+   */
+  setMacro(name, keys) {
+    const unnamed = this.unnamed;
+    this.set(name, keys, 'char');
+    this.unnamed = unnamed;
+  }
+
+  /**
+   * Record yanked text
+   * @param {string} text - Text
+   * @param {string} type - 'char', 'line' or 'block'
+   * @param {string|null} name - Register the user asked for
+   */
+  yank(text, type, name = null) {
+    if (name && name !== '"') {
+      this.set(name, text, type);
+      return;
+    }
+    this.set('0', text, type);
+  }
+
+  /**
+   * Record deleted text. Deletes within a line go to '-', others shift the
+   * numbered registers '1'-'9'.
+   * @param {string} text - Text
+   * @param {string} type - 'char', 'line' or 'block'
+   * @param {string|null} name - Register the user asked for
+   */
+  delete(text, type, name = null) {
+    if (name && name !== '"') {
+      this.set(name, text, type);
+      return;
+    }
+
+    if (type === 'char' && !text.includes('\n')) {
+      this.set('-', text, type);
+      return;
+    }
+
+    for (let i = 9; i > 1; i--) {
+      if (this.store[String(i - 1)]) {
+        this.store[String(i)] = this.store[String(i - 1)];
+      }
+    }
+    this.set('1', text, type);
+  }
+
+  /**
+   * List all non-empty registers
+   * @returns {Array<Object>} - [{name, text, type}] in display order
+   */
+  list() {
+    const entries = [];
+    const unnamed = this.get('"');
+    if (unnamed) {
+      entries.push({ name: '"', ...unnamed });
+    }
+
+    const order = '0123456789abcdefghijklmnopqrstuvwxyz-';
+    for (const name of order) {
+      if (this.store[name]) {
+        entries.push({ name, ...this.store[name] });
+      }
+    }
+    return entries;
+  }
+}
+
+module.exports = Registers;
@@ -0,0 +1,279 @@
+/**
+ * A rope of lines: the lines of a buffer kept in a balanced tree, so a line
+ * can be found, and lines inserted or removed anywhere, in O(log n) steps
+ * however long the file is. Leaves hold up to LEAF_SIZE lines; inner nodes
+ * count the lines under them and are kept balanced like an AVL tree.
+ *
+ * Ropes never change. An edit returns a new rope that shares the parts it
+ * didn't touch with the old one, so keeping old versions for undo costs
+ * next to nothing.
+ *
+ * Node shapes: leaves {lines, length, height: 0}, inner nodes
+ * {left, right, length, height}.
+ */
+
+// Most lines a leaf holds
+const LEAF_SIZE = 64;
+
+const EMPTY = { lines: [], length: 0, height: 0 };
+
+/**
+ * Make a leaf
+ * @param {Array<string>} lines - Lines, not shared with anything else
+ * @returns {Object}
+ */
+function leaf(lines) {
+  return { lines, length: lines.length, height: 0 };
+}
+
+/**
+ * Make an inner node from two subtrees whose heights differ by at most one
+ * @param {Object} left - Left subtree
+ * @param {Object} right - Right subtree
+ * @returns {Object}
+ */
+function node(left, right) {
+  return { left, right, length: left.length + right.length, height: Math.max(left.height, right.height) + 1 };
+}
+
+/**
+ * Make an inner node from two subtrees whose heights may differ by two,
+ * rotating to keep the tree balanced
+ * @param {Object} left - Left subtree
+ * @param {Object} right - Right subtree
+ * @returns {Object}
+ */
+function balance(left, right) {
+  if (left.height > right.height + 1) {
+    if (left.left.height >= left.right.height) {
+      return node(left.left, node(left.right, right));
+    }
+    return node(node(left.left, left.right.left), node(left.right.right, right));
+  }
+  if (right.height > left.height + 1) {
+    if (right.right.height >= right.left.height) {
+      return node(node(left, right.left), right.right);
+    }
+    return node(node(left, right.left.left), node(right.left.right, right.right));
+  }
+  return node(left, right);
+}
+
+/**
+ * Join two ropes, the lines of the first coming first
+ * @param {Object} a - First rope
+ * @param {Object} b - Second rope
+ * @returns {Object}
+ */
+function concat(a, b) {
+  if (a.length === 0) {
+    return b;
+  }
+  if (b.length === 0) {
+    return a;
+  }
+  // Hang the shorter tree on the side of the taller one
+  if (a.height > b.height + 1) {
+    return balance(a.left, concat(a.right, b));
+  }
+  if (b.height > a.height + 1) {
+    return balance(concat(a, b.left), b.right);
+  }
+  // Small leaves that meet are merged, so edits don't leave a trail of them
+  if (!a.left && !b.left && a.length + b.length <= LEAF_SIZE) {
+    return leaf(a.lines.concat(b.lines));
+  }
+  return node(a, b);
+}
+
+/**
+ * Split a rope in two
+ * @param {Object} rope - Rope
+ * @param {number} index - Number of lines that go in the first part
+ * @returns {Array<Object>} - [first part, second part]
+ */
+function split(rope, index) {
+  if (index <= 0) {
+    return [EMPTY, rope];
+  }
+  if (index >= rope.length) {
+    return [rope, EMPTY];
+  }
+  if (!rope.left) {
+    return [leaf(rope.lines.slice(0, index)), leaf(rope.lines.slice(index))];
+  }
+  if (index < rope.left.length) {
+    const [first, second] = split(rope.left, index);
+    return [first, concat(second, rope.right)];
+  }
+  const [first, second] = split(rope.right, index - rope.left.length);
+  return [concat(rope.left, first), second];
+}
+
+/**
+ * Build a balanced rope
+ * @param {Array<string>} lines - Lines
+ * @param {number} start - First line to take
+ * @param {number} end - Index after the last line to take
+ * @returns {Object}
+ */
+function build(lines, start, end) {
+  if (end - start <= LEAF_SIZE) {
+    return leaf(lines.slice(start, end));
+  }
+  const middle = start + Math.ceil((end - start) / 2);
+  return node(build(lines, start, middle), build(lines, middle, end));
+}
+
+/**
+ * Create a rope holding some lines
+ * @param {Array<string>} lines - Lines
+ * @returns {Object} - Rope; its length property is the number of lines
+ */
+function createRope(lines) {
+  return build(lines, 0, lines.length);
+}
+
+/**
+ * Get a line
+ * @param {Object} rope - Rope
+ * @param {number} row - Row
+ * @returns {string|undefined} - Line, or undefined past the end
+ */
+function getRopeLine(rope, row) {
+  if (row < 0 || row >= rope.length) {
+    return undefined;
+  }
+  let current = rope;
+  while (current.left) {
+    if (row < current.left.length) {
+      current = current.left;
+    } else {
+      row -= current.left.length;
+      current = current.right;
+    }
+  }
+  return current.lines[row];
+}
+
+/**
+ * Get a range of lines
+ * @param {Object} rope - Rope
+ * @param {number} start - First row
+ * @param {number} end - Row after the last one
+ * @param {Array<string>} result - Array the lines are added to
+ * @returns {Array<string>}
+ */
+function getRopeLines(rope, start = 0, end = rope.length, result = []) {
+  start = Math.max(0, start);
+  end = Math.min(rope.length, end);
+  if (start >= end) {
+    return result;
+  }
+  if (!rope.left) {
+    for (let row = start; row < end; row++) {
+      result.push(rope.lines[row]);
+    }
+    return result;
+  }
+  const leftLength = rope.left.length;
+  getRopeLines(rope.left, start, Math.min(end, leftLength), result);
+  getRopeLines(rope.right, start - leftLength, end - leftLength, result);
+  return result;
+}
+
+/**
+ * Replace one line
+ * @param {Object} rope - Rope
+ * @param {number} row - Row, within the rope
+ * @param {string} line - New text of the line
+ * @returns {Object} - New rope
+ */
+function setRopeLine(rope, row, line) {
+  if (!rope.left) {
+    const lines = rope.lines.slice();
+    lines[row] = line;
+    return leaf(lines);
+  }
+  if (row < rope.left.length) {
+    return node(setRopeLine(rope.left, row, line), rope.right);
+  }
+  return node(rope.left, setRopeLine(rope.right, row - rope.left.length, line));
+}
+
+/**
+ * Remove lines and insert others in their place, like Array.splice
+ * @param {Object} rope - Rope
+ * @param {number} start - Row to start at
+ * @param {number} deleteCount - Number of lines to remove
+ * @param {Array<string>} lines - Lines to insert
+ * @returns {Object} - New rope
+ */
+function spliceRope(rope, start, deleteCount, lines = []) {
+  if (deleteCount === 1 && lines.length === 1 && start < rope.length) {
+    return setRopeLine(rope, start, lines[0]);
+  }
+  const [head, rest] = split(rope, start);
+  const [, tail] = split(rest, deleteCount);
+  return concat(concat(head, createRope(lines)), tail);
+}
+
+/**
+ * Count the lines two ropes have in common at their start, or at their end.
+ * Subtrees they share, as a rope does with the one it was edited from, are
+ * passed over without looking at their lines.
+ * @param {Object} a - Rope
+ * @param {Object} b - Other rope
+ * @param {boolean} fromEnd - Count the lines at the end instead
+ * @returns {number}
+ */
+function countCommonLines(a, b, fromEnd = false) {
+  // Subtrees still to compare, the next one last
+  const restA = [a];
+  const restB = [b];
+  const open = (rope) => (fromEnd ? [rope.left, rope.right] : [rope.right, rope.left]);
+  let count = 0;
+  while (restA.length > 0 && restB.length > 0) {
+    const x = restA.pop();
+    const y = restB.pop();
+    if (x === y) {
+      count += x.length;
+      continue;
+    }
+    // Open up the longer tree until two leaves line up
+    if (x.left && (!y.left || x.length >= y.length)) {
+      restA.push(...open(x));
+      restB.push(y);
+      continue;
+    }
+    if (y.left) {
+      restA.push(x);
+      restB.push(...open(y));
+      continue;
+    }
+
+    const length = Math.min(x.length, y.length);
+    for (let i = 0; i < length; i++) {
+      if (x.lines[fromEnd ? x.length - 1 - i : i] !== y.lines[fromEnd ? y.length - 1 - i : i]) {
+        return count + i;
+      }
+    }
+    count += length;
+    // The rest of the longer leaf is compared with what comes next
+    [[x, restA], [y, restB]].forEach(([rope, rest]) => {
+      if (rope.length > length) {
+        rest.push(leaf(fromEnd ? rope.lines.slice(0, rope.length - length) : rope.lines.slice(length)));
+      }
+    });
+  }
+  return count;
+}
+
+module.exports = {
+  countCommonLines,
+  createRope,
+  getRopeLine,
+  getRopeLines,
+  setRopeLine,
+  spliceRope
+};
@@ -63,7 +63,7 @@ class StatusLine {
    * @param {object} data - Status data
    */
   update(data) {
-    const { mode, filename, modified, cursor, commandBuffer, language, lineCount, aiPreview, aiEnabled } = data;
+    const { mode, filename, modified, cursor, commandBuffer, pendingKeys, language, lineCount, aiPreview, aiEnabled, tab, recording } = data;
     
     // If in command mode, show the command buffer with proper formatting
     if (mode === 'command') {
@@ -105,15 +105,27 @@ class StatusLine {
     // Add AI preview indicator
     const aiPreviewDisplay = aiPreview ? chalk.magenta('[Tab to accept]') : '';
     
+    // Show which tab page this is when there are several
+    const tabDisplay = tab && tab.count > 1 ? chalk.black.bgCyan(` TAB ${tab.index}/${tab.count} `) : '';
+    
+    // Show the register a macro is being recorded into
+    const recordingDisplay = recording ? chalk.red(`recording @${recording}`) : '';
+    
+    // Show a partially typed normal mode command (count, operator, ...)
+    const pendingDisplay = pendingKeys ? chalk.yellow(pendingKeys) : '';
+    
     // Format the status line with better spacing
     const statusParts = [
       modeDisplay,
+      tabDisplay,
       langDisplay,
       fileDisplay,
       positionDisplay,
       lineCountDisplay,
       aiStatusDisplay,
-      aiPreviewDisplay
+      aiPreviewDisplay,
+      recordingDisplay,
+      pendingDisplay
     ].filter(part => part); // Remove empty parts
     
     const statusLine = statusParts.join(' | ');
@@ -134,13 +146,29 @@ class StatusLine {
         return chalk.black.bgGreen(' NORMAL ');
       case 'insert':
         return chalk.black.bgYellow(' INSERT ');
+      case 'replace':
+        return chalk.black.bgRed(' REPLACE ');
       case 'command':
         return chalk.black.bgBlue(' COMMAND ');
+      case 'visual':
+        return chalk.black.bgMagenta(' VISUAL ');
+      case 'visual line':
+        return chalk.black.bgMagenta(' VISUAL LINE ');
+      case 'visual block':
+        return chalk.black.bgMagenta(' VISUAL BLOCK ');
       default:
         return chalk.black.bgWhite(` ${mode.toUpperCase()} `);
     }
   }
 
+  /**
+   * Draw the status line and messages over boxes added to the screen later
+   */
+  bringToFront() {
+    this.statusBox.setFront();
+    this.messageBox.setFront();
+  }
+
   /**
    * Show temporary message
    * @param {string} message - Message to show
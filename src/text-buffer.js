@@ -1,5 +1,26 @@
 const fs = require('fs-extra');
 const path = require('path');
+const UndoTree = require('./undo-tree');
+const { nextCharIndex, prevCharIndex } = require('./display-width');
+const { countCommonLines, createRope, getRopeLine, getRopeLines, setRopeLine, spliceRope } = require('./rope');
+
+/**
+ * Classify a character for word motions: 0 for blanks (and line ends),
+ * 1 for punctuation, 2 for keyword characters. With bigWord every non-blank
+ * character is in the same class.
+ * @param {string|undefined} char - Character to classify
+ * @param {boolean} bigWord - Whether to use WORD (whitespace separated) classes
+ * @returns {number}
+ */
+function charClass(char, bigWord) {
+  if (char === undefined || /\s/.test(char)) {
+    return 0;
+  }
+  if (bigWord) {
+    return 1;
+  }
+  return /\w/.test(char) ? 2 : 1;
+}
 
 /**
  * TextBuffer class manages the content of the file being edited
@@ -13,18 +34,35 @@ class TextBuffer {
   constructor(filePath, initialContent = null) {
     this.filePath = filePath || 'untitled';
     this.isNewFile = true;
-    this.content = [''];
+    // Lines are kept in a rope, so edits take O(log n) in long files
+    this.lines = createRope(['']);
+    this.contentCache = null; // {lines, content}: the lines as an array, for getContent
     this.modified = false;
     this.cursor = { row: 0, col: 0 };
+    // Bumped on every change, so work done on the content can be cached
+    this.version = 0;
 
     if (initialContent !== null) {
       // Use provided content
-      this.content = initialContent.split('\n');
+      this.lines = createRope(initialContent.split('\n'));
       // If content was provided but the file doesn't exist, mark as modified
       this.modified = true;
     } else if (filePath && filePath !== 'untitled') {
       this.loadFile(filePath);
     }
+
+    // Undo history: nested beginChange/endChange calls are grouped into one change
+    this.undoTree = new UndoTree(this.snapshot());
+    this.changeDepth = 0;
+    this.changeCursor = null;
+    this.changePending = false;
+    this.changeRowMaps = []; // Tracked row maps of the open change, see remapTrackedRows
+    // Undo state matching the file on disk (null when the buffer starts out modified)
+    this.savedState = this.modified ? null : this.undoTree.current;
+    // Row lists kept in step with line insertions and deletions
+    this.rowTrackers = new Set();
+    // Marks by name: {tracker, col}; the tracker keeps the row up to date
+    this.marks = new Map();
   }
 
   /**
@@ -36,8 +74,9 @@ class TextBuffer {
       const absPath = path.resolve(filePath);
       if (fs.existsSync(absPath)) {
         const content = fs.readFileSync(absPath, 'utf8');
-        this.content = content.split('\n');
+        this.lines = createRope(content.split('\n'));
         this.isNewFile = false;
+        this.version++;
       }
     } catch (error) {
       // File doesn't exist yet, we'll create it on save
@@ -63,8 +102,9 @@ class TextBuffer {
         fs.mkdirpSync(dirPath);
       }
       
-      fs.writeFileSync(absPath, this.content.join('\n'), 'utf8');
+      fs.writeFileSync(absPath, this.getContent().join('\n'), 'utf8');
       this.modified = false;
+      this.savedState = this.undoTree.current;
       this.isNewFile = false;
       return true;
     } catch (error) {
@@ -78,59 +118,81 @@ class TextBuffer {
    * @param {string} char - Character to insert
    */
   insertCharacter(char) {
+    this.beginChange();
     const { row, col } = this.cursor;
-    const line = this.content[row];
-    const newLine = line.slice(0, col) + char + line.slice(col);
-    this.content[row] = newLine;
+    const line = this.getLine(row);
+    this.setLine(row, line.slice(0, col) + char + line.slice(col));
     this.cursor.col++;
-    this.modified = true;
+    this.markChanged();
+    this.endChange();
+  }
+
+  /**
+   * Overwrite the character at the cursor, or add to the end of the line
+   * (replace mode)
+   * @param {string} char - Character to write
+   * @returns {string|null} - Character overwritten, or null at the line end
+   */
+  replaceCharacter(char) {
+    this.beginChange();
+    const { row, col } = this.cursor;
+    const line = this.getLine(row);
+    const end = nextCharIndex(line, col);
+    const replaced = col < line.length ? line.slice(col, end) : null;
+    this.setLine(row, line.slice(0, col) + char + line.slice(end));
+    this.cursor.col += char.length;
+    this.markChanged();
+    this.endChange();
+    return replaced;
   }
 
   /**
    * Insert new line at cursor position
    */
   insertNewLine() {
+    this.beginChange();
     const { row, col } = this.cursor;
-    const currentLine = this.content[row];
-    
-    // Split the current line at cursor position
-    const newLine = currentLine.slice(col);
-    this.content[row] = currentLine.slice(0, col);
+    const currentLine = this.getLine(row);
     
-    // Insert the new line after the current one
-    this.content.splice(row + 1, 0, newLine);
+    // Split the current line at cursor position, the rest going on a new line
+    this.lines = spliceRope(this.lines, row, 1, [currentLine.slice(0, col), currentLine.slice(col)]);
+    this.shiftTrackedRows(row + 1, 0, 1);
     
     // Update cursor position
     this.cursor.row++;
     this.cursor.col = 0;
-    this.modified = true;
+    this.markChanged();
+    this.endChange();
   }
 
   /**
    * Delete character before cursor
    */
   deleteCharacter() {
+    this.beginChange();
     const { row, col } = this.cursor;
     
     if (col > 0) {
       // Delete character on the current line
-      const line = this.content[row];
-      this.content[row] = line.slice(0, col - 1) + line.slice(col);
-      this.cursor.col--;
-      this.modified = true;
+      const line = this.getLine(row);
+      const start = prevCharIndex(line, col);
+      this.setLine(row, line.slice(0, start) + line.slice(col));
+      this.cursor.col = start;
+      this.markChanged();
     } else if (row > 0) {
       // Merge with previous line
-      const prevLine = this.content[row - 1];
-      const currLine = this.content[row];
+      const prevLine = this.getLine(row - 1);
+      const currLine = this.getLine(row);
       
       const newCol = prevLine.length;
-      this.content[row - 1] = prevLine + currLine;
-      this.content.splice(row, 1);
+      this.lines = spliceRope(this.lines, row - 1, 2, [prevLine + currLine]);
+      this.shiftTrackedRows(row, 1, 0);
       
       this.cursor.row--;
       this.cursor.col = newCol;
-      this.modified = true;
+      this.markChanged();
     }
+    this.endChange();
   }
 
   /**
@@ -140,7 +202,7 @@ class TextBuffer {
     if (this.cursor.row > 0) {
       this.cursor.row--;
       // Adjust column if necessary
-      const lineLength = this.content[this.cursor.row].length;
+      const lineLength = this.getLine(this.cursor.row).length;
       this.cursor.col = Math.min(this.cursor.col, lineLength);
     }
   }
@@ -149,10 +211,10 @@ class TextBuffer {
    * Move cursor down
    */
   moveCursorDown() {
-    if (this.cursor.row < this.content.length - 1) {
+    if (this.cursor.row < this.lines.length - 1) {
       this.cursor.row++;
       // Adjust column if necessary
-      const lineLength = this.content[this.cursor.row].length;
+      const lineLength = this.getLine(this.cursor.row).length;
       this.cursor.col = Math.min(this.cursor.col, lineLength);
     }
   }
@@ -162,11 +224,11 @@ class TextBuffer {
    */
   moveCursorLeft() {
     if (this.cursor.col > 0) {
-      this.cursor.col--;
+      this.cursor.col = prevCharIndex(this.getLine(this.cursor.row), this.cursor.col);
     } else if (this.cursor.row > 0) {
       // Move to the end of the previous line
       this.cursor.row--;
-      this.cursor.col = this.content[this.cursor.row].length;
+      this.cursor.col = this.getLine(this.cursor.row).length;
     }
   }
 
@@ -174,11 +236,11 @@ class TextBuffer {
    * Move cursor right
    */
   moveCursorRight() {
-    const lineLength = this.content[this.cursor.row].length;
+    const line = this.getLine(this.cursor.row);
     
-    if (this.cursor.col < lineLength) {
-      this.cursor.col++;
-    } else if (this.cursor.row < this.content.length - 1) {
+    if (this.cursor.col < line.length) {
+      this.cursor.col = nextCharIndex(line, this.cursor.col);
+    } else if (this.cursor.row < this.lines.length - 1) {
       // Move to the beginning of the next line
       this.cursor.row++;
       this.cursor.col = 0;
@@ -186,19 +248,631 @@ class TextBuffer {
   }
 
   /**
-   * Get cursor position
-   * @returns {Object} - {row, col}
+   * Set cursor position
+   * @param {number} row - Row
+   * @param {number} col - Column
    */
-  getCursor() {
-    return this.cursor;
+  setCursor(row, col) {
+    this.cursor = { row, col };
+    this.validateCursor();
+  }
+
+  /**
+   * Get a single line
+   * @param {number} row - Row
+   * @returns {string} - Line text, or an empty string past the end
+   */
+  getLine(row) {
+    return getRopeLine(this.lines, row) || '';
+  }
+
+  /**
+   * Replace the text of a line (the caller marks the change)
+   * @param {number} row - Row
+   * @param {string} line - New text
+   */
+  setLine(row, line) {
+    this.lines = setRopeLine(this.lines, row, line);
+  }
+
+  /**
+   * Get number of lines
+   * @returns {number}
+   */
+  getLineCount() {
+    return this.lines.length;
+  }
+
+  /**
+   * Get column of the first non-blank character of a line
+   * @param {number} row - Row
+   * @returns {number}
+   */
+  getFirstNonBlankCol(row) {
+    const match = /\S/.exec(this.getLine(row));
+    return match ? match.index : Math.max(0, this.getLine(row).length - 1);
   }
 
   /**
-   * Get buffer content
+   * Get word class of the character at a position (line ends count as blank)
+   * @param {Object} pos - {row, col}
+   * @param {boolean} bigWord - Use WORD classes
+   * @returns {number}
+   */
+  classAt(pos, bigWord) {
+    return charClass(this.getLine(pos.row)[pos.col], bigWord);
+  }
+
+  /**
+   * Step one character forward; the end of each line is a position of its own
+   * @param {Object} pos - {row, col}
+   * @returns {Object|null} - Next position, or null at the end of the buffer
+   */
+  nextPosition(pos) {
+    if (pos.col < this.getLine(pos.row).length) {
+      return { row: pos.row, col: pos.col + 1 };
+    }
+    if (pos.row < this.lines.length - 1) {
+      return { row: pos.row + 1, col: 0 };
+    }
+    return null;
+  }
+
+  /**
+   * Step one character backward; the end of each line is a position of its own
+   * @param {Object} pos - {row, col}
+   * @returns {Object|null} - Previous position, or null at the start of the buffer
+   */
+  prevPosition(pos) {
+    if (pos.col > 0) {
+      return { row: pos.row, col: pos.col - 1 };
+    }
+    if (pos.row > 0) {
+      return { row: pos.row - 1, col: this.getLine(pos.row - 1).length };
+    }
+    return null;
+  }
+
+  /**
+   * Check if a position is on an empty line
+   * @param {Object} pos - {row, col}
+   * @returns {boolean}
+   */
+  isEmptyLineAt(pos) {
+    return this.getLine(pos.row).length === 0;
+  }
+
+  /**
+   * Find the start of the count'th next word (Vim "w"/"W")
+   * @param {Object} pos - Start position
+   * @param {number} count - Number of words
+   * @param {boolean} bigWord - Use WORDs
+   * @returns {Object} - Target position (end of buffer if there are no more words)
+   */
+  findNextWordStart(pos, count = 1, bigWord = false) {
+    let current = { ...pos };
+
+    for (let i = 0; i < count; i++) {
+      let next = current;
+      const cls = this.classAt(next, bigWord);
+
+      // Skip the rest of the current word, or step off the blank we're on
+      if (cls !== 0) {
+        while (next && this.classAt(next, bigWord) === cls) {
+          next = this.nextPosition(next);
+        }
+      } else {
+        next = this.nextPosition(next);
+      }
+
+      // Skip blanks and line ends; an empty line counts as a word
+      while (next && this.classAt(next, bigWord) === 0 && !this.isEmptyLineAt(next)) {
+        next = this.nextPosition(next);
+      }
+
+      if (!next) {
+        const lastRow = this.lines.length - 1;
+        return { row: lastRow, col: this.getLine(lastRow).length };
+      }
+      current = next;
+    }
+
+    return current;
+  }
+
+  /**
+   * Find the end of the count'th next word (Vim "e"/"E")
+   * @param {Object} pos - Start position
+   * @param {number} count - Number of words
+   * @param {boolean} bigWord - Use WORDs
+   * @param {boolean} stayOnEnd - Count the word under the cursor even when
+   *   already on its last character (used by "cw")
+   * @returns {Object} - Target position
+   */
+  findWordEnd(pos, count = 1, bigWord = false, stayOnEnd = false) {
+    let current = { ...pos };
+
+    for (let i = 0; i < count; i++) {
+      let next = stayOnEnd && i === 0 && this.classAt(current, bigWord) !== 0
+        ? current
+        : this.nextPosition(current);
+
+      while (next && this.classAt(next, bigWord) === 0) {
+        next = this.nextPosition(next);
+      }
+      if (!next) {
+        return current;
+      }
+
+      const cls = this.classAt(next, bigWord);
+      let after = this.nextPosition(next);
+      while (after && this.classAt(after, bigWord) === cls) {
+        next = after;
+        after = this.nextPosition(after);
+      }
+      current = next;
+    }
+
+    return current;
+  }
+
+  /**
+   * Find the start of the count'th previous word (Vim "b"/"B")
+   * @param {Object} pos - Start position
+   * @param {number} count - Number of words
+   * @param {boolean} bigWord - Use WORDs
+   * @returns {Object} - Target position
+   */
+  findPrevWordStart(pos, count = 1, bigWord = false) {
+    let current = { ...pos };
+
+    for (let i = 0; i < count; i++) {
+      let prev = this.prevPosition(current);
+
+      // Skip blanks and line ends backwards; an empty line counts as a word
+      while (prev && this.classAt(prev, bigWord) === 0 && !this.isEmptyLineAt(prev)) {
+        prev = this.prevPosition(prev);
+      }
+      if (!prev) {
+        return { row: 0, col: 0 };
+      }
+
+      const cls = this.classAt(prev, bigWord);
+      if (cls !== 0) {
+        let before = this.prevPosition(prev);
+        while (before && before.row === prev.row && this.classAt(before, bigWord) === cls) {
+          prev = before;
+          before = this.prevPosition(before);
+        }
+      }
+      current = prev;
+    }
+
+    return current;
+  }
+
+  /**
+   * Find all matches of a regular expression on a line. Matches don't span lines.
+   * @param {number} row - Row
+   * @param {RegExp} regex - Pattern (a global copy is used if it isn't global)
+   * @returns {Array<Object>} - [{start, end}] with end exclusive
+   */
+  findMatches(row, regex) {
+    const pattern = regex.global ? regex : new RegExp(regex.source, regex.flags + 'g');
+    const line = this.getLine(row);
+    const matches = [];
+    let match;
+
+    pattern.lastIndex = 0;
+    while ((match = pattern.exec(line)) !== null) {
+      matches.push({ start: match.index, end: match.index + match[0].length });
+      if (match[0].length === 0) {
+        // Step past empty matches so the loop ends
+        pattern.lastIndex++;
+        if (pattern.lastIndex > line.length) {
+          break;
+        }
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * Search for the next match of a pattern after (or before) a position
+   * @param {RegExp} regex - Pattern
+   * @param {Object} from - Position to search from (a match there doesn't count)
+   * @param {boolean} backward - Search towards the start of the buffer
+   * @param {boolean} wrap - Continue from the other end of the buffer
+   * @returns {Object|null} - {row, col, length, wrapped}, or null if not found
+   */
+  search(regex, from, backward = false, wrap = true) {
+    const lineCount = this.lines.length;
+
+    // Step through every line once, then back to the start line for
+    // matches on the other side of the start position
+    for (let step = 0; step <= lineCount; step++) {
+      let row = from.row + (backward ? -step : step);
+      const wrapped = row < 0 || row >= lineCount || step === lineCount;
+      if (wrapped && !wrap) {
+        return null;
+      }
+      row = (row + lineCount) % lineCount;
+
+      let matches = this.findMatches(row, regex);
+      if (step === 0) {
+        matches = matches.filter(m => (backward ? m.start < from.col : m.start > from.col));
+      } else if (step === lineCount) {
+        matches = matches.filter(m => (backward ? m.start >= from.col : m.start <= from.col));
+      }
+
+      const match = backward ? matches[matches.length - 1] : matches[0];
+      if (match) {
+        return { row, col: match.start, length: match.end - match.start, wrapped };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the keyword under or after a position on its line
+   * @param {Object} pos - Position
+   * @returns {Object|null} - {word, start}, or null if there is none
+   */
+  getWordAt(pos) {
+    const line = this.getLine(pos.row);
+    let start = pos.col;
+    while (start < line.length && !/\w/.test(line[start])) {
+      start++;
+    }
+    if (start >= line.length) {
+      return null;
+    }
+
+    while (start > 0 && /\w/.test(line[start - 1])) {
+      start--;
+    }
+    const word = /^\w+/.exec(line.slice(start))[0];
+    return { word, start };
+  }
+
+  /**
+   * Get the text between two positions
+   * @param {Object} start - Start position (inclusive)
+   * @param {Object} end - End position (exclusive)
+   * @returns {string}
+   */
+  getTextRange(start, end) {
+    if (start.row === end.row) {
+      return this.getLine(start.row).slice(start.col, end.col);
+    }
+
+    const lines = [this.getLine(start.row).slice(start.col)];
+    for (let row = start.row + 1; row < end.row; row++) {
+      lines.push(this.getLine(row));
+    }
+    lines.push(this.getLine(end.row).slice(0, end.col));
+    return lines.join('\n');
+  }
+
+  /**
+   * Delete the text between two positions and put the cursor at the start
+   * @param {Object} start - Start position (inclusive)
+   * @param {Object} end - End position (exclusive)
+   * @returns {string} - Deleted text
+   */
+  deleteRange(start, end) {
+    const text = this.getTextRange(start, end);
+    if (!text) {
+      return text;
+    }
+
+    this.beginChange();
+    const head = this.getLine(start.row).slice(0, start.col);
+    const tail = this.getLine(end.row).slice(end.col);
+    this.lines = spliceRope(this.lines, start.row, end.row - start.row + 1, [head + tail]);
+    this.shiftTrackedRows(start.row + 1, end.row - start.row, 0);
+    this.cursor = { row: start.row, col: start.col };
+    this.markChanged();
+    this.endChange();
+    return text;
+  }
+
+  /**
+   * Insert text (which may span several lines) at a position, leaving the
+   * cursor just after it
+   * @param {Object} pos - Position to insert at
+   * @param {string} text - Text to insert
+   * @returns {Object} - Position just after the inserted text
+   */
+  insertText(pos, text) {
+    if (!text) {
+      return { ...pos };
+    }
+
+    this.beginChange();
+    const line = this.getLine(pos.row);
+    const lines = text.split('\n');
+    const lastIndex = lines.length - 1;
+    const endCol = (lastIndex === 0 ? pos.col : 0) + lines[lastIndex].length;
+
+    lines[0] = line.slice(0, pos.col) + lines[0];
+    lines[lastIndex] += line.slice(pos.col);
+    this.lines = spliceRope(this.lines, pos.row, 1, lines);
+    this.shiftTrackedRows(pos.row + 1, 0, lastIndex);
+
+    this.cursor = { row: pos.row + lastIndex, col: endCol };
+    this.markChanged();
+    this.endChange();
+    return { ...this.cursor };
+  }
+
+  /**
+   * Get a range of whole lines
+   * @param {number} startRow - First row
+   * @param {number} endRow - Last row (inclusive)
+   * @returns {Array<string>}
+   */
+  getLines(startRow, endRow) {
+    return getRopeLines(this.lines, startRow, endRow + 1);
+  }
+
+  /**
+   * Delete a range of whole lines, leaving the cursor on the line that
+   * followed them. The buffer always keeps at least one (empty) line.
+   * @param {number} startRow - First row
+   * @param {number} endRow - Last row (inclusive)
+   * @returns {Array<string>} - Deleted lines
+   */
+  deleteLines(startRow, endRow) {
+    this.beginChange();
+    const deleted = this.getLines(startRow, endRow);
+    this.lines = spliceRope(this.lines, startRow, deleted.length);
+    this.shiftTrackedRows(startRow, deleted.length, 0);
+    if (this.lines.length === 0) {
+      this.lines = createRope(['']);
+    }
+
+    const row = Math.min(startRow, this.lines.length - 1);
+    this.cursor = { row, col: this.getFirstNonBlankCol(row) };
+    this.markChanged();
+    this.endChange();
+    return deleted;
+  }
+
+  /**
+   * Replace a range of whole lines with other lines, leaving the cursor at
+   * the start of the first replacement line
+   * @param {number} startRow - First row
+   * @param {number} endRow - Last row (inclusive)
+   * @param {Array<string>} lines - Replacement lines
+   * @returns {Array<string>} - Replaced lines
+   */
+  replaceLines(startRow, endRow, lines) {
+    this.beginChange();
+    const replaced = this.getLines(startRow, endRow);
+    this.lines = spliceRope(this.lines, startRow, replaced.length, lines);
+    this.shiftTrackedRows(startRow, replaced.length, lines.length);
+    if (this.lines.length === 0) {
+      this.lines = createRope(['']);
+    }
+
+    this.cursor = { row: Math.min(startRow, this.lines.length - 1), col: 0 };
+    this.markChanged();
+    this.endChange();
+    return replaced;
+  }
+
+  /**
+   * Insert whole lines before a row
+   * @param {number} row - Row to insert at
+   * @param {Array<string>} lines - Lines to insert
+   */
+  insertLines(row, lines) {
+    if (lines.length === 0) {
+      return;
+    }
+
+    this.beginChange();
+    this.lines = spliceRope(this.lines, row, 0, lines);
+    this.shiftTrackedRows(row, 0, lines.length);
+    this.cursor = { row, col: 0 };
+    this.markChanged();
+    this.endChange();
+  }
+
+  /**
+   * Move whole lines below another line, leaving the cursor on the last
+   * moved line
+   * @param {number} startRow - First row
+   * @param {number} endRow - Last row (inclusive)
+   * @param {number} target - Row to move the lines below (-1 for the top);
+   *   must not be inside the moved lines
+   */
+  moveLines(startRow, endRow, target) {
+    const count = endRow - startRow + 1;
+    // Index the lines start at once moved
+    const dest = target >= endRow ? target - count + 1 : target + 1;
+    if (dest === startRow) {
+      this.cursor = { row: endRow, col: 0 };
+      return;
+    }
+
+    this.beginChange();
+    const lines = this.getLines(startRow, endRow);
+    this.lines = spliceRope(spliceRope(this.lines, startRow, count), dest, 0, lines);
+    // Moving the lines back undoes the move
+    const move = (from, to) => (row) => {
+      if (row >= from && row < from + count) {
+        return row - from + to;
+      }
+      if (to > from && row >= from + count && row < to + count) {
+        return row - count;
+      }
+      if (to < from && row >= to && row < from) {
+        return row + count;
+      }
+      return row;
+    };
+    this.remapTrackedRows(move(startRow, dest), move(dest, startRow));
+    this.cursor = { row: dest + count - 1, col: 0 };
+    this.markChanged();
+    this.endChange();
+  }
+
+  /**
+   * Keep a list of rows up to date while lines are inserted, deleted and
+   * moved. Rows of deleted lines become null.
+   * @param {Array<number>} rows - Rows to track
+   * @returns {Object} - Tracker whose rows property holds the current rows;
+   *   pass it to untrackRows when done
+   */
+  trackRows(rows) {
+    const tracker = { rows: rows.slice() };
+    this.rowTrackers.add(tracker);
+    return tracker;
+  }
+
+  /**
+   * Stop updating a row tracker
+   * @param {Object} tracker - Tracker from trackRows
+   */
+  untrackRows(tracker) {
+    this.rowTrackers.delete(tracker);
+  }
+
+  /**
+   * Update tracked rows after a number of lines starting at a row were
+   * replaced by another number of lines. Replaced lines keep their row when
+   * there is still a line there, else they count as deleted.
+   * @param {number} row - First changed row
+   * @param {number} removed - Number of lines removed
+   * @param {number} added - Number of lines added in their place
+   */
+  shiftTrackedRows(row, removed, added) {
+    if (removed === added) {
+      return;
+    }
+    // Swapping the counts gives the map that undoes it
+    const shift = (from, to) => (tracked) => {
+      if (tracked < row) {
+        return tracked;
+      }
+      if (tracked >= row + from) {
+        return tracked + to - from;
+      }
+      return tracked - row < to ? tracked : null;
+    };
+    this.remapTrackedRows(shift(removed, added), shift(added, removed));
+  }
+
+  /**
+   * Map every tracked row through a function; deleted (null) rows stay
+   * deleted. The maps are kept with the change in the undo history, so
+   * undo and redo can move the rows too.
+   * @param {Function} map - (row) => new row or null
+   * @param {Function} unmap - (row) => row before the change, for undo
+   */
+  remapTrackedRows(map, unmap) {
+    const deleted = [];
+    for (const tracker of this.rowTrackers) {
+      tracker.rows = tracker.rows.map((row, index) => {
+        const mapped = row === null ? null : map(row);
+        if (row !== null && mapped === null) {
+          deleted.push({ tracker, index, row });
+        }
+        return mapped;
+      });
+    }
+    if (this.changeDepth > 0) {
+      this.changeRowMaps.push({ map, unmap, deleted });
+    }
+  }
+
+  /**
+   * Move tracked rows back to where they were before a change (undo), or
+   * through it again (redo). Rows the change deleted come back on undo.
+   * @param {Array<Object>} rowMaps - Row maps of the change {map, unmap, deleted}
+   * @param {boolean} undo - True to undo the change
+   */
+  replayRowMaps(rowMaps, undo) {
+    if (!undo) {
+      rowMaps.forEach(({ map, unmap }) => this.remapTrackedRows(map, unmap));
+      return;
+    }
+    rowMaps.slice().reverse().forEach(({ map, unmap, deleted }) => {
+      this.remapTrackedRows(unmap, map);
+      deleted
+        .filter(({ tracker, index }) => this.rowTrackers.has(tracker) && tracker.rows[index] === null)
+        .forEach(({ tracker, index, row }) => {
+          tracker.rows[index] = row;
+        });
+    });
+  }
+
+  /**
+   * Set a mark. The mark stays on its line as lines are added or removed
+   * above it, and is removed with its line.
+   * @param {string} name - Mark name
+   * @param {Object} pos - Position {row, col}
+   */
+  setMark(name, pos) {
+    this.deleteMark(name);
+    this.marks.set(name, { tracker: this.trackRows([pos.row]), col: pos.col });
+  }
+
+  /**
+   * Get the position of a mark
+   * @param {string} name - Mark name
+   * @returns {Object|null} - {row, col}, or null if the mark isn't set
+   */
+  getMark(name) {
+    const mark = this.marks.get(name);
+    if (!mark || mark.tracker.rows[0] === null) {
+      return null;
+    }
+    return { row: mark.tracker.rows[0], col: mark.col };
+  }
+
+  /**
+   * Remove a mark
+   * @param {string} name - Mark name
+   */
+  deleteMark(name) {
+    const mark = this.marks.get(name);
+    if (mark) {
+      this.untrackRows(mark.tracker);
+      this.marks.delete(name);
+    }
+  }
+
+  /**
+   * Get the names of the marks that are set
+   * @returns {Array<string>}
+   */
+  getMarkNames() {
+    return [...this.marks.keys()].filter(name => this.getMark(name));
+  }
+
+  /**
+   * Get buffer content. The array is made once per version of the content
+   * and shared, so it must not be changed; getLine and getLines are quicker
+   * for a few lines of a long file.
    * @returns {Array} - Array of lines
    */
   getContent() {
-    return this.content;
+    if (!this.contentCache || this.contentCache.lines !== this.lines) {
+      this.contentCache = { lines: this.lines, content: getRopeLines(this.lines) };
+    }
+    return this.contentCache.content;
+  }
+
+  /**
+   * Get the path of the file being edited
+   * @returns {string} - Path as given, or 'untitled'
+   */
+  getFilePath() {
+    return this.filePath;
   }
 
   /**
@@ -220,9 +894,131 @@ class TextBuffer {
    * Clear all content from the buffer
    */
   clear() {
-    this.content = [''];
+    this.beginChange();
+    this.remapTrackedRows(() => null, row => row);
+    this.lines = createRope(['']);
     this.cursor = { row: 0, col: 0 };
+    this.markChanged();
+    this.endChange();
+  }
+
+  /**
+   * Start grouping edits into a single undoable change. Groups nest; the
+   * change is recorded when the outermost group ends.
+   */
+  beginChange() {
+    if (this.changeDepth === 0) {
+      this.changeCursor = { ...this.cursor };
+      this.changePending = false;
+      this.changeRowMaps = [];
+    }
+    this.changeDepth++;
+  }
+
+  /**
+   * Close a change group, recording it in the undo tree if it was the
+   * outermost group and the content actually changed
+   */
+  endChange() {
+    if (this.changeDepth === 0) {
+      return;
+    }
+
+    this.changeDepth--;
+    if (this.changeDepth === 0 && this.changePending) {
+      this.undoTree.record(this.snapshot(), this.changeCursor, { ...this.cursor }, this.changeRowMaps);
+      this.changePending = false;
+    }
+  }
+
+  /**
+   * Check if a change group is currently open
+   * @returns {boolean}
+   */
+  isChangeOpen() {
+    return this.changeDepth > 0;
+  }
+
+  /**
+   * Flag the content as changed by the current edit
+   */
+  markChanged() {
     this.modified = true;
+    this.changePending = true;
+    this.version++;
+  }
+
+  /**
+   * Take a snapshot of the content for the undo history. Ropes don't change,
+   * so the current one is the snapshot.
+   * @returns {Object} - Rope of the lines
+   */
+  snapshot() {
+    return this.lines;
+  }
+
+  /**
+   * Find the lines that changed since a snapshot was taken
+   * @param {Object} state - Snapshot from snapshot()
+   * @returns {Object} - {start, oldEnd, newEnd}: rows start to oldEnd - 1
+   *   of the snapshot are now rows start to newEnd - 1, the rest unchanged
+   */
+  getChangedRows(state) {
+    const start = countCommonLines(state, this.lines);
+    const end = Math.min(countCommonLines(state, this.lines, true), Math.min(state.length, this.lines.length) - start);
+    return { start, oldEnd: state.length - end, newEnd: this.lines.length - end };
+  }
+
+  /**
+   * Restore content from an undo history snapshot
+   * @param {Object} state - Snapshot to restore
+   */
+  restoreSnapshot(state) {
+    this.lines = state;
+    this.modified = this.undoTree.current !== this.savedState;
+    this.version++;
+  }
+
+  /**
+   * Undo the last change, restoring the cursor to where the change started
+   * @returns {boolean} - False if already at the oldest change
+   */
+  undo() {
+    if (this.changeDepth > 0) {
+      return false;
+    }
+
+    const undone = this.undoTree.undo();
+    if (!undone) {
+      return false;
+    }
+
+    this.restoreSnapshot(this.undoTree.getState());
+    this.replayRowMaps(undone.rowMaps, true);
+    this.cursor = { ...undone.cursorBefore };
+    this.validateCursor();
+    return true;
+  }
+
+  /**
+   * Redo the last undone change
+   * @returns {boolean} - False if already at the newest change
+   */
+  redo() {
+    if (this.changeDepth > 0) {
+      return false;
+    }
+
+    const redone = this.undoTree.redo();
+    if (!redone) {
+      return false;
+    }
+
+    this.restoreSnapshot(this.undoTree.getState());
+    this.replayRowMaps(redone.rowMaps, false);
+    this.cursor = { ...redone.cursorBefore };
+    this.validateCursor();
+    return true;
   }
 
   /**
@@ -247,8 +1043,8 @@ class TextBuffer {
    * Validate and correct cursor position
    */
   validateCursor() {
-    const maxRow = Math.max(0, this.content.length - 1);
-    const currentLine = this.content[this.cursor.row] || '';
+    const maxRow = Math.max(0, this.lines.length - 1);
+    const currentLine = this.getLine(this.cursor.row);
     const maxCol = currentLine.length;
     
     // Correct row if out of bounds
@@ -0,0 +1,520 @@
+/**
+ * Text objects, used after an operator (diw, ci", ya(, dap) or in visual
+ * mode (viw, va{). Each object selects a range around the cursor:
+ * - words and WORDs (iw, aw, iW, aW) within the cursor line
+ * - sentences (is, as) and paragraphs (ip, ap)
+ * - quoted strings (i", a", i', a', i`, a`) within the cursor line
+ * - bracket pairs (i(, a(, i{, a{, i[, a[, i<, a<), which may span lines
+ * - HTML/XML tag pairs (it, at)
+ *
+ * The "a" forms include the surrounding white space (words, sentences,
+ * paragraphs, quotes) or the delimiters themselves (brackets, tags).
+ *
+ * select(buffer, cursor, count, selection) returns a range like the ones
+ * operators take: {start, end, linewise}, end exclusive for characterwise
+ * ranges and the last row for linewise ones; or null if there is no such
+ * object at the cursor. In visual mode, selection is the current selection
+ * {start, end} (both inclusive) when it covers more than one character; the
+ * object then grows it.
+ */
+
+const BRACKETS = {
+  '(': ['(', ')'],
+  ')': ['(', ')'],
+  'b': ['(', ')'],
+  '{': ['{', '}'],
+  '}': ['{', '}'],
+  'B': ['{', '}'],
+  '[': ['[', ']'],
+  ']': ['[', ']'],
+  '<': ['<', '>'],
+  '>': ['<', '>']
+};
+
+// Most levels a bracket or tag object looks outward for a larger object
+const MAX_LEVELS = 100;
+
+/**
+ * Get the word class of a line's character; the line end counts as blank
+ */
+function classOf(buffer, row, col, bigWord) {
+  return buffer.classAt({ row, col }, bigWord);
+}
+
+/**
+ * Find the end (exclusive) of the run of same-class characters at a column
+ */
+function runEnd(buffer, row, col, bigWord) {
+  const length = buffer.getLine(row).length;
+  const cls = classOf(buffer, row, col, bigWord);
+  let end = col;
+  while (end < length && classOf(buffer, row, end, bigWord) === cls) {
+    end++;
+  }
+  return end;
+}
+
+/**
+ * Find the start of the run of same-class characters at a column
+ */
+function runStart(buffer, row, col, bigWord) {
+  const cls = classOf(buffer, row, col, bigWord);
+  let start = col;
+  while (start > 0 && classOf(buffer, row, start - 1, bigWord) === cls) {
+    start--;
+  }
+  return start;
+}
+
+/**
+ * Select words (iw, aw, iW, aW). "iw" counts runs of white space as words;
+ * "aw" takes each word with the white space after it, or before it when
+ * there is none after the last word.
+ */
+function wordObject(around, bigWord) {
+  return (buffer, cursor, count, selection) => {
+    const row = selection ? selection.end.row : cursor.row;
+    const length = buffer.getLine(row).length;
+    // A visual selection grows from its end
+    const from = selection ? selection.end.col + 1 : cursor.col;
+    if (selection && from >= length) {
+      return null;
+    }
+    const words = count || 1;
+    let start = selection ? selection.start.col : runStart(buffer, row, from, bigWord);
+    let end = from;
+
+    if (!around) {
+      for (let i = 0; i < words; i++) {
+        end = runEnd(buffer, row, end, bigWord);
+      }
+    } else if (classOf(buffer, row, from, bigWord) === 0) {
+      // White space, then the word after it
+      for (let i = 0; i < words; i++) {
+        end = runEnd(buffer, row, runEnd(buffer, row, end, bigWord), bigWord);
+      }
+    } else {
+      for (let i = 0; i < words; i++) {
+        end = runEnd(buffer, row, end, bigWord);
+        if (classOf(buffer, row, end, bigWord) === 0) {
+          end = runEnd(buffer, row, end, bigWord);
+        }
+      }
+      // Without white space after the word, take the white space before it
+      // (but not the indent)
+      if (!selection && classOf(buffer, row, end - 1, bigWord) !== 0) {
+        const indent = buffer.getFirstNonBlankCol(row);
+        while (start > indent && classOf(buffer, row, start - 1, bigWord) === 0) {
+          start--;
+        }
+      }
+    }
+
+    const startRow = selection ? selection.start.row : row;
+    return { start: { row: startRow, col: start }, end: { row, col: end }, linewise: false };
+  };
+}
+
+/**
+ * Flatten the buffer into one string so objects can span lines
+ * @returns {Object} - {text, offset(pos), position(offset)}
+ */
+function flatten(buffer) {
+  const lines = buffer.getContent();
+  const starts = [];
+  let total = 0;
+  lines.forEach(line => {
+    starts.push(total);
+    total += line.length + 1;
+  });
+
+  return {
+    text: lines.join('\n'),
+    offset: pos => starts[pos.row] + pos.col,
+    position: offset => {
+      let low = 0;
+      let high = starts.length - 1;
+      while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (starts[mid] <= offset) {
+          low = mid;
+        } else {
+          high = mid - 1;
+        }
+      }
+      return { row: low, col: offset - starts[low] };
+    }
+  };
+}
+
+/**
+ * Select sentences (is, as) within the cursor's paragraph. A sentence ends
+ * at ".", "!" or "?" (optionally followed by closing quotes or brackets)
+ * before white space or the end of the paragraph. "is" counts the white
+ * space between sentences as a sentence; "as" takes each sentence with the
+ * white space after it, or before it for the paragraph's last sentence.
+ */
+function sentenceObject(around) {
+  return (buffer, cursor, count, selection) => {
+    const pos = selection ? selection.start : cursor;
+    if (!buffer.getLine(pos.row).trim()) {
+      return null;
+    }
+
+    // The paragraph around the cursor, as one string
+    const isBlank = row => !buffer.getLine(row).trim();
+    let firstRow = pos.row;
+    while (firstRow > 0 && !isBlank(firstRow - 1)) {
+      firstRow--;
+    }
+    let lastRow = pos.row;
+    while (lastRow < buffer.getLineCount() - 1 && !isBlank(lastRow + 1)) {
+      lastRow++;
+    }
+    const lines = buffer.getLines(firstRow, lastRow);
+    const text = lines.join('\n');
+    const toPosition = offset => {
+      let row = firstRow;
+      let rest = offset;
+      while (rest > lines[row - firstRow].length) {
+        rest -= lines[row - firstRow].length + 1;
+        row++;
+      }
+      return { row, col: rest };
+    };
+    const toOffset = p => lines.slice(0, p.row - firstRow).reduce((sum, line) => sum + line.length + 1, 0) + p.col;
+
+    // Split into sentences and the white space between them
+    const pieces = [];
+    const leading = /^\s*/.exec(text)[0].length;
+    if (leading) {
+      pieces.push({ start: 0, end: leading, blank: true });
+    }
+    const sentence = /[^]*?(?:[.!?][)\]"']*(?=\s|$)|$)/g;
+    sentence.lastIndex = leading;
+    while (sentence.lastIndex < text.length) {
+      const start = sentence.lastIndex;
+      const match = sentence.exec(text);
+      const end = start + match[0].length;
+      pieces.push({ start, end, blank: false });
+      const space = /^\s*/.exec(text.slice(end))[0].length;
+      if (space) {
+        pieces.push({ start: end, end: end + space, blank: true });
+      }
+      sentence.lastIndex = end + space;
+      if (!match[0].length && !space) {
+        break;
+      }
+    }
+
+    const offset = toOffset(selection ? selection.end : cursor);
+    let index = pieces.findIndex(piece => offset >= piece.start && offset < piece.end);
+    if (index === -1) {
+      index = pieces.length - 1;
+    }
+    if (selection) {
+      // Grow the selection by the pieces after it
+      index = Math.min(index + 1, pieces.length - 1);
+    }
+
+    let first = index;
+    let last = index;
+    const wanted = count || 1;
+    if (!around) {
+      last = Math.min(pieces.length - 1, index + wanted - 1);
+    } else {
+      // Whole sentences, each with the white space after it
+      if (pieces[last].blank) {
+        last = Math.min(pieces.length - 1, last + 1);
+      }
+      for (let i = 1; i < wanted && last + 2 < pieces.length; i++) {
+        last += 2;
+      }
+      if (last + 1 < pieces.length && pieces[last + 1].blank) {
+        last++;
+      } else if (!pieces[first].blank && first > 0 && pieces[first - 1].blank) {
+        first--;
+      }
+    }
+
+    const start = selection ? { ...selection.start } : toPosition(pieces[first].start);
+    return { start, end: toPosition(pieces[last].end), linewise: false };
+  };
+}
+
+/**
+ * Select paragraphs (ip, ap), linewise. Blank lines separate paragraphs;
+ * "ip" counts a run of blank lines as a paragraph, "ap" takes each
+ * paragraph with the blank lines after it (or before it if there are none
+ * after).
+ */
+function paragraphObject(around) {
+  return (buffer, cursor, count, selection) => {
+    const lastRow = buffer.getLineCount() - 1;
+    const isBlank = row => !buffer.getLine(row).trim();
+    const runEndRow = row => {
+      let end = row;
+      while (end < lastRow && isBlank(end + 1) === isBlank(row)) {
+        end++;
+      }
+      return end;
+    };
+
+    let startRow = selection ? selection.end.row + 1 : cursor.row;
+    if (startRow > lastRow) {
+      return null;
+    }
+    if (!selection) {
+      while (startRow > 0 && isBlank(startRow - 1) === isBlank(cursor.row)) {
+        startRow--;
+      }
+    }
+
+    let endRow = startRow - 1;
+    const wanted = count || 1;
+    const blankFirst = isBlank(startRow);
+    for (let i = 0; i < wanted && endRow < lastRow; i++) {
+      endRow = runEndRow(endRow + 1);
+      if (around && endRow < lastRow && (blankFirst || !isBlank(endRow))) {
+        endRow = runEndRow(endRow + 1);
+      }
+    }
+
+    // "ap" at the end of the file takes the blank lines before the paragraph
+    if (around && !selection && !blankFirst && !isBlank(endRow)) {
+      while (startRow > 0 && isBlank(startRow - 1)) {
+        startRow--;
+      }
+    }
+
+    const start = selection ? selection.start.row : startRow;
+    return { start: { row: start, col: 0 }, end: { row: endRow, col: 0 }, linewise: true };
+  };
+}
+
+/**
+ * Select a quoted string on the cursor line (i", a"). Quotes pair up from
+ * the start of the line, skipping escaped ones; before the first pair the
+ * cursor selects that pair. "a" includes the quotes and the white space
+ * after them (or before them if there is none after); a count of 2 with
+ * "i" includes the quotes only.
+ */
+function quoteObject(quote, around) {
+  return (buffer, cursor, count, selection) => {
+    const row = cursor.row;
+    const line = buffer.getLine(row);
+    const quotes = [];
+    for (let col = 0; col < line.length; col++) {
+      if (line[col] === '\\') {
+        col++;
+      } else if (line[col] === quote) {
+        quotes.push(col);
+      }
+    }
+
+    let pair = null;
+    for (let i = 0; i + 1 < quotes.length; i += 2) {
+      if (cursor.col <= quotes[i + 1]) {
+        pair = [quotes[i], quotes[i + 1]];
+        break;
+      }
+    }
+    if (!pair) {
+      return null;
+    }
+
+    let [open, close] = pair;
+    if (!around) {
+      return count > 1
+        ? { start: { row, col: open }, end: { row, col: close + 1 }, linewise: false }
+        : { start: { row, col: open + 1 }, end: { row, col: close }, linewise: false };
+    }
+
+    let end = close + 1;
+    while (end < line.length && /[ \t]/.test(line[end])) {
+      end++;
+    }
+    if (end === close + 1) {
+      while (open > 0 && /[ \t]/.test(line[open - 1])) {
+        open--;
+      }
+    }
+    return { start: { row, col: open }, end: { row, col: end }, linewise: false };
+  };
+}
+
+/**
+ * Find the nearest opening bracket at or before an offset that isn't closed
+ * before it
+ * @returns {number} - Offset, or -1 if there is none
+ */
+function findUnmatchedOpen(text, from, openChar, closeChar) {
+  let depth = 0;
+  for (let offset = from; offset >= 0; offset--) {
+    if (text[offset] === closeChar) {
+      depth++;
+    } else if (text[offset] === openChar) {
+      if (depth === 0) {
+        return offset;
+      }
+      depth--;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Find the count'th pair of brackets around an offset; a bracket at the
+ * offset belongs to the first pair
+ * @returns {Array<number>|null} - [open, close] offsets
+ */
+function findBracketPair(text, offset, openChar, closeChar, count) {
+  let open = text[offset] === closeChar
+    ? findUnmatchedOpen(text, offset - 1, openChar, closeChar)
+    : findUnmatchedOpen(text, offset, openChar, closeChar);
+  for (let level = 1; level < count && open !== -1; level++) {
+    open = findUnmatchedOpen(text, open - 1, openChar, closeChar);
+  }
+  if (open === -1) {
+    return null;
+  }
+
+  let depth = 0;
+  for (let close = open + 1; close < text.length; close++) {
+    if (text[close] === openChar) {
+      depth++;
+    } else if (text[close] === closeChar) {
+      if (depth === 0) {
+        return [open, close];
+      }
+      depth--;
+    }
+  }
+  return null;
+}
+
+/**
+ * Select a bracket pair (i(, a(, ...), which may span lines. "a" includes
+ * the brackets. When the inside starts with a line break and the closing
+ * bracket has only indent before it, "i" selects the lines in between.
+ * A count selects the count'th enclosing pair.
+ */
+function bracketObject(openChar, closeChar, around) {
+  return (buffer, cursor, count, selection) => {
+    const flat = flatten(buffer);
+    const offset = flat.offset(selection ? selection.start : cursor);
+    const selectionEnd = selection ? flat.offset(selection.end) : offset;
+
+    for (let level = count || 1; level < (count || 1) + MAX_LEVELS; level++) {
+      const pair = findBracketPair(flat.text, offset, openChar, closeChar, level);
+      if (!pair) {
+        return null;
+      }
+      const range = bracketRange(buffer, flat, pair, around);
+      const start = flat.offset(range.start);
+      const end = range.linewise ? flat.offset({ row: range.end.row + 1, col: 0 }) - 1 : flat.offset(range.end);
+      // In visual mode, look further out until the selection grows
+      if (!selection || start < offset || end - 1 > selectionEnd) {
+        return range;
+      }
+    }
+    return null;
+  };
+}
+
+/**
+ * Turn bracket offsets into a range
+ */
+function bracketRange(buffer, flat, [open, close], around) {
+  if (around) {
+    return { start: flat.position(open), end: flat.position(close + 1), linewise: false };
+  }
+
+  const start = flat.position(open + 1);
+  const end = flat.position(close);
+  const startsLine = start.col === buffer.getLine(start.row).length && start.row < end.row;
+  const closeIndented = !buffer.getLine(end.row).slice(0, end.col).trim();
+  if (startsLine && closeIndented && end.row - start.row > 1) {
+    return { start: { row: start.row + 1, col: 0 }, end: { row: end.row - 1, col: 0 }, linewise: true };
+  }
+  if (startsLine) {
+    return { start: { row: start.row + 1, col: 0 }, end, linewise: false };
+  }
+  return { start, end, linewise: false };
+}
+
+/**
+ * Select an HTML/XML tag pair (it, at), which may span lines. "at" includes
+ * the tags. Self-closing tags are skipped and unmatched tags ignored.
+ */
+function tagObject(around) {
+  return (buffer, cursor, count, selection) => {
+    const flat = flatten(buffer);
+    const offset = flat.offset(selection ? selection.start : cursor);
+    const selectionEnd = selection ? flat.offset(selection.end) : offset;
+
+    // Pair up the tags
+    const pairs = [];
+    const stack = [];
+    const tag = /<(\/?)([A-Za-z][\w:.-]*)(?:\s[^<>]*?)?(\/?)>/g;
+    let match;
+    while ((match = tag.exec(flat.text))) {
+      const [text, closing, name, selfClosing] = match;
+      if (selfClosing) {
+        continue;
+      }
+      if (!closing) {
+        stack.push({ name, start: match.index, end: match.index + text.length });
+        continue;
+      }
+      const index = stack.map(open => open.name).lastIndexOf(name);
+      if (index !== -1) {
+        const open = stack[index];
+        stack.length = index;
+        pairs.push({ openStart: open.start, openEnd: open.end, closeStart: match.index, closeEnd: match.index + text.length });
+      }
+    }
+
+    // Innermost pairs first
+    const enclosing = pairs
+      .filter(pair => pair.openStart <= offset && offset < pair.closeEnd)
+      .sort((a, b) => (a.closeEnd - a.openStart) - (b.closeEnd - b.openStart));
+
+    for (let level = (count || 1) - 1; level < enclosing.length; level++) {
+      const pair = enclosing[level];
+      const start = around ? pair.openStart : pair.openEnd;
+      const end = around ? pair.closeEnd : pair.closeStart;
+      if (!selection || start < offset || end - 1 > selectionEnd) {
+        return { start: flat.position(start), end: flat.position(end), linewise: false };
+      }
+    }
+    return null;
+  };
+}
+
+const TEXT_OBJECTS = {
+  'iw': { select: wordObject(false, false) },
+  'aw': { select: wordObject(true, false) },
+  'iW': { select: wordObject(false, true) },
+  'aW': { select: wordObject(true, true) },
+  'is': { select: sentenceObject(false) },
+  'as': { select: sentenceObject(true) },
+  'ip': { select: paragraphObject(false) },
+  'ap': { select: paragraphObject(true) },
+  'it': { select: tagObject(false) },
+  'at': { select: tagObject(true) }
+};
+
+['"', "'", '`'].forEach(quote => {
+  TEXT_OBJECTS[`i${quote}`] = { select: quoteObject(quote, false) };
+  TEXT_OBJECTS[`a${quote}`] = { select: quoteObject(quote, true) };
+});
+
+Object.entries(BRACKETS).forEach(([key, [openChar, closeChar]]) => {
+  TEXT_OBJECTS[`i${key}`] = { select: bracketObject(openChar, closeChar, false) };
+  TEXT_OBJECTS[`a${key}`] = { select: bracketObject(openChar, closeChar, true) };
+});
+
+module.exports = {
+  TEXT_OBJECTS
+};
@@ -0,0 +1,111 @@
+/**
+ * UndoTree class keeps the history of buffer states as a tree, so that
+ * making a change after undoing starts a new branch instead of discarding
+ * the undone states
+ */
+class UndoTree {
+  /**
+   * Create a new UndoTree
+   * @param {*} initialState - Snapshot of the buffer before any change
+   */
+  constructor(initialState) {
+    this.sequence = 0;
+    this.root = this.createNode(initialState, null, null, []);
+    this.current = this.root;
+  }
+
+  /**
+   * Create a tree node
+   * @param {*} state - Buffer snapshot after the change
+   * @param {Object|null} cursorBefore - Cursor position before the change
+   * @param {Object|null} cursorAfter - Cursor position after the change
+   * @param {Array<Object>} rowMaps - How the change moved tracked rows
+   * @returns {Object} - Node
+   */
+  createNode(state, cursorBefore, cursorAfter, rowMaps) {
+    return {
+      seq: this.sequence++,
+      state,
+      cursorBefore,
+      cursorAfter,
+      rowMaps,
+      parent: null,
+      children: [],
+      // Child to follow on redo: the one created or undone most recently
+      redoChild: null,
+      time: Date.now()
+    };
+  }
+
+  /**
+   * Record a new change as a child of the current state
+   * @param {*} state - Buffer snapshot after the change
+   * @param {Object} cursorBefore - Cursor position before the change
+   * @param {Object} cursorAfter - Cursor position after the change
+   * @param {Array<Object>} rowMaps - How the change moved tracked rows
+   * @returns {Object} - The new node
+   */
+  record(state, cursorBefore, cursorAfter, rowMaps = []) {
+    const node = this.createNode(state, cursorBefore, cursorAfter, rowMaps);
+    node.parent = this.current;
+    this.current.children.push(node);
+    this.current.redoChild = node;
+    this.current = node;
+    return node;
+  }
+
+  /**
+   * Step back to the parent state
+   * @returns {Object|null} - The node that was undone, or null at the oldest change
+   */
+  undo() {
+    if (!this.current.parent) {
+      return null;
+    }
+
+    const undone = this.current;
+    this.current = undone.parent;
+    this.current.redoChild = undone;
+    return undone;
+  }
+
+  /**
+   * Step forward along the most recently used branch
+   * @returns {Object|null} - The node that was redone, or null at the newest change
+   */
+  redo() {
+    const next = this.current.redoChild;
+    if (!next) {
+      return null;
+    }
+
+    this.current = next;
+    return next;
+  }
+
+  /**
+   * Get the state the buffer should currently hold
+   * @returns {*} - Buffer snapshot
+   */
+  getState() {
+    return this.current.state;
+  }
+
+  /**
+   * Check whether there is anything to undo
+   * @returns {boolean}
+   */
+  canUndo() {
+    return this.current.parent !== null;
+  }
+
+  /**
+   * Check whether there is anything to redo
+   * @returns {boolean}
+   */
+  canRedo() {
+    return this.current.redoChild !== null;
+  }
+}
+
+module.exports = UndoTree;
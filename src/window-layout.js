@@ -0,0 +1,244 @@
+/**
+ * WindowLayout class tiles windows over the editing area. The layout is a
+ * tree: leaves hold a window, containers stack their children in a column
+ * (after :split) or a row (after :vsplit) and share the space by weight.
+ * A split halves the space of the window being split; Ctrl-W = gives every
+ * window an equal share again.
+ */
+class WindowLayout {
+  /**
+   * Create a new WindowLayout
+   * @param {Window} window - The first window
+   */
+  constructor(window) {
+    this.root = { window };
+    this.current = window; // Window being edited
+  }
+
+  /**
+   * Get all windows, from top-left to bottom-right
+   * @returns {Array<Window>}
+   */
+  getWindows() {
+    const windows = [];
+    const visit = (node) => {
+      if (node.window) {
+        windows.push(node.window);
+      } else {
+        node.children.forEach(visit);
+      }
+    };
+    visit(this.root);
+    return windows;
+  }
+
+  /**
+   * Find the container holding a window's leaf
+   * @param {Window} window - Window
+   * @returns {Object|null} - {node, parent, index}, parent null for the root leaf
+   */
+  findLeaf(window) {
+    const search = (node, parent, index) => {
+      if (node.window === window) {
+        return { node, parent, index };
+      }
+      if (!node.children) {
+        return null;
+      }
+      for (let i = 0; i < node.children.length; i++) {
+        const found = search(node.children[i], node, i);
+        if (found) {
+          return found;
+        }
+      }
+      return null;
+    };
+    return search(this.root, null, -1);
+  }
+
+  /**
+   * Split a window, putting a new window above it (column) or to its left (row)
+   * @param {Window} window - Window to split
+   * @param {Window} newWindow - Window to add
+   * @param {string} direction - 'column' or 'row'
+   */
+  split(window, newWindow, direction) {
+    const { parent, index } = this.findLeaf(window);
+    const newLeaf = { window: newWindow };
+
+    if (parent && parent.direction === direction) {
+      // Share the window's space within the container it's already in
+      const half = parent.weights[index] / 2;
+      parent.children.splice(index, 0, newLeaf);
+      parent.weights.splice(index, 1, half, half);
+      return;
+    }
+
+    const container = { direction, children: [newLeaf, { window }], weights: [1, 1] };
+    if (parent) {
+      parent.children[index] = container;
+    } else {
+      this.root = container;
+    }
+  }
+
+  /**
+   * Remove a window; its space goes to the window before it (or after it)
+   * @param {Window} window - Window to remove
+   * @returns {boolean} - False for the last window, which can't be removed
+   */
+  close(window) {
+    const { parent, index } = this.findLeaf(window);
+    if (!parent) {
+      return false;
+    }
+
+    const neighbor = index > 0 ? index - 1 : 1;
+    parent.weights[neighbor] += parent.weights[index];
+    parent.children.splice(index, 1);
+    parent.weights.splice(index, 1);
+    const heir = parent.children[Math.max(0, index - 1)];
+
+    // A container left with one child is replaced by that child
+    if (parent.children.length === 1) {
+      const [child] = parent.children;
+      const grand = this.findContainerParent(parent);
+      if (grand) {
+        grand.parent.children[grand.index] = child;
+      } else {
+        this.root = child;
+      }
+    }
+
+    // The window that took over the space becomes current
+    if (this.current === window) {
+      let node = heir;
+      while (node.children) {
+        node = node.children[0];
+      }
+      this.current = node.window;
+    }
+    return true;
+  }
+
+  /**
+   * Find the container holding another container
+   * @param {Object} container - Container node
+   * @returns {Object|null} - {parent, index}, or null for the root
+   */
+  findContainerParent(container) {
+    const search = (node) => {
+      if (!node.children) {
+        return null;
+      }
+      const index = node.children.indexOf(container);
+      if (index !== -1) {
+        return { parent: node, index };
+      }
+      for (const child of node.children) {
+        const found = search(child);
+        if (found) {
+          return found;
+        }
+      }
+      return null;
+    };
+    return search(this.root);
+  }
+
+  /**
+   * Remove every window except one
+   * @param {Window} window - Window to keep
+   * @returns {Array<Window>} - Removed windows
+   */
+  only(window) {
+    const removed = this.getWindows().filter(other => other !== window);
+    this.root = { window };
+    this.current = window;
+    return removed;
+  }
+
+  /**
+   * Give all windows an equal share of their container
+   */
+  equalize() {
+    const visit = (node) => {
+      if (node.children) {
+        node.weights = node.children.map(() => 1);
+        node.children.forEach(visit);
+      }
+    };
+    visit(this.root);
+  }
+
+  /**
+   * Work out the screen area of every window
+   * @param {Object} area - {top, left, width, height} to fill
+   */
+  layout(area) {
+    const place = (node, rect) => {
+      if (node.window) {
+        node.window.rect = rect;
+        return;
+      }
+
+      const vertical = node.direction === 'column';
+      const sizes = distribute(vertical ? rect.height : rect.width, node.weights);
+      let offset = vertical ? rect.top : rect.left;
+      node.children.forEach((child, i) => {
+        place(child, vertical
+          ? { top: offset, left: rect.left, width: rect.width, height: sizes[i] }
+          : { top: rect.top, left: offset, width: sizes[i], height: rect.height });
+        offset += sizes[i];
+      });
+    };
+    place(this.root, area);
+  }
+
+  /**
+   * Find the window next to another one (Ctrl-W h/j/k/l). When several
+   * windows border it, the one level with the cursor wins.
+   * @param {Window} window - Window to start from
+   * @param {string} direction - 'h', 'j', 'k' or 'l'
+   * @param {Object} position - Screen position of the cursor {row, col}
+   * @returns {Window|null}
+   */
+  findNeighbor(window, direction, position) {
+    const { top, left, width, height } = window.rect;
+    const horizontal = direction === 'h' || direction === 'l';
+    const candidates = this.getWindows().filter(other => {
+      const r = other.rect;
+      switch (direction) {
+        case 'h': return r.left + r.width === left && r.top < top + height && r.top + r.height > top;
+        case 'l': return r.left === left + width && r.top < top + height && r.top + r.height > top;
+        case 'k': return r.top + r.height === top && r.left < left + width && r.left + r.width > left;
+        case 'j': return r.top === top + height && r.left < left + width && r.left + r.width > left;
+        default: return false;
+      }
+    });
+
+    const level = candidates.find(other => (horizontal
+      ? position.row >= other.rect.top && position.row < other.rect.top + other.rect.height
+      : position.col >= other.rect.left && position.col < other.rect.left + other.rect.width));
+    return level || candidates[0] || null;
+  }
+}
+
+/**
+ * Split a length into integer sizes by weight, handing the remainder to the
+ * first parts
+ * @param {number} total - Length to split
+ * @param {Array<number>} weights - Weights
+ * @returns {Array<number>}
+ */
+function distribute(total, weights) {
+  const sum = weights.reduce((a, b) => a + b, 0);
+  const sizes = weights.map(weight => Math.floor(total * weight / sum));
+  let remainder = total - sizes.reduce((a, b) => a + b, 0);
+  for (let i = 0; remainder > 0; i = (i + 1) % sizes.length, remainder--) {
+    sizes[i]++;
+  }
+  return sizes;
+}
+
+module.exports = WindowLayout;
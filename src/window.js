@@ -0,0 +1,59 @@
+const JumpList = require('./jump-list');
+
+/**
+ * Window class is a viewport onto a buffer. Several windows can show the
+ * same buffer, each with its own cursor and scroll position.
+ *
+ * The window being edited keeps its cursor in the buffer itself (where all
+ * editing commands look for it); the cursor stored here is only used while
+ * the window isn't the current one.
+ */
+class Window {
+  /**
+   * Create a new Window
+   * @param {Object} entry - Buffer list entry to show
+   */
+  constructor(entry) {
+    this.entry = entry;
+    this.cursor = entry.buffer.getCursor();
+    this.scrollTop = 0;    // First buffer row shown
+    this.leftCol = 0;      // First column shown when lines don't wrap
+    this.rect = null;      // Screen area {top, left, width, height}, set by the layout
+    this.box = null;       // blessed box the text is drawn in
+    this.statusBox = null; // blessed box for the window's status line
+    this.drawnRows = null; // Rows drawn last time, reused by the next render
+    this.jumpList = new JumpList(); // Positions for Ctrl-O / Ctrl-I
+  }
+
+  /**
+   * Get the buffer shown in the window
+   * @returns {TextBuffer}
+   */
+  getBuffer() {
+    return this.entry.buffer;
+  }
+
+  /**
+   * Show another buffer in the window
+   * @param {Object} entry - Buffer list entry
+   */
+  setEntry(entry) {
+    this.entry = entry;
+    this.cursor = entry.buffer.getCursor();
+    this.scrollTop = 0;
+    this.leftCol = 0;
+  }
+
+  /**
+   * Copy the position and jump list of another window (for a new split)
+   * @param {Window} other - Window to copy
+   */
+  copyView(other) {
+    this.cursor = { ...other.cursor };
+    this.scrollTop = other.scrollTop;
+    this.leftCol = other.leftCol;
+    this.jumpList = other.jumpList.clone();
+  }
+}
+
+module.exports = Window;
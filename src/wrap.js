@@ -0,0 +1,71 @@
+/**
+ * Soft wrapping of long lines. A line wider than the window is shown on
+ * several display lines, each a segment {start, end} of the line's text
+ * (end exclusive). With linebreak, lines break after a space or punctuation
+ * (Vim's 'breakat') rather than in the middle of a word. A character that
+ * doesn't fit at the end of a display line, like a wide one in the last
+ * column, goes on the next.
+ */
+const { getCells, displayWidth } = require('./display-width');
+
+// Characters a line may break after with linebreak
+const BREAK_AT = new Set([' ', '\t', '!', '@', '*', '-', '+', ';', ':', ',', '.', '/', '?']);
+
+/**
+ * Split a line into the segments it is shown on
+ * @param {string} line - Line text
+ * @param {number} width - Columns per display line
+ * @param {boolean} linebreak - Break at word boundaries where possible
+ * @param {number} tabStop - Columns per tab
+ * @returns {Array<Object>} - Segments {start, end}; an empty line has one
+ */
+function wrapLine(line, width, linebreak = false, tabStop = 8) {
+  if (displayWidth(line, tabStop) <= width) {
+    return [{ start: 0, end: line.length }];
+  }
+  const cells = getCells(line, tabStop);
+  const segments = [];
+  let first = 0; // Cell the display line starts with
+  for (;;) {
+    const startCol = first < cells.length ? cells[first].col : 0;
+    // Each display line takes at least one character
+    let next = first + 1;
+    while (next < cells.length && cells[next].col + cells[next].width <= startCol + width) {
+      next++;
+    }
+    if (next >= cells.length) {
+      break;
+    }
+    if (linebreak) {
+      let breakAt = next;
+      while (breakAt > first && !BREAK_AT.has(cells[breakAt - 1].text)) {
+        breakAt--;
+      }
+      // A word longer than the line still breaks in the middle
+      if (breakAt > first) {
+        next = breakAt;
+      }
+    }
+    segments.push({ start: cells[first].index, end: cells[next].index });
+    first = next;
+  }
+  segments.push({ start: first < cells.length ? cells[first].index : 0, end: line.length });
+  return segments;
+}
+
+/**
+ * Find the segment a column is shown in; a column past the end of the line
+ * (the cursor in insert mode) is in the last one
+ * @param {Array<Object>} segments - Segments from wrapLine
+ * @param {number} col - Column in the line
+ * @returns {number} - Index of the segment
+ */
+function findSegment(segments, col) {
+  const index = segments.findIndex(segment => col < segment.end);
+  return index < 0 ? segments.length - 1 : index;
+}
+
+module.exports = {
+  wrapLine,
+  findSegment
+};
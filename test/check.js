@@ -0,0 +1,22 @@
+/**
+ * Check helper shared by the tests. A failed check prints ✗ and makes the
+ * test exit with status 1, so a failing run can be told from a passing one.
+ */
+
+/**
+ * Compare a value with the one expected and print the result
+ * @param {string} label - What is checked
+ * @param {*} actual - Value found
+ * @param {*} expected - Value expected, compared as JSON
+ * @returns {boolean} - Whether they match
+ */
+function check(label, actual, expected) {
+  const ok = JSON.stringify(actual) === JSON.stringify(expected);
+  console.log(`${label}: ${ok ? '✓' : '✗'}${ok ? '' : ` (got ${JSON.stringify(actual)})`}`);
+  if (!ok) {
+    process.exitCode = 1;
+  }
+  return ok;
+}
+
+module.exports = check;
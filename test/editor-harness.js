@@ -0,0 +1,68 @@
+/**
+ * Editor harness shared by the tests that type keys. The editor draws on a
+ * blessed screen that writes nowhere, and keys reach it through the screen's
+ * input as a terminal sends them, so counts, macros and prompts work as typed.
+ */
+const { PassThrough, Writable } = require('stream');
+const blessed = require('blessed');
+const Editor = require('../src/editor');
+const StatusLine = require('../src/status-line');
+
+// One key as a terminal sends it: an escape sequence or a character
+const KEY = /\x1b\[[0-9;]*[~A-Za-z]|\x1bO[A-Z]|[\s\S]/gu;
+
+/**
+ * Create an editor on a screen of its own, set up as start() does without
+ * the welcome animation and the cursor blink
+ * @param {string} content - Buffer text
+ * @param {Object} options - {filename, width, height} of the screen
+ * @returns {Editor}
+ */
+function createEditor(content, { filename = 'untitled.txt', width = 80, height = 24 } = {}) {
+  const input = new PassThrough();
+  input.isTTY = true;
+  input.setRawMode = () => {};
+  const output = new Writable({ write: (chunk, encoding, callback) => callback() });
+  output.isTTY = true;
+  output.columns = width;
+  output.rows = height;
+
+  const editor = new Editor({ filename, content });
+  editor.screen = blessed.screen({ input, output, terminal: 'xterm-256color', fullUnicode: true, warnings: false });
+  editor.contentBox = editor.createWindowBox();
+  editor.layout.current.box = editor.contentBox;
+  editor.statusLine = new StatusLine(editor.screen);
+  editor.screen.append(editor.contentBox);
+  editor.tabline = blessed.box({ top: 0, left: 0, right: 0, height: 1, hidden: true });
+  editor.screen.append(editor.tabline);
+  editor.setupKeyHandlers();
+  editor.render();
+  return editor;
+}
+
+/**
+ * Type keys, one at a time, each handled before the next is sent
+ * @param {Editor} editor - Editor from createEditor
+ * @param {string} keys - Keys as a terminal sends them ("\x1b" for <Esc>)
+ */
+async function typeKeys(editor, keys) {
+  for (const key of keys.match(KEY) || []) {
+    editor.screen.program.input.write(key);
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+/**
+ * Take an editor's screen down, with the timer of the message it shows
+ * @param {Editor} editor - Editor from createEditor
+ */
+function closeEditor(editor) {
+  editor.statusLine.clearMessage();
+  editor.screen.destroy();
+}
+
+module.exports = {
+  createEditor,
+  typeKeys,
+  closeEditor
+};
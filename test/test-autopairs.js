@@ -0,0 +1,18 @@
+/**
+ * Simple test for auto-pairing rules
+ */
+const { getClosing, skipsClosing, isEmptyPair } = require('../src/autopairs');
+const check = require('./check');
+
+check('bracket', getClosing('(', 'f', '', 'javascript'), ')');
+check('before closing', getClosing('[', '', ')', 'javascript'), ']');
+check('before word', getClosing('(', '', 'x', 'javascript'), null);
+check('quote after word', getClosing('"', 'a', '', 'javascript'), null);
+check('escaped', getClosing('"', '\\', '', 'javascript'), null);
+check('rust lifetime', getClosing("'", '&', '', 'rust'), null);
+check('markdown apostrophe', getClosing("'", ' ', '', 'markdown'), null);
+check('plain text', getClosing("'", '', '', null), null);
+check('skip closing', skipsClosing(')', ')', 'javascript'), true);
+check('no skip in rust', skipsClosing("'", "'", 'rust'), false);
+check('empty pair', isEmptyPair('{', '}'), true);
+check('not a pair', isEmptyPair('(', ']'), false);
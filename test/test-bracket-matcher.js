@@ -0,0 +1,33 @@
+/**
+ * Simple test for bracket matching
+ */
+const TextBuffer = require('../src/text-buffer');
+const SyntaxHighlighter = require('../src/enhanced-syntax-highlighter');
+const BracketMatcher = require('../src/bracket-matcher');
+const check = require('./check');
+
+const matcher = new BracketMatcher(new SyntaxHighlighter());
+const analyze = (content, language = 'javascript') => {
+  const buffer = new TextBuffer('untitled', content);
+  return matcher.analyze(buffer, language, 0, buffer.getLineCount() - 1);
+};
+
+const code = analyze('f(a, ")", g[1]) // (\n{\n}');
+check('match skips strings and comments', code.matches.get('0:1'), { row: 0, col: 14 });
+check('match across lines', code.matches.get('2:0'), { row: 1, col: 0 });
+check('nothing unmatched', [...code.unmatched], []);
+check('interpolation is code', analyze('`${f(")")}`').matches.get('0:4'), { row: 0, col: 8 });
+check('broken nesting', [...analyze('{ ( }').unmatched], [[0, [2]]]);
+check('unclosed and unopened', [...analyze('a)\n[').unmatched], [[0, [1]], [1, [0]]]);
+check('prose', [...analyze('1) item', 'markdown').unmatched], []);
+
+// Far outside the view, an open bracket may be closed past the range searched
+const long = new TextBuffer('untitled', `{\n${'x\n'.repeat(2000)}`);
+check('open beyond range', [...matcher.analyze(long, 'javascript', 0, 10).unmatched], []);
+check('range reaching the end', [...matcher.analyze(long, 'javascript', 0, 1600).unmatched], [[0, [0]]]);
+
+// Strings and comments spanning lines hide their brackets on every line
+const spanning = analyze('/*\n  example: f(\n*/\nconst s = `\n  (\n`;\ng(`${h(\n)}`)');
+check('multi-line comment and string', [...spanning.unmatched], []);
+check('interpolation across lines', spanning.matches.get('6:6'), { row: 7, col: 0 });
+check('code after a comment closes', [...analyze('/* (\n*/ )').unmatched], [[1, [3]]]);
@@ -0,0 +1,31 @@
+/**
+ * Simple test for the buffer list
+ */
+const TextBuffer = require('../src/text-buffer');
+const BufferList = require('../src/buffer-list');
+const check = require('./check');
+
+const buffers = new BufferList();
+const [a, b, c] = ['a.txt', 'b.txt', 'c.txt'].map(name => buffers.add(new TextBuffer(name, '')));
+const numbers = (entries) => entries.map(entry => entry && entry.number);
+
+// :bn and :bp wrap around the list
+check('first added is current', buffers.current.number, 1);
+check('next', numbers([buffers.getRelative(1), buffers.getRelative(2)]), [2, 3]);
+check('next wraps', buffers.getRelative(3).number, 1);
+check('previous wraps', numbers([buffers.getRelative(-1), buffers.getRelative(-4)]), [3, 3]);
+buffers.setCurrent(c);
+check('next from last wraps', buffers.getRelative(1).number, 1);
+check('alternate', buffers.alternate, a);
+
+// :bd goes to the alternate buffer, or else the one after
+check('replaced by alternate', buffers.getReplacement(c), a);
+buffers.setCurrent(b);
+check('replaced by next', numbers([buffers.getReplacement(a), buffers.getReplacement(c)]), [3, 1]);
+buffers.setCurrent(c);
+buffers.remove(b);
+check('alternate removed', buffers.alternate, null);
+check('last wraps to first', buffers.getReplacement(c), a);
+check('numbers stay', numbers(buffers.list()), [1, 3]);
+buffers.remove(a);
+check('only buffer', buffers.getReplacement(c), null);
@@ -0,0 +1,16 @@
+/**
+ * Simple test for display widths
+ */
+const { getCells, displayWidth, indexToColumn, columnToIndex, nextCharIndex, prevCharIndex } = require('../src/display-width');
+const check = require('./check');
+
+check('tab', displayWidth('ab\tc', 4), 5);
+check('wide', displayWidth('日本', 8), 4);
+check('emoji', displayWidth('a😀', 8), 3);
+check('combining', getCells('éx', 8).map(cell => [cell.index, cell.col]), [[0, 0], [2, 1]]);
+check('control', displayWidth('\x01', 8), 2);
+check('index to column', indexToColumn('\t日x', 2, 8), 10);
+check('column to index', columnToIndex('\t日x', 9, 8), 1);
+check('past the end', columnToIndex('日', 5, 8), 1);
+check('next over surrogate', nextCharIndex('😀a', 0), 2);
+check('prev over surrogate', prevCharIndex('a😀', 3), 1);
@@ -0,0 +1,49 @@
+/**
+ * Simple test for repeating changes with "." and counts on inserts
+ */
+const { createEditor, typeKeys, closeEditor } = require('./editor-harness');
+const check = require('./check');
+
+// Buffer lines after typing keys, or running functions on the editor
+// between them
+const afterKeys = async (content, ...steps) => {
+  const editor = createEditor(content);
+  for (const step of steps) {
+    if (typeof step === 'function') {
+      step(editor);
+    } else {
+      await typeKeys(editor, step);
+    }
+  }
+  const lines = editor.buffer.getContent();
+  closeEditor(editor);
+  return lines;
+};
+
+// Offer an AI suggestion, as the preview does once one comes back
+const suggest = text => editor => {
+  editor.aiPreviewSuggestion = text;
+};
+
+(async () => {
+  console.log('Testing repeats:');
+  check('change word', await afterKeys('a b c', 'cwz\x1bw.w.'), ['z z z']);
+  check('delete line', await afterKeys('1\n2\n3\n4', 'dd.'), ['3', '4']);
+  check('new count', await afterKeys('1\n2\n3\n4\n5', 'dd2.'), ['4', '5']);
+  check('insert', await afterKeys('a\nb', 'ix\x1bj0.'), ['xa', 'xb']);
+  check('auto-pairs typed again', await afterKeys('a\nb', 'A(\x1bj.'), ['a()', 'b()']);
+
+  console.log('\nTesting accepted AI suggestions:');
+  check('put back as text', await afterKeys('a\nb', 'i', suggest('(x) {'), '\t\x1bj0.'), ['(x) {a', '(x) {b']);
+  check('with typed text', await afterKeys('a\nb', 'ix', suggest('yz'), '\tw\x1bj0.'), ['xyzwa', 'xyzwb']);
+
+  console.log('\nTesting counts on inserts:');
+  check('i', await afterKeys('x', '3ia\x1b'), ['aaax']);
+  check('A', await afterKeys('x', '2Aab\x1b'), ['xabab']);
+  check('I', await afterKeys('  x', '2Iy\x1b'), ['  yyx']);
+  check('o', await afterKeys('x', '2oy\x1b'), ['x', 'y', 'y']);
+  check('O', await afterKeys('x', '2Oy\x1b'), ['y', 'y', 'x']);
+  check('. keeps the count', await afterKeys('x', '3ia\x1b.'), ['aaaaaax']);
+  check('. with a new count', await afterKeys('x', '3ia\x1b2.'), ['aaaaax']);
+  check('o repeated', await afterKeys('x', '2oy\x1b.'), ['x', 'y', 'y', 'y', 'y']);
+})();
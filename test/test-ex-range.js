@@ -0,0 +1,47 @@
+/**
+ * Simple test for Ex range parsing
+ */
+const { parseRange } = require('../src/ex-range');
+const check = require('./check');
+
+const lines = ['one', 'two', 'three', 'four', 'five'];
+const context = {
+  currentRow: 1,
+  lastRow: lines.length - 1,
+  getMark: name => ({ '<': 1, '>': 3 })[name] ?? null,
+  searchLine: (pattern, fromRow, backward) => {
+    for (let i = 1; i <= lines.length; i++) {
+      const row = (fromRow + (backward ? -i : i) + lines.length) % lines.length;
+      if (new RegExp(pattern).test(lines[row])) {
+        return row;
+      }
+    }
+    return null;
+  }
+};
+const parse = commandStr => parseRange(commandStr, context);
+const parseError = commandStr => {
+  try {
+    parse(commandStr);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+console.log('Testing Ex ranges:');
+check('no range', parse('s/a/b/'), { range: null, rest: 's/a/b/' });
+check('line number', parse('3'), { range: { start: 2, end: 2 }, rest: '' });
+check('two lines', parse('2,4d'), { range: { start: 1, end: 3 }, rest: 'd' });
+check('whole file', parse('%s/a/b/'), { range: { start: 0, end: 4 }, rest: 's/a/b/' });
+check('current to last', parse('.,$s'), { range: { start: 1, end: 4 }, rest: 's' });
+check('offset', parse('.,+2s'), { range: { start: 1, end: 3 }, rest: 's' });
+check('offset alone', parse('-s'), { range: { start: 0, end: 0 }, rest: 's' });
+check('visual marks', parse("'<,'>s"), { range: { start: 1, end: 3 }, rest: 's' });
+check('pattern', parse('/fi/s'), { range: { start: 4, end: 4 }, rest: 's' });
+check('backward pattern', parse('?one?,.s'), { range: { start: 0, end: 1 }, rest: 's' });
+check('semicolon', parse('4;+1s'), { range: { start: 3, end: 4 }, rest: 's' });
+check('backwards range swapped', parse('4,2s'), { range: { start: 1, end: 3 }, rest: 's' });
+check('out of range', parseError('1,9s'), 'Invalid range');
+check('unset mark', parseError("'a,.s"), 'Mark not set: a');
+check('no match', parseError('/zzz/s'), 'Pattern not found: zzz');
@@ -0,0 +1,65 @@
+/**
+ * Simple test for folds
+ */
+const TextBuffer = require('../src/text-buffer');
+const SyntaxHighlighter = require('../src/enhanced-syntax-highlighter');
+const BracketMatcher = require('../src/bracket-matcher');
+const { Folds } = require('../src/folds');
+const check = require('./check');
+
+const matcher = new BracketMatcher(new SyntaxHighlighter());
+const settings = { method: 'manual', shiftWidth: 2, tabStop: 8 };
+const makeFolds = (content) => {
+  const buffer = new TextBuffer('untitled', content);
+  const folds = new Folds(buffer, {
+    getSettings: () => settings,
+    getIndentWidth: (indent) => indent.length,
+    scanLine: (line, state) => matcher.scanLine(line, 'javascript', state)
+  });
+  return { buffer, folds };
+};
+const ranges = (folds) => folds.map(fold => [fold.start, fold.end, fold.level]);
+
+const manual = makeFolds('a\nb\nc\nd\ne');
+manual.folds.create(1, 3);
+manual.folds.create(2, 3);
+check('manual nesting', ranges(manual.folds.getFolds()), [[1, 3, 1], [2, 3, 2]]);
+check('closed fold at row', ranges([manual.folds.getClosedFold(3)]), [[1, 3, 1]]);
+manual.buffer.insertLines(0, ['new']);
+check('manual follows lines', ranges(manual.folds.getClosedFolds()), [[2, 4, 1]]);
+manual.folds.open(2);
+check('open shows inner fold', ranges(manual.folds.getClosedFolds()), [[3, 4, 2]]);
+
+settings.method = 'indent';
+const indent = makeFolds('a\n  b\n\n  c\n    d\ne');
+check('indent', ranges(indent.folds.getFolds()), [[1, 4, 1]]);
+check('no manual folds', indent.folds.create(0, 1), false);
+
+settings.method = 'marker';
+check('marker', ranges(makeFolds('a {{{\nb {{{\nc }}}\nd').folds.getFolds()), [[0, 3, 1], [1, 2, 2]]);
+
+settings.method = 'syntax';
+const syntax = makeFolds('f({\n  s: "}",\n}) // {\nx');
+check('syntax', ranges(syntax.folds.getFolds()), [[0, 2, 1]]);
+check('syntax skips multi-line comments', ranges(makeFolds('/* {\n*/\nf(\n)').folds.getFolds()), [[2, 3, 1]]);
+syntax.folds.setAllClosed(true);
+check('close all', ranges(syntax.folds.getClosedFolds()), [[0, 2, 1]]);
+
+// After an edit only the lines from the change on are scanned again
+const rescanned = (method, content, edit) => {
+  settings.method = method;
+  const { buffer, folds } = makeFolds(content);
+  folds.getFolds();
+  edit(buffer);
+  return [ranges(folds.getFolds()), ranges(makeFolds(buffer.getContent().join('\n')).folds.getFolds())];
+};
+const blocks = Array.from({ length: 200 }, (_, i) => ['f() { // {{{', '  if (x) {', '', '    y', '  }', '} // }}}'][i % 6]).join('\n');
+const [indentEdited, indentFresh] = rescanned('indent', blocks, (buffer) => {
+  buffer.insertLines(3, ['      z', '']);
+  buffer.deleteLines(150, 160);
+});
+check('indent after edits', indentEdited, indentFresh);
+const [markerEdited, markerFresh] = rescanned('marker', blocks, (buffer) => buffer.replaceLines(5, 5, ['}']));
+check('marker after edits', markerEdited, markerFresh);
+const [syntaxEdited, syntaxFresh] = rescanned('syntax', blocks, (buffer) => buffer.insertLines(1, ['/*']));
+check('syntax after opening a comment', syntaxEdited, syntaxFresh);
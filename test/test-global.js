@@ -0,0 +1,44 @@
+/**
+ * Simple test for :global, :vglobal, :move and :copy
+ */
+const { createEditor, typeKeys, closeEditor } = require('./editor-harness');
+const check = require('./check');
+
+// Buffer lines and the message shown after typing keys into a buffer
+const afterKeys = async (content, keys) => {
+  const editor = createEditor(content);
+  await typeKeys(editor, keys);
+  const lines = editor.buffer.getContent();
+  const message = editor.statusLine.message;
+  closeEditor(editor);
+  return { lines, message };
+};
+
+(async () => {
+  console.log('Testing :global:');
+  check('delete matches', (await afterKeys('a1\nb\na2\nc', ':g/a/d\r')).lines, ['b', 'c']);
+  check('range', (await afterKeys('a\na\na\na', ':2,3g/a/s//b/\r')).lines, ['a', 'b', 'b', 'a']);
+  // The second "x" is deleted with the first and not run on again
+  const skipped = await afterKeys('x\nx\ny\nx\nz', ':g/x/.,+1d\r');
+  check('lines deleted earlier are skipped', skipped.lines, ['y']);
+  check('undo as one change', (await afterKeys('x\nx\ny\nx\nz', ':g/x/.,+1d\ru')).lines, ['x', 'x', 'y', 'x', 'z']);
+  check('normal', (await afterKeys('a1\nb\na2', ':g/a/normal x\r')).lines, ['1', 'b', '2']);
+  check('reverse with :m 0', (await afterKeys('1\n2\n3', ':g/^/m 0\r')).lines, ['3', '2', '1']);
+  check('substitutions add up', (await afterKeys('a a\nb\na', ':g/a/s/a/c/g\r')).message, '3 substitutions on 2 lines');
+  check('not found', (await afterKeys('a', ':g/x/d\r')).message, 'Pattern not found: x');
+
+  console.log('\nTesting :g! and :v:');
+  check(':g!', (await afterKeys('a\nb\na\nc', ':g!/a/d\r')).lines, ['a', 'a']);
+  check(':v', (await afterKeys('a\nb\na\nc', ':v/a/d\r')).lines, ['a', 'a']);
+  check(':v in every line', (await afterKeys('a\na', ':v/a/d\r')).message, 'Pattern found in every line: a');
+
+  console.log('\nTesting :move and :copy:');
+  check(':m below', (await afterKeys('1\n2\n3\n4', ':1,2m 3\r')).lines, ['3', '1', '2', '4']);
+  check(':m 0', (await afterKeys('1\n2\n3', ':3m 0\r')).lines, ['3', '1', '2']);
+  const itself = await afterKeys('1\n2\n3\n4', ':1,3m 2\r');
+  check(':m into its own range', [itself.lines, itself.message], [['1', '2', '3', '4'], 'Cannot move a range of lines into itself']);
+  check(':m to its own end', (await afterKeys('1\n2\n3', ':1,2m 2\r')).lines, ['1', '2', '3']);
+  check(':t', (await afterKeys('1\n2\n3', ':1t $\r')).lines, ['1', '2', '3', '1']);
+  check(':t 0', (await afterKeys('1\n2\n3', ':2,3t 0\r')).lines, ['2', '3', '1', '2', '3']);
+  check(':co', (await afterKeys('1\n2', ':co .\r')).lines, ['1', '1', '2']);
+})();
@@ -0,0 +1,19 @@
+/**
+ * Simple test for smart indent rules
+ */
+const { getIndentRules, getIndent, getIndentChange } = require('../src/indent');
+const check = require('./check');
+
+const js = getIndentRules('javascript');
+check('indent', getIndent(' \t x'), ' \t ');
+check('after {', getIndentChange(js, 'if (a) {', ''), 1);
+check('after { with comment', getIndentChange(js, 'if (a) { // why', ''), 1);
+check('closing line', getIndentChange(js, 'x();', '}'), -1);
+check('empty block', getIndentChange(js, 'f() {', '}'), 0);
+check('electric', js.electric.test('  }'), true);
+
+const python = getIndentRules('python');
+check('after :', getIndentChange(python, 'def f():', ''), 1);
+check('after return', getIndentChange(python, '  return x', ''), -1);
+check('else', getIndentChange(python, '  x = 1', 'else:'), -1);
+check('no rules', getIndentRules('markdown'), null);
@@ -0,0 +1,34 @@
+/**
+ * Simple test for the jump list
+ */
+const TextBuffer = require('../src/text-buffer');
+const JumpList = require('../src/jump-list');
+const check = require('./check');
+
+const entry = { buffer: new TextBuffer('untitled', 'a\nb\nc\nd\ne\nf') };
+const at = (row) => ({ row, col: 0 });
+const rows = (jumps) => jumps.list().map(pos => pos.row);
+
+const jumps = new JumpList();
+[0, 1, 2, 3].forEach(row => jumps.push(entry, at(row)));
+check('pushed', rows(jumps), [0, 1, 2, 3]);
+jumps.push(entry, at(1));
+check('same line moves to the end', rows(jumps), [0, 2, 3, 1]);
+
+// Ctrl-O from the end adds the position being left
+check('back', jumps.back(entry, at(5), 2).row, 3);
+check('position left is added', rows(jumps), [0, 2, 3, 1, 5]);
+check('forward', jumps.forward(1).row, 1);
+check('past the end', jumps.forward(5), null);
+
+// A new jump after going back drops the newer positions
+jumps.back(entry, at(1), 2);
+jumps.push(entry, at(2));
+check('newer dropped', rows(jumps), [0, 2]);
+check('nothing ahead', jumps.forward(1), null);
+check('back again', jumps.back(entry, at(4), 1).row, 2);
+check('back from the new end', rows(jumps), [0, 2, 4]);
+
+// Positions follow their lines and go with them
+entry.buffer.deleteLines(0, 0);
+check('follows edits', rows(jumps), [1, 3]);
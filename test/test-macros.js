@@ -0,0 +1,46 @@
+/**
+ * Simple test for recording and playing macros
+ */
+const { createEditor, typeKeys, closeEditor } = require('./editor-harness');
+const check = require('./check');
+
+// Buffer lines, register a and the message shown after typing keys
+const afterKeys = async (content, keys) => {
+  const editor = createEditor(content);
+  await typeKeys(editor, keys);
+  const lines = editor.buffer.getContent();
+  const entry = editor.registers.get('a');
+  const message = editor.statusLine.message;
+  closeEditor(editor);
+  return { lines, macro: entry && entry.text, message };
+};
+
+// Status line text while recording, without colors
+const recordingStatus = async (keys) => {
+  const editor = createEditor('1');
+  await typeKeys(editor, keys);
+  const status = editor.statusLine.statusBox.getContent().replace(/\x1b\[[0-9;]*m/g, '');
+  closeEditor(editor);
+  return status.includes('recording @a');
+};
+
+(async () => {
+  console.log('Testing recording:');
+  check('keys stored without the q', (await afterKeys('1\n2', 'qai!\x1bjq')).macro, 'i!\x1bj');
+  check('special keys kept', (await afterKeys('1\n2', 'qa0i<\x1b\x1b[Bq')).macro, '0i<\x1b\x1b[B');
+  check('appending with A', (await afterKeys('1\n2\n3', 'qai!\x1bjqqAi?\x1bjq')).macro, 'i!\x1bji?\x1bj');
+  check('status while recording', await recordingStatus('qa'), true);
+  check('status after recording', await recordingStatus('qaq'), false);
+
+  console.log('\nTesting playback:');
+  check('@a', (await afterKeys('1\n2\n3\n4', 'qai!\x1bjq@a')).lines, ['!1', '!2', '3', '4']);
+  check('@@', (await afterKeys('1\n2\n3\n4', 'qai!\x1bjq@a@@')).lines, ['!1', '!2', '!3', '4']);
+  check('count', (await afterKeys('1\n2\n3\n4\n5', 'qai!\x1bjq2@a')).lines, ['!1', '!2', '!3', '4', '5']);
+  check('stops when a motion fails', (await afterKeys('1\n2\n3', 'qai!\x1bjq5@a')).lines, ['!1', '!2', '!3']);
+  check('<Esc> and arrow keys', (await afterKeys('1\n2\n3', 'qa0i<\x1b\x1b[Bq@a')).lines, ['<1', '<2', '3']);
+  check('@@ before any macro', (await afterKeys('1', '@@')).message, 'No previously used register');
+
+  console.log('\nTesting macros as registers:');
+  check('put', (await afterKeys('1\n2', 'qai!\x1bjq"ap')).lines, ['!1', '2i!\x1bj']);
+  check('yanked text played', (await afterKeys('i?\x1bj\n1\n2', '"ay$j@a')).lines, ['i?\x1bj', '?1', '2']);
+})();
@@ -0,0 +1,43 @@
+/**
+ * Simple test for motions
+ */
+const TextBuffer = require('../src/text-buffer');
+const SyntaxHighlighter = require('../src/enhanced-syntax-highlighter');
+const BracketMatcher = require('../src/bracket-matcher');
+const { getMotion } = require('../src/motions');
+const check = require('./check');
+
+const highlighter = new SyntaxHighlighter();
+const matcher = new BracketMatcher(highlighter);
+
+// Where a motion goes from row, col
+const move = (buffer, keys, row, col, count = null, lastFind = null, view = { rows: [0, 1, 2, 3, 4], scrollOff: 0 }) => {
+  const { motion, char, repeat } = getMotion(keys, lastFind);
+  const brackets = (around) => matcher.analyze(buffer, highlighter.getLanguage(buffer.getFilename()), around, around);
+  return motion.move(buffer, { row, col }, count, { char, repeat, view, brackets });
+};
+
+const line = new TextBuffer('untitled', '  a,b(c, [d]),e');
+check('^', move(line, '^', 0, 6), { row: 0, col: 2 });
+check('f', move(line, 'f,', 0, 0), { row: 0, col: 3 });
+check('2f', move(line, 'f,', 0, 0, 2), { row: 0, col: 7 });
+check('t', move(line, 't,', 0, 0), { row: 0, col: 2 });
+check('F', move(line, 'F(', 0, 10), { row: 0, col: 5 });
+check('f not found', move(line, 'fz', 0, 0), null);
+check('; after t', move(line, ';', 0, 2, null, { key: 't', char: ',' }), { row: 0, col: 6 });
+check(', after f', move(line, ',', 0, 7, null, { key: 'f', char: ',' }), { row: 0, col: 3 });
+check('%', move(line, '%', 0, 0), { row: 0, col: 12 });
+check('% back', move(line, '%', 0, 11), { row: 0, col: 9 });
+check('% skips strings', move(new TextBuffer('a.js', 'foo(")", 1) // (\nx'), '%', 0, 0), { row: 0, col: 10 });
+check('% from a comment', move(new TextBuffer('a.js', 'x // (\n)'), '%', 0, 0), null);
+
+const text = new TextBuffer('untitled', 'a {\n  b\n}\n\nc\nd\n\ne');
+check('% across lines', move(text, '%', 0, 0), { row: 2, col: 0 });
+check('}', move(text, '}', 0, 0), { row: 3, col: 0 });
+check('2}', move(text, '}', 0, 0, 2), { row: 6, col: 0 });
+check('} to end', move(text, '}', 6, 0), { row: 7, col: 1 });
+check('{', move(text, '{', 5, 0), { row: 3, col: 0 });
+check('H', move(text, 'H', 3, 0, 2), { row: 1, col: 2 });
+check('M', move(text, 'M', 0, 0), { row: 2, col: 0 });
+check('L', move(text, 'L', 0, 0), { row: 4, col: 0 });
+check('H keeps scrolloff', move(text, 'H', 4, 0, null, null, { rows: [1, 2, 3, 4, 5], scrollOff: 1 }), { row: 2, col: 0 });
@@ -0,0 +1,45 @@
+/**
+ * Simple test for registers
+ */
+const Registers = require('../src/registers');
+const check = require('./check');
+
+// Deletes of whole lines shift the numbered registers
+const registers = new Registers();
+registers.delete('one', 'line');
+registers.delete('two', 'line');
+registers.delete('three', 'line');
+check('newest delete in "1', registers.get('1'), { text: 'three', type: 'line' });
+check('older deletes shift down', [registers.get('2').text, registers.get('3').text], ['two', 'one']);
+check('unnamed is the last delete', registers.get('"'), { text: 'three', type: 'line' });
+
+// Small deletes go to "- and leave the numbered registers alone
+registers.delete('x', 'char');
+check('small delete', registers.get('-'), { text: 'x', type: 'char' });
+check('numbered unchanged', registers.get('1').text, 'three');
+
+// Only nine are kept
+for (let i = 4; i <= 10; i++) {
+  registers.delete(`line ${i}`, 'line');
+}
+check('"9 is the oldest kept', registers.get('9').text, 'two');
+
+// Yanks go to "0, deletes into a named register skip the numbered ones
+registers.yank('kept', 'char');
+registers.delete('named', 'line', 'a');
+check('yank in "0', registers.get('0').text, 'kept');
+check('named delete', [registers.get('a').text, registers.get('1').text], ['named', 'line 10']);
+
+// Uppercase appends, on a new line when either side is linewise
+registers.set('b', 'foo', 'char');
+registers.set('B', 'bar', 'char');
+check('append chars', registers.get('b'), { text: 'foobar', type: 'char' });
+registers.set('A', 'more', 'char');
+check('append to lines', registers.get('a'), { text: 'named\nmore', type: 'line' });
+registers.set('C', 'new', 'char');
+check('append to empty', registers.get('c'), { text: 'new', type: 'char' });
+check('unnamed follows append', registers.get('"').text, 'new');
+
+// The black hole register keeps nothing
+registers.set('_', 'gone', 'char');
+check('black hole', [registers.get('_'), registers.get('"').text], [null, 'new']);
@@ -0,0 +1,39 @@
+/**
+ * Simple test for the rope of lines
+ */
+const { countCommonLines, createRope, getRopeLine, getRopeLines, setRopeLine, spliceRope } = require('../src/rope');
+const check = require('./check');
+
+const lines = Array.from({ length: 1000 }, (_, i) => `line ${i}`);
+const rope = createRope(lines);
+check('length', rope.length, 1000);
+check('line lookup', getRopeLine(rope, 700), 'line 700');
+check('past the end', getRopeLine(rope, 1000), undefined);
+check('range', getRopeLines(rope, 98, 101), ['line 98', 'line 99', 'line 100']);
+
+const edited = setRopeLine(rope, 5, 'changed');
+check('set line', getRopeLine(edited, 5), 'changed');
+check('old rope unchanged', getRopeLine(rope, 5), 'line 5');
+
+// Splicing matches Array.splice
+const expected = lines.slice();
+let spliced = rope;
+[[10, 2, ['a', 'b', 'c']], [500, 300, []], [0, 0, lines.slice(0, 200)], [650, 1, ['z']]].forEach(([start, count, added]) => {
+  expected.splice(start, count, ...added);
+  spliced = spliceRope(spliced, start, count, added);
+});
+check('splice', getRopeLines(spliced), expected);
+
+let balanced = createRope(['']);
+for (let i = 0; i < 5000; i++) {
+  balanced = spliceRope(balanced, Math.floor(balanced.length / 2), 0, [String(i)]);
+}
+check('stays balanced', balanced.height <= 2 * Math.log2(balanced.length / 64) + 2, true);
+
+// Lines in common with the rope an edit started from
+const common = (a, b) => [countCommonLines(a, b), countCommonLines(a, b, true)];
+check('common lines of a set line', common(rope, edited), [5, 994]);
+check('common lines of an insert', common(rope, spliceRope(rope, 300, 0, ['x', 'y'])), [300, 700]);
+check('common lines of a delete', common(spliced, spliceRope(spliced, 3, 400)), [3, spliced.length - 403]);
+check('common lines of equal text', common(rope, createRope(lines)), [1000, 1000]);
+check('no common lines', common(rope, createRope(['x'])), [0, 0]);
@@ -0,0 +1,49 @@
+/**
+ * Simple test for scrolling: Ctrl-D/U/F/B, zt/zz/zb and scrolloff
+ */
+const { createEditor, typeKeys, closeEditor } = require('./editor-harness');
+const check = require('./check');
+
+const content = Array.from({ length: 100 }, (_, i) => `line ${i + 1}`).join('\n');
+
+// Top row of the window and cursor row after typing keys. The screen has
+// room for 9 text lines.
+const afterKeys = async (keys) => {
+  const editor = createEditor(content, { height: 12 });
+  await typeKeys(editor, keys);
+  const view = [editor.layout.current.scrollTop, editor.buffer.getCursor().row];
+  closeEditor(editor);
+  return view;
+};
+
+(async () => {
+  console.log('Testing Ctrl-D and Ctrl-U:');
+  check('<C-d>', await afterKeys('\x04'), [4, 4]);
+  check('<C-d> twice', await afterKeys('\x04\x04'), [8, 8]);
+  check('<C-u> back', await afterKeys('\x04\x15'), [0, 0]);
+  check('count', await afterKeys('5\x04'), [5, 5]);
+  check('count kept', await afterKeys('5\x04\x04'), [10, 10]);
+  check('<C-d> at the end', await afterKeys('G\x04'), [91, 99]);
+  check('<C-u> at the start', await afterKeys('\x15'), [0, 0]);
+
+  console.log('\nTesting Ctrl-F and Ctrl-B:');
+  check('<C-f>', await afterKeys('\x06'), [7, 7]);
+  check('<C-f> twice', await afterKeys('\x06\x06'), [14, 14]);
+  check('count', await afterKeys('2\x06'), [14, 14]);
+  check('<C-b> back', await afterKeys('\x06\x02'), [0, 7]);
+  check('<C-b> from the end', await afterKeys('G\x02'), [84, 92]);
+
+  console.log('\nTesting zt, zz and zb:');
+  check('zt', await afterKeys('50Gzt'), [49, 49]);
+  check('zz', await afterKeys('50Gzz'), [45, 49]);
+  check('zb', await afterKeys('50Gzb'), [41, 49]);
+  check('count', await afterKeys('30zt'), [29, 29]);
+
+  console.log('\nTesting scrolloff:');
+  check('zt', await afterKeys(':set so=3\r50Gzt'), [46, 49]);
+  check('zb', await afterKeys(':set so=3\r50Gzb'), [44, 49]);
+  check('down', await afterKeys(':set so=3\r20j'), [15, 20]);
+  check('up', await afterKeys(':set scrolloff=3\r40G20k'), [16, 19]);
+  check('<C-f>', await afterKeys(':set so=3\r\x06'), [7, 10]);
+  check('larger than half the window', await afterKeys(':set so=20\r20j'), [16, 20]);
+})();
@@ -0,0 +1,48 @@
+/**
+ * Simple test for :substitute
+ */
+const { createEditor, typeKeys, closeEditor } = require('./editor-harness');
+const check = require('./check');
+
+// Buffer lines after typing keys into a buffer with some text
+const afterKeys = async (content, keys) => {
+  const editor = createEditor(content);
+  await typeKeys(editor, keys);
+  const lines = editor.buffer.getContent();
+  const message = editor.statusLine.message;
+  closeEditor(editor);
+  return { lines, message };
+};
+
+(async () => {
+  console.log('Testing flags:');
+  check('first match', (await afterKeys('a a\na a', ':s/a/b/\r')).lines, ['b a', 'a a']);
+  check('g', (await afterKeys('a a\na a', ':%s/a/b/g\r')).lines, ['b b', 'b b']);
+  check('i', (await afterKeys('A a', ':s/a/b/ig\r')).lines, ['b b']);
+  check('range', (await afterKeys('a\na\na\na', ':2,3s/a/b/\r')).lines, ['a', 'b', 'b', 'a']);
+  check('count', (await afterKeys('a\na\na\na', ':s/a/b/ 2\r')).lines, ['b', 'b', 'a', 'a']);
+  const counted = await afterKeys('a a\na', ':%s/a/b/gn\r');
+  check('n only counts', [counted.lines, counted.message], [['a a', 'a'], '3 matches on 2 lines']);
+  check('not found', (await afterKeys('a', ':s/x/y/\r')).message, 'Pattern not found: x');
+  check('e keeps quiet', (await afterKeys('a', ':s/x/y/e\r')).message, '');
+  check('repeat with new flags', (await afterKeys('a a\na a', ':s/a/b/\rj:s g\r')).lines, ['b a', 'b b']);
+  check(':&& keeps flags', (await afterKeys('a a\na a', ':s/a/b/g\rj:&&\r')).lines, ['b b', 'b b']);
+
+  console.log('\nTesting replacements:');
+  check('back-references', (await afterKeys('key=value', ':s/(\\w+)=(\\w+)/\\2=\\1/\r')).lines, ['value=key']);
+  check('$ groups', (await afterKeys('key=value', ':s/(\\w+)=(\\w+)/$2:$1/\r')).lines, ['value:key']);
+  check('& is the match', (await afterKeys('ab', ':s/b/[&]/\r')).lines, ['a[b]']);
+  check('escaped &', (await afterKeys('ab', ':s/b/\\&/\r')).lines, ['a&']);
+  check('line break', (await afterKeys('a,b', ':s/,/\\r/\r')).lines, ['a', 'b']);
+  check('other delimiter', (await afterKeys('a/b', ':s#/#-#\r')).lines, ['a-b']);
+  check('escaped delimiter', (await afterKeys('a/b', ':s/\\//-/\r')).lines, ['a-b']);
+  const split = await afterKeys('a,b\nc,d', ':%s/,/\\r/\ru');
+  check('undo as one change', split.lines, ['a,b', 'c,d']);
+
+  console.log('\nTesting confirmation:');
+  check('y and n', (await afterKeys('a a a', ':s/a/b/gc\ryny')).lines, ['b a b']);
+  check('q stops', (await afterKeys('a a\na a', ':%s/a/b/gc\ryq')).lines, ['b a', 'a a']);
+  check('l does the last one', (await afterKeys('a a\na a', ':%s/a/b/gc\rnl')).lines, ['a b', 'a a']);
+  check('a does the rest', (await afterKeys('a a\na a', ':%s/a/b/gc\rna')).lines, ['a b', 'b b']);
+  check('<Esc> quits', (await afterKeys('a a', ':s/a/b/gc\ry\x1b')).lines, ['b a']);
+})();
@@ -3,6 +3,7 @@
  */
 const path = require('path');
 const SyntaxHighlighter = require('../src/enhanced-syntax-highlighter');
+const check = require('./check');
 
 // Create a syntax highlighter instance
 const highlighter = new SyntaxHighlighter();
@@ -54,6 +55,11 @@ const hex = 0xFFF;
 const highlighted = highlighter.highlightLines(jsCode.split('\n'), 'javascript');
 console.log('Highlighting successful:', highlighted.length === jsCode.split('\n').length);
 
+// Long inputs are highlighted as fully as short ones
+const manyLines = highlighter.highlightLines(new Array(1500).fill('const x = "y";'), 'javascript');
+const fullyHighlighted = manyLines.every(line => line === highlighter.highlightLine('const x = "y";', 'javascript'));
+check('Long input fully highlighted', fullyHighlighted, true);
+
 // Test theme switching
 console.log('\nTesting theme switching:');
 highlighter.getThemes().forEach(theme => {
@@ -0,0 +1,57 @@
+/**
+ * Simple test for tab pages
+ */
+const { createEditor, typeKeys, closeEditor } = require('./editor-harness');
+const check = require('./check');
+
+// Which tab page is current, of how many, and the current window's area
+const tabState = (editor) => {
+  const { top, height } = editor.layout.current.rect;
+  return [editor.tabs.indexOf(editor.layout) + 1, editor.tabs.length, top, height];
+};
+// Tabline text without colors
+const tabline = (editor) => (editor.tabline.visible ? editor.tabline.getContent().replace(/\x1b\[[0-9;]*m/g, '') : null);
+
+(async () => {
+  const editor = createEditor('one', { filename: 'a.txt', height: 24 });
+  check('one tab page', tabState(editor), [1, 1, 0, 23]);
+  check('no tabline', tabline(editor), null);
+
+  // The tabline takes the top row once there are two tab pages
+  await typeKeys(editor, ':tabnew\r');
+  check(':tabnew', tabState(editor), [2, 2, 1, 22]);
+  check('new tab page edits a new buffer', [editor.buffer.getFilename(), editor.buffer.getContent()], ['untitled', ['']]);
+  check('tabline', tabline(editor), ' 1 a.txt + | 2 untitled ');
+
+  await typeKeys(editor, 'ihello\x1b');
+  await typeKeys(editor, 'gt');
+  check('gt wraps around', tabState(editor), [1, 2, 1, 22]);
+  check('each tab page keeps its buffer', editor.buffer.getContent(), ['one']);
+  await typeKeys(editor, ':tabe b.txt\r');
+  check(':tabe goes after the current one', [tabState(editor), editor.buffer.getFilename()], [[2, 3, 1, 22], 'b.txt']);
+  await typeKeys(editor, '3gt');
+  check('count gt', tabState(editor)[0], 3);
+  check('tabline marks modified buffers', tabline(editor), ' 1 a.txt + | 2 b.txt | 3 untitled + ');
+  await typeKeys(editor, '2gT');
+  check('count gT', tabState(editor)[0], 1);
+  await typeKeys(editor, 'gT');
+  check('gT wraps around', tabState(editor)[0], 3);
+
+  // Windows split in one tab page don't show in another
+  await typeKeys(editor, ':sp\r');
+  check('split in a tab page', editor.layout.getWindows().length, 2);
+  await typeKeys(editor, 'gt');
+  check('other tab page has one window', editor.layout.getWindows().length, 1);
+  await typeKeys(editor, 'gT');
+
+  // Closing the last window of a tab page closes the tab page
+  await typeKeys(editor, ':q!\r:q!\r');
+  check('closing its windows closes it', tabState(editor), [2, 2, 1, 22]);
+  await typeKeys(editor, ':tabclose\r');
+  check(':tabclose', tabState(editor), [1, 1, 0, 23]);
+  check('tabline hidden again', tabline(editor), null);
+  await typeKeys(editor, ':tabclose\r');
+  check('last tab page stays', [tabState(editor), editor.statusLine.message], [[1, 1, 0, 23], 'Cannot close last tab page']);
+  check('buffers stay open', editor.buffers.list().length, 3);
+  closeEditor(editor);
+})();
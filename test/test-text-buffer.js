@@ -0,0 +1,129 @@
+/**
+ * Simple test for the text buffer
+ */
+const TextBuffer = require('../src/text-buffer');
+const check = require('./check');
+
+// Test undo/redo
+console.log('Testing undo/redo:');
+const buffer = new TextBuffer('untitled', 'hello');
+
+// An insert session is grouped into one change
+buffer.beginChange();
+for (const char of 'abc') {
+  buffer.insertCharacter(char);
+}
+buffer.insertNewLine();
+buffer.endChange();
+check('grouped insert', buffer.getContent(), ['abc', 'hello']);
+
+// Ungrouped edits are their own change
+buffer.insertCharacter('!');
+check('single edit', buffer.getContent(), ['abc', '!hello']);
+
+buffer.undo();
+check('undo single edit', buffer.getContent(), ['abc', 'hello']);
+check('cursor restored', buffer.getCursor(), { row: 1, col: 0 });
+
+buffer.undo();
+check('undo grouped insert', buffer.getContent(), ['hello']);
+check('cursor at change start', buffer.getCursor(), { row: 0, col: 0 });
+check('nothing left to undo', buffer.undo(), false);
+
+buffer.redo();
+check('redo', buffer.getContent(), ['abc', 'hello']);
+
+// A new change after undo starts a branch; redo follows the new branch
+buffer.undo();
+buffer.insertCharacter('x');
+check('branch', buffer.getContent(), ['xhello']);
+buffer.undo();
+buffer.redo();
+check('redo follows newest branch', buffer.getContent(), ['xhello']);
+
+// Test word motions
+console.log('\nTesting word motions:');
+const words = new TextBuffer('untitled', 'foo.bar baz\n\n  qux');
+check('w stops at punctuation', words.findNextWordStart({ row: 0, col: 0 }), { row: 0, col: 3 });
+check('W skips punctuation', words.findNextWordStart({ row: 0, col: 0 }, 1, true), { row: 0, col: 8 });
+check('w stops at empty line', words.findNextWordStart({ row: 0, col: 8 }), { row: 1, col: 0 });
+check('3w', words.findNextWordStart({ row: 0, col: 0 }, 3), { row: 0, col: 8 });
+check('e', words.findWordEnd({ row: 0, col: 0 }), { row: 0, col: 2 });
+check('e skips empty lines', words.findWordEnd({ row: 0, col: 10 }), { row: 2, col: 4 });
+check('b', words.findPrevWordStart({ row: 2, col: 2 }), { row: 1, col: 0 });
+check('b within line', words.findPrevWordStart({ row: 0, col: 10 }), { row: 0, col: 8 });
+
+// Test range editing
+console.log('\nTesting range editing:');
+const ranges = new TextBuffer('untitled', 'one two\nthree\nfour');
+check('text range', ranges.getTextRange({ row: 0, col: 4 }, { row: 1, col: 2 }), 'two\nth');
+check('delete range', ranges.deleteRange({ row: 0, col: 4 }, { row: 1, col: 2 }), 'two\nth');
+check('after delete range', ranges.getContent(), ['one ree', 'four']);
+check('delete lines', ranges.deleteLines(0, 0), ['one ree']);
+check('after delete lines', ranges.getContent(), ['four']);
+ranges.undo();
+ranges.undo();
+check('undo range edits', ranges.getContent(), ['one two', 'three', 'four']);
+
+// Test search
+console.log('\nTesting search:');
+const searchable = new TextBuffer('untitled', 'foo bar\nbaz foo\nfoo');
+check('find matches', searchable.findMatches(0, /o/g), [{ start: 1, end: 2 }, { start: 2, end: 3 }]);
+check('search forward', searchable.search(/foo/g, { row: 0, col: 0 }), { row: 1, col: 4, length: 3, wrapped: false });
+check('search backward', searchable.search(/foo/g, { row: 1, col: 4 }, true), { row: 0, col: 0, length: 3, wrapped: false });
+check('search wraps', searchable.search(/bar/g, { row: 2, col: 0 }), { row: 0, col: 4, length: 3, wrapped: true });
+check('no wrapscan', searchable.search(/bar/g, { row: 2, col: 0 }, false, false), null);
+check('word under cursor', searchable.getWordAt({ row: 1, col: 3 }), { word: 'foo', start: 4 });
+
+// Test row tracking
+console.log('\nTesting row tracking:');
+const tracked = new TextBuffer('untitled', 'a\nb\nc\nd\ne');
+const tracker = tracked.trackRows([1, 3, 4]);
+tracked.deleteLines(1, 1);
+check('deleted row', tracker.rows, [null, 2, 3]);
+tracked.insertLines(0, ['x', 'y']);
+check('inserted above', tracker.rows, [null, 4, 5]);
+tracked.moveLines(4, 4, -1);
+check('moved line', tracked.getContent(), ['d', 'x', 'y', 'a', 'c', 'e']);
+check('moved row', tracker.rows, [null, 0, 5]);
+tracked.moveLines(0, 1, 5);
+check('moved down', tracked.getContent(), ['y', 'a', 'c', 'e', 'd', 'x']);
+check('rows after move down', tracker.rows, [null, 4, 3]);
+tracked.undo();
+tracked.undo();
+check('undo moves', tracker.rows, [null, 4, 5]);
+tracked.redo();
+check('redo move', tracker.rows, [null, 0, 5]);
+tracked.untrackRows(tracker);
+tracked.deleteLines(0, 0);
+check('untracked', tracker.rows, [null, 0, 5]);
+
+// Test marks
+console.log('\nTesting marks:');
+const marked = new TextBuffer('untitled', 'one\ntwo\nthree');
+marked.setMark('a', { row: 1, col: 2 });
+marked.setMark('b', { row: 2, col: 0 });
+marked.insertLines(0, ['zero']);
+check('mark follows line', marked.getMark('a'), { row: 2, col: 2 });
+marked.deleteLines(3, 3);
+check('mark deleted with line', marked.getMark('b'), null);
+check('mark names', marked.getMarkNames(), ['a']);
+marked.undo();
+check('undo brings deleted mark back', marked.getMark('b'), { row: 3, col: 0 });
+marked.undo();
+check('mark follows undo', [marked.getMark('a'), marked.getMark('b')], [{ row: 1, col: 2 }, { row: 2, col: 0 }]);
+marked.redo();
+marked.redo();
+check('mark follows redo', [marked.getMark('a'), marked.getMark('b')], [{ row: 2, col: 2 }, null]);
+marked.setMark('a', { row: 0, col: 0 });
+check('mark moved', marked.getMark('a'), { row: 0, col: 0 });
+
+// Test replace mode typing
+console.log('\nTesting replace:');
+const replaced = new TextBuffer('untitled', 'ab');
+replaced.setCursor(0, 1);
+check('replace returns old char', replaced.replaceCharacter('X'), 'b');
+check('replace at line end appends', [replaced.replaceCharacter('Y'), replaced.getLine(0)], [null, 'aXY']);
+const emoji = new TextBuffer('untitled', '😀x');
+check('replace a surrogate pair whole', [emoji.replaceCharacter('a'), emoji.getLine(0), emoji.getCursor().col], ['😀', 'ax', 1]);
+check('replace with a surrogate pair', [emoji.replaceCharacter('😀'), emoji.getLine(0), emoji.getCursor().col], ['x', 'a😀', 3]);
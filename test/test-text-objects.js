@@ -0,0 +1,35 @@
+/**
+ * Simple test for text objects
+ */
+const TextBuffer = require('../src/text-buffer');
+const { TEXT_OBJECTS } = require('../src/text-objects');
+const check = require('./check');
+
+// Text a text object selects, with the cursor at row, col
+const select = (content, keys, row, col, count = null) => {
+  const buffer = new TextBuffer(null, content);
+  const range = TEXT_OBJECTS[keys].select(buffer, { row, col }, count, null);
+  if (!range) {
+    return null;
+  }
+  return range.linewise
+    ? buffer.getLines(range.start.row, range.end.row).join('\n')
+    : buffer.getTextRange(range.start, range.end);
+};
+
+check('iw', select('foo bar baz', 'iw', 0, 5), 'bar');
+check('aw', select('foo bar baz', 'aw', 0, 5), 'bar ');
+check('aw at line end', select('foo bar', 'aw', 0, 5), ' bar');
+check('iW', select('a foo.bar b', 'iW', 0, 4), 'foo.bar');
+check('is', select('One. Two three! Four.', 'is', 0, 7), 'Two three!');
+check('as', select('One. Two three! Four.', 'as', 0, 7), 'Two three! ');
+check('ip', select('a\nb\n\nc', 'ip', 1, 0), 'a\nb');
+check('ap', select('a\nb\n\nc', 'ap', 0, 0), 'a\nb\n');
+check('i"', select('x = "a \\" b";', 'i"', 0, 0), 'a \\" b');
+check('a"', select('f("a", "b")', 'a"', 0, 3), '"a"');
+check('i(', select('f(a, (b), c)', 'i(', 0, 6), 'b');
+check('a( count', select('f(a, (b), c)', 'a(', 0, 6, 2), '(a, (b), c)');
+check('i{ multi-line', select('if (x) {\n  y();\n}', 'i{', 1, 2), '  y();');
+check('it', select('<p>hi <b>x</b></p>', 'it', 0, 4), 'hi <b>x</b>');
+check('at skips self-closing', select('<p>a<br/>b</p>', 'at', 0, 5), '<p>a<br/>b</p>');
+check('no object', select('foo', 'i(', 0, 1), null);
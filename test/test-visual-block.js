@@ -0,0 +1,28 @@
+/**
+ * Simple test for visual block mode over tabs and wide characters
+ */
+const { createEditor, typeKeys, closeEditor } = require('./editor-harness');
+const check = require('./check');
+
+// Buffer lines after typing keys into a buffer with some text
+const afterKeys = async (content, keys) => {
+  const editor = createEditor(content);
+  await typeKeys(editor, keys);
+  const lines = editor.buffer.getContent();
+  closeEditor(editor);
+  return lines;
+};
+
+(async () => {
+  console.log('Testing operators:');
+  check('d', await afterKeys('abcd\nefgh', 'l\x16jld'), ['ad', 'eh']);
+  check('d over a tab', await afterKeys('a\tb\nabcdefghij', 'll\x16jd'), ['a\t', 'abcdefghj']);
+  check('d to the end', await afterKeys('a\tb\nabcdefghij', '$\x16jd'), ['a\t', 'abcdefgh']);
+  check('d over a wide character', await afterKeys('日本\nabcd', 'j\x16kd'), ['本', 'cd']);
+  check('~ over a tab', await afterKeys('a\tb\nabcdefghij', 'll\x16j~'), ['a\tB', 'abcdefghIj']);
+  check('c over a tab', await afterKeys('a\tb\nabcdefghij', 'll\x16jcXY\x1b'), ['a\tXY', 'abcdefghXYj']);
+
+  console.log('\nTesting put:');
+  check('wide character', await afterKeys('日本\nabcd', '\x16yjP'), ['日本', '日abcd']);
+  check('after a tab', await afterKeys('12\n34\na\tb\na\tb', '\x16jlyjjlp'), ['12', '34', 'a\t12b', 'a\t34b']);
+})();
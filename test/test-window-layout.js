@@ -0,0 +1,42 @@
+/**
+ * Simple test for window layout
+ */
+const WindowLayout = require('../src/window-layout');
+const check = require('./check');
+
+const area = { top: 0, left: 0, width: 80, height: 24 };
+const [a, b, c, d] = ['a', 'b', 'c', 'd'].map(name => ({ name }));
+const layout = new WindowLayout(a);
+const rects = () => {
+  layout.layout(area);
+  return layout.getWindows().map(({ name, rect }) => [name, rect.top, rect.left, rect.width, rect.height]);
+};
+
+check('one window', rects(), [['a', 0, 0, 80, 24]]);
+
+// A split halves the window being split
+layout.split(a, b, 'column');
+check('split', rects(), [['b', 0, 0, 80, 12], ['a', 12, 0, 80, 12]]);
+layout.split(a, c, 'column');
+check('split again', rects(), [['b', 0, 0, 80, 12], ['c', 12, 0, 80, 6], ['a', 18, 0, 80, 6]]);
+layout.equalize();
+check('equalize', rects(), [['b', 0, 0, 80, 8], ['c', 8, 0, 80, 8], ['a', 16, 0, 80, 8]]);
+layout.split(c, d, 'row');
+check('vertical split', rects(), [['b', 0, 0, 80, 8], ['d', 8, 0, 40, 8], ['c', 8, 40, 40, 8], ['a', 16, 0, 80, 8]]);
+
+// Closing gives the space to a neighbor, which becomes current
+layout.current = d;
+check('close', layout.close(d), true);
+check('neighbor takes the space', rects(), [['b', 0, 0, 80, 8], ['c', 8, 0, 80, 8], ['a', 16, 0, 80, 8]]);
+check('neighbor current', layout.current, c);
+layout.close(b);
+check('first gives to the next', rects(), [['c', 0, 0, 80, 16], ['a', 16, 0, 80, 8]]);
+layout.close(a);
+check('last window left', rects(), [['c', 0, 0, 80, 24]]);
+check('last window stays', layout.close(c), false);
+
+// Uneven sizes hand the remainder to the first windows
+layout.split(c, a, 'row');
+layout.split(c, b, 'row');
+layout.equalize();
+check('remainder', rects().map(rect => rect[3]), [27, 27, 26]);
@@ -0,0 +1,15 @@
+/**
+ * Simple test for line wrapping
+ */
+const { wrapLine, findSegment } = require('../src/wrap');
+const check = require('./check');
+
+check('short line', wrapLine('abc', 4), [{ start: 0, end: 3 }]);
+check('empty line', wrapLine('', 4), [{ start: 0, end: 0 }]);
+check('wrap', wrapLine('abcdefghij', 4), [{ start: 0, end: 4 }, { start: 4, end: 8 }, { start: 8, end: 10 }]);
+check('linebreak', wrapLine('ab cd efg', 7, true), [{ start: 0, end: 6 }, { start: 6, end: 9 }]);
+check('linebreak in long word', wrapLine('abcdefghij', 4, true), [{ start: 0, end: 4 }, { start: 4, end: 8 }, { start: 8, end: 10 }]);
+
+const segments = wrapLine('abcdefgh', 4);
+check('segment', findSegment(segments, 4), 1);
+check('past the end', findSegment(segments, 8), 1);